@@ -1,4 +1,60 @@
-import { buildAuthHeaders, loadConfig } from "./shared/config.js";
+import {
+  hostPermissionFor,
+  isProfileConfigured,
+  loadConfig,
+  normalizeProfile,
+  resolveGenerationSettings,
+  resolveProfile
+} from "./shared/config.js";
+import {
+  archiveAllConversations,
+  createConversation,
+  deleteConversation,
+  deleteTabConversations,
+  describeConversations,
+  getConversationsForExport,
+  getActiveConversation,
+  getConversation,
+  importConversations,
+  listConversations,
+  renameConversation,
+  resolveScopeKey,
+  saveConversationMessages,
+  setConversationPinned,
+  setConversationProfile,
+  setConversationSettings,
+  switchConversation
+} from "./shared/conversations.js";
+import { getProviderAdapter } from "./shared/providers.js";
+import { searchArchive } from "./shared/search.js";
+import { collectTabContexts, listContextTabs } from "./shared/tabs.js";
+import {
+  contextWindowFor,
+  estimateMessagesTokens,
+  estimateTokens,
+  trimToTokenBudget
+} from "./shared/tokens.js";
+import { loadTemplates } from "./shared/templates.js";
+import {
+  getCachedTranslations,
+  loadTranslateSites,
+  putCachedTranslations,
+  setTranslateSite
+} from "./shared/translation.js";
+import { exportConversations, parseConversationExport } from "./shared/transfer.js";
+import {
+  USAGE_RECORDS_KEY,
+  USAGE_SETTINGS_KEY,
+  budgetStatus,
+  loadUsageRecords,
+  loadUsageSettings,
+  recordUsage
+} from "./shared/usage.js";
+
+const CHAT_STREAM_PORT = "aihelper_chat_stream";
+const ASK_IMAGE_MENU_ID = "aihelper_ask_image";
+const MAX_IMAGE_FETCH_BYTES = 15 * 1024 * 1024;
+const PROBE_TIMEOUT_MS = 20000;
 
 const inflightChats = new Map();
 
@@ -31,66 +87,48 @@ function makeRequestId() {
   }
 }
 
-function toResponsesInput(messages) {
-  const arr = Array.isArray(messages) ? messages : [];
-  return arr
-    .filter((m) => m && typeof m === "object")
-    .map((m) => ({
-      role: m.role,
-      content: [
-        {
-          type: m.role === "assistant" ? "output_text" : "input_text",
-          text: String(m.content || "")
-        }
-      ]
-    }));
-}
-
-function extractResponseText(data) {
-  if (!data || typeof data !== "object") return "";
+// Collects streamed text and token usage for one reply. Adapters turn each
+// decoded event into a delta, a final text or a completed response body.
+function createStreamAccumulator(adapter, onDelta) {
+  const textChunks = [];
+  let doneText = "";
+  let completedResponse = null;
+  let usage = null;
 
-  if (typeof data.output_text === "string") return data.output_text;
+  const pushText = (text) => {
+    textChunks.push(text);
+    if (typeof onDelta === "function") onDelta(text);
+  };
 
-  const output = Array.isArray(data.output) ? data.output : [];
-  const chunks = [];
-  for (const item of output) {
-    const contents = Array.isArray(item?.content) ? item.content : [];
-    for (const c of contents) {
-      if (!c || typeof c !== "object") continue;
-      if (c.type === "output_text" && typeof c.text === "string") chunks.push(c.text);
-      if (c.type === "text" && typeof c.text === "string") chunks.push(c.text);
+  return {
+    pushText,
+    handlePayload(payload) {
+      const event = adapter.parseStreamEvent(payload) || {};
+      if (event.error) throw new Error(event.error);
+      if (typeof event.doneText === "string") doneText = event.doneText;
+      if (event.delta) pushText(event.delta);
+      if (event.final && typeof event.final === "object") completedResponse = event.final;
+      if (event.usage) usage = { ...usage, ...event.usage };
+    },
+    text() {
+      const streamedText = textChunks.join("");
+      if (doneText.trim() && doneText.length >= streamedText.length) return doneText;
+      if (streamedText.trim()) return streamedText;
+      if (doneText.trim()) return doneText;
+
+      const completedText = completedResponse ? adapter.extractText(completedResponse) : "";
+      return String(completedText || "");
+    },
+    result() {
+      return { content: this.text(), usage };
     }
-  }
-  if (chunks.length) return chunks.join("");
-
-  return (
-    data?.choices?.[0]?.message?.content ??
-    data?.choices?.[0]?.text ??
-    ""
-  );
-}
-
-function extractStreamDelta(payload) {
-  if (!payload || typeof payload !== "object") return "";
-
-  if (payload.type === "response.output_text.delta" && typeof payload.delta === "string") {
-    return payload.delta;
-  }
-
-  const maybeText =
-    payload?.delta?.content ??
-    payload?.choices?.[0]?.delta?.content ??
-    payload?.choices?.[0]?.delta?.text ??
-    "";
-  return typeof maybeText === "string" ? maybeText : "";
+  };
 }
 
-async function readSseTextStream(reader, initialBuffer) {
+async function readSseTextStream(reader, initialBuffer, adapter, onDelta) {
   const decoder = new TextDecoder();
   let buffer = String(initialBuffer || "");
-  const textChunks = [];
-  let doneText = "";
-  let completedResponse = null;
+  const acc = createStreamAccumulator(adapter, onDelta);
 
   const flushEventBlock = (block) => {
     const lines = String(block || "").split("\n");
@@ -107,29 +145,10 @@ async function readSseTextStream(reader, initialBuffer) {
     try {
       payload = JSON.parse(dataStr);
     } catch {
-      textChunks.push(dataStr);
+      acc.pushText(dataStr);
       return;
     }
-
-    if (payload?.type === "response.completed" && payload?.response) {
-      completedResponse = payload.response;
-      return;
-    }
-    if (payload?.type === "response.output_text.done" && typeof payload.text === "string") {
-      doneText = payload.text;
-      return;
-    }
-    if (payload?.type === "response.error") {
-      const msg = payload?.error?.message;
-      throw new Error(typeof msg === "string" && msg.trim() ? msg : "Response error.");
-    }
-
-    const delta = extractStreamDelta(payload);
-    if (delta) textChunks.push(delta);
-
-    if (payload?.response && typeof payload.response === "object") {
-      completedResponse = payload.response;
-    }
+    acc.handlePayload(payload);
   };
 
   while (true) {
@@ -148,17 +167,45 @@ async function readSseTextStream(reader, initialBuffer) {
   }
 
   if (buffer.trim()) flushEventBlock(buffer);
+  return acc.result();
+}
 
-  const streamedText = textChunks.join("");
-  if (doneText.trim() && doneText.length >= streamedText.length) return doneText;
-  if (streamedText.trim()) return streamedText;
-  if (doneText.trim()) return doneText;
+// Newline-delimited JSON, one event object per line (Ollama).
+async function readNdjsonTextStream(reader, initialBuffer, adapter, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = String(initialBuffer || "");
+  const acc = createStreamAccumulator(adapter, onDelta);
 
-  const completedText = extractResponseText(completedResponse);
-  return String(completedText || "");
+  const flushLine = (line) => {
+    const trimmed = String(line || "").trim();
+    if (!trimmed) return;
+    let payload;
+    try {
+      payload = JSON.parse(trimmed);
+    } catch {
+      return;
+    }
+    acc.handlePayload(payload);
+  };
+
+  while (true) {
+    while (true) {
+      const sepIndex = buffer.indexOf("\n");
+      if (sepIndex === -1) break;
+      flushLine(buffer.slice(0, sepIndex));
+      buffer = buffer.slice(sepIndex + 1);
+    }
+
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+  }
+
+  if (buffer.trim()) flushLine(buffer);
+  return acc.result();
 }
 
-async function readResponseText(res) {
+async function readResponseText(res, adapter, onDelta) {
   const body = res.body;
   if (!body) throw new Error("Missing response body.");
 
@@ -169,6 +216,11 @@ async function readResponseText(res) {
   const normalizedFirst = firstChunk.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
   const trimmed = normalizedFirst.trimStart();
 
+  // NDJSON starts with "{" too, so it never goes through the JSON sniffing below.
+  if (adapter.framing === "ndjson") {
+    return readNdjsonTextStream(reader, normalizedFirst, adapter, onDelta);
+  }
+
   const looksLikeJson = trimmed.startsWith("{") || trimmed.startsWith("[");
   const looksLikeSse =
     trimmed.startsWith("data:") ||
@@ -178,7 +230,7 @@ async function readResponseText(res) {
     normalizedFirst.includes("\nevent:");
 
   if (!first.done && looksLikeSse && !looksLikeJson) {
-    return readSseTextStream(reader, normalizedFirst);
+    return readSseTextStream(reader, normalizedFirst, adapter, onDelta);
   }
 
   // Default to JSON mode (some proxies omit content-type even for JSON).
@@ -199,7 +251,7 @@ async function readResponseText(res) {
         controller.close();
       }
     }).getReader();
-    return readSseTextStream(fakeReader, "");
+    return readSseTextStream(fakeReader, "", adapter, onDelta);
   }
 
   let data;
@@ -208,10 +260,398 @@ async function readResponseText(res) {
   } catch {
     throw new Error("Invalid JSON response from API.");
   }
-  return extractResponseText(data);
+  return { content: adapter.extractText(data), usage: adapter.extractUsage(data) };
+}
+
+// Plain-http endpoints are covered at install, but site access can be withheld
+// from chrome://extensions; the Options page asks again when the profile is saved.
+async function ensureHostPermission(url) {
+  if (!String(url).startsWith("http:")) return;
+  const origin = hostPermissionFor(url);
+  const granted = await chrome.permissions.contains({ origins: [origin] });
+  if (!granted) {
+    throw new Error(`Access to ${origin} has not been granted. Save the profile in Options to allow it.`);
+  }
+}
+
+async function readHttpError(res) {
+  const text = await res.text();
+  try {
+    const maybe = JSON.parse(text);
+    const msg = maybe?.error?.message ?? maybe?.error;
+    if (typeof msg === "string" && msg.trim()) return `HTTP ${res.status}: ${msg}`;
+  } catch {
+    // ignore
+  }
+  return `HTTP ${res.status}: ${text || res.statusText}`;
+}
+
+function describeRequestError(err) {
+  const isAbort =
+    err?.name === "AbortError" ||
+    /aborted/i.test(String(err?.message || "")) ||
+    /abort/i.test(String(err || ""));
+  if (isAbort) return { ok: false, cancelled: true, error: "Cancelled." };
+  const rawMsg = String(err?.message || err || "");
+  const msg =
+    rawMsg === "Failed to fetch"
+      ? "Network error: Failed to fetch (temporary connection issue or API unreachable)."
+      : rawMsg;
+  return { ok: false, error: msg || "Request failed." };
+}
+
+async function requestCompletion(profile, { messages, generation, signal, onDelta }) {
+  await ensureHostPermission(profile.apiUrl);
+  const adapter = getProviderAdapter(profile.protocol);
+  const request = adapter.buildRequest(profile, {
+    messages: Array.isArray(messages) ? messages : [],
+    systemPrompt: generation.systemPrompt,
+    temperature: generation.temperature,
+    maxOutputTokens: generation.maxOutputTokens,
+    reasoningEffort: generation.reasoningEffort
+  });
+
+  const res = await fetchWithRetry(request.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...request.headers
+    },
+    signal,
+    body: JSON.stringify(request.body)
+  });
+
+  if (!res.ok) return { ok: false, status: res.status, error: await readHttpError(res) };
+
+  const { content, usage } = await readResponseText(res, adapter, onDelta);
+  return { ok: true, content: String(content || ""), usage };
+}
+
+// What the model's window leaves for the conversation after the system prompt
+// and the reply.
+function inputTokenBudget(profile, generation) {
+  return (
+    contextWindowFor(profile.model) - generation.maxOutputTokens - estimateTokens(generation.systemPrompt)
+  );
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "";
+  }
+}
+
+// Counts the provider did not report are estimated from the request and reply.
+function recordChatUsage({ profile, messages, generation, origin, result }) {
+  const reported = result.usage || {};
+  recordUsage({
+    at: Date.now(),
+    model: profile.model,
+    provider: profile.name,
+    protocol: profile.protocol,
+    origin,
+    inputTokens:
+      reported.inputTokens ?? estimateMessagesTokens(messages) + estimateTokens(generation.systemPrompt),
+    cachedTokens: reported.cachedTokens,
+    outputTokens: reported.outputTokens ?? estimateTokens(result.content),
+    estimated: typeof reported.inputTokens !== "number" || typeof reported.outputTokens !== "number"
+  })
+    .then(refreshBudgetBadge)
+    .catch((err) => console.warn("Failed to record usage:", err));
+}
+
+function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// The toolbar badge turns amber at the alert threshold and red once the
+// budget for the current period is spent.
+async function refreshBudgetBadge() {
+  const status = budgetStatus(await loadUsageRecords(), await loadUsageSettings());
+  await chrome.action.setBadgeText({ text: status?.alert ? "$" : "" });
+  if (status?.alert) {
+    await chrome.action.setBadgeBackgroundColor({ color: status.over ? "#f07178" : "#fbbf77" });
+  }
+  await chrome.action.setTitle({
+    title: status?.alert
+      ? `Codex Helper — ${formatUsd(status.spent)} of the ${formatUsd(status.amount)} ${status.period} budget spent`
+      : "Codex Helper"
+  });
+}
+
+async function runChat({ messages, requestId: rawRequestId, profileId, settings, origin, onDelta }) {
+  const requestId =
+    typeof rawRequestId === "string" && rawRequestId.trim() ? rawRequestId.trim() : makeRequestId();
+  const controller = new AbortController();
+  inflightChats.set(requestId, controller);
+  // Set once the request goes out. A reply stopped halfway is still billed, so
+  // what streamed before a cancel or error is recorded too.
+  let billed = null;
+  let streamed = "";
+
+  try {
+    const config = await loadConfig();
+    const profile = resolveProfile(config, profileId);
+    if (!profile?.apiUrl) throw new Error("Missing API URL (internal error).");
+    if (!isProfileConfigured(profile)) {
+      throw new Error(`Provider "${profile.name}" is missing a token or model. Set it in Options.`);
+    }
+
+    // `settings` carries the conversation's overrides from the panel.
+    const generation = resolveGenerationSettings(config, settings);
+    const sent = trimToTokenBudget(messages, inputTokenBudget(profile, generation));
+    billed = { profile, messages: sent, generation, origin };
+    const result = await requestCompletion(profile, {
+      messages: sent,
+      generation,
+      signal: controller.signal,
+      onDelta: (delta) => {
+        streamed += delta;
+        if (typeof onDelta === "function") onDelta(delta);
+      }
+    });
+    if (result.ok) recordChatUsage({ ...billed, result });
+    return result;
+  } catch (err) {
+    if (billed && streamed) recordChatUsage({ ...billed, result: { content: streamed } });
+    return describeRequestError(err);
+  } finally {
+    inflightChats.delete(requestId);
+  }
+}
+
+function describeProbeError(err) {
+  if (err?.name === "TimeoutError") return `No response within ${PROBE_TIMEOUT_MS / 1000} seconds.`;
+  return describeRequestError(err).error;
+}
+
+async function listModels(profile) {
+  const adapter = getProviderAdapter(profile.protocol);
+  const request = adapter.modelsRequest(profile);
+  if (!request.url) return { ok: false, error: "Cannot derive a model listing URL from the API URL." };
+  try {
+    const res = await fetch(request.url, {
+      headers: request.headers,
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+    });
+    if (!res.ok) return { ok: false, status: res.status, error: await readHttpError(res) };
+    const models = Array.from(new Set(adapter.parseModels(await res.json()))).sort();
+    return { ok: true, models };
+  } catch (err) {
+    return { ok: false, error: describeProbeError(err) };
+  }
+}
+
+// 401/403 from either request means the token was rejected. It counts as
+// accepted only when a request succeeded or the completion endpoint got past
+// auth to validate the body (400/422); any other status (429, 5xx, a proxy's
+// 404) says nothing about the token and is reported with its code.
+function describeAuth(probe, listing) {
+  const rejected = (r) => r.status === 401 || r.status === 403;
+  if (rejected(probe) || rejected(listing)) return { auth: "rejected" };
+  if (probe.ok || listing.ok || probe.status === 400 || probe.status === 422) return { auth: "accepted" };
+  return { auth: "unknown", authStatus: probe.status || listing.status || null };
+}
+
+// Probes a profile from the Options form, saved or not: one tiny prompt
+// (timed) and a model listing, run side by side.
+async function testProfile(rawProfile) {
+  const profile = normalizeProfile(rawProfile);
+  if (!profile.model) throw new Error("Model is required.");
+  await ensureHostPermission(profile.apiUrl);
+
+  const probeRun = (async () => {
+    const started = performance.now();
+    try {
+      const result = await requestCompletion(profile, {
+        messages: [{ role: "user", content: "Reply with the single word OK." }],
+        generation: { systemPrompt: "", temperature: 0, maxOutputTokens: 16, reasoningEffort: "" },
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+      });
+      return { ...result, latencyMs: Math.round(performance.now() - started) };
+    } catch (err) {
+      return { ok: false, error: describeProbeError(err) };
+    }
+  })();
+  const [probe, listing] = await Promise.all([probeRun, listModels(profile)]);
+
+  return {
+    ...describeAuth(probe, listing),
+    probe: {
+      ok: probe.ok,
+      latencyMs: probe.latencyMs ?? null,
+      reply: probe.ok ? String(probe.content || "").trim().slice(0, 80) : "",
+      error: probe.ok ? "" : probe.error
+    },
+    models: listing.ok ? listing.models : [],
+    modelsError: listing.ok ? "" : listing.error
+  };
+}
+
+// Page images are fetched here so cross-origin ones work; the content script
+// downsizes the result before attaching it. Any page can ask for any URL, so
+// the request carries no cookies: the extension must not become a way to read
+// what only the user's sessions can see. Images behind a login fail here.
+async function fetchImageAsDataUrl(url) {
+  const u = new URL(String(url || ""));
+  if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error("Unsupported image URL.");
+  const res = await fetch(u.href, { credentials: "omit" });
+  if (!res.ok) throw new Error(`Image request failed (HTTP ${res.status}).`);
+  const type = String(res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  if (!type.startsWith("image/")) throw new Error("That link is not an image.");
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  if (bytes.length > MAX_IMAGE_FETCH_BYTES) throw new Error("Image is too large.");
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
 }
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+function isExtensionPage(sender) {
+  return sender?.id === chrome.runtime.id && String(sender?.url || "").startsWith(chrome.runtime.getURL(""));
+}
+
+// Page info for the conversation store, bound to the scope (global, origin,
+// URL or tab) the Options page selects for the sending tab.
+async function readPageInfo(message, sender) {
+  const config = await loadConfig();
+  const pageUrl = typeof message.pageUrl === "string" ? message.pageUrl : "";
+  const scopeKey = resolveScopeKey(config.conversationScope, {
+    url: sender?.url || sender?.tab?.url || pageUrl,
+    tabId: sender?.tab?.id
+  });
+  return {
+    pageUrl,
+    pageTitle: typeof message.pageTitle === "string" ? message.pageTitle : "",
+    scope: config.conversationScope,
+    scopeKey
+  };
+}
+
+const conversationHandlers = {
+  // Tokens never leave the background; pages only see what the picker needs.
+  PROFILES_LIST: async () => {
+    const config = await loadConfig();
+    return {
+      activeProfileId: config.activeProfileId,
+      profiles: config.profiles.map((p) => ({
+        id: p.id,
+        name: p.name,
+        protocol: p.protocol,
+        model: p.model,
+        configured: isProfileConfigured(p)
+      }))
+    };
+  },
+  CONVERSATION_LIST: async (message, sender) => {
+    const page = await readPageInfo(message, sender);
+    return {
+      scope: page.scope,
+      conversations: await listConversations({ scopeKey: page.scopeKey, all: Boolean(message.all) })
+    };
+  },
+  // Only the Options page may test profiles, since it sends a raw token.
+  PROFILE_TEST: async (message, sender) => {
+    if (!isExtensionPage(sender)) throw new Error("Profiles can only be tested from Options.");
+    return { test: await testProfile(message.profile) };
+  },
+  TEMPLATES_LIST: async () => ({ templates: await loadTemplates() }),
+  // Needs activeTab (granted by opening the panel from the toolbar) or host access.
+  CAPTURE_VISIBLE_TAB: async (message, sender) => {
+    if (typeof sender?.tab?.windowId !== "number") throw new Error("Screenshots are only available in tabs.");
+    return { dataUrl: await chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: "png" }) };
+  },
+  IMAGE_FETCH: async (message) => ({ dataUrl: await fetchImageAsDataUrl(message.url) }),
+  // Inputs for the panel's budget meter; the system prompt stays here.
+  CONTEXT_BUDGET: async (message) => {
+    const config = await loadConfig();
+    const profile = resolveProfile(config, message.profileId);
+    const generation = resolveGenerationSettings(config, message.settings);
+    return {
+      model: profile?.model || "",
+      contextWindow: contextWindowFor(profile?.model),
+      maxOutputTokens: generation.maxOutputTokens,
+      systemTokens: estimateTokens(generation.systemPrompt),
+      maxPageChars: generation.maxPageChars
+    };
+  },
+  TABS_LIST: async (message, sender) => ({ tabs: await listContextTabs(sender?.tab?.id) }),
+  TABS_COLLECT: async (message) => ({ tabs: await collectTabContexts(message.tabIds, message.maxChars) }),
+  QUICK_ACTIONS_LIST: async () => ({ actions: (await loadConfig()).quickActions }),
+  TRANSLATION_CACHE_GET: async (message) => ({
+    translations: await getCachedTranslations(message.target, message.texts)
+  }),
+  TRANSLATION_CACHE_PUT: async (message) => {
+    await putCachedTranslations(message.target, message.entries);
+    return {};
+  },
+  TRANSLATE_SITE_GET: async (message) => ({
+    always: (await loadTranslateSites()).includes(String(message.host || "").toLowerCase())
+  }),
+  TRANSLATE_SITE_SET: async (message) => ({
+    always: await setTranslateSite(message.host, Boolean(message.always))
+  }),
+  CONVERSATION_GET: async (message) => ({ conversation: await getConversation(message.id) }),
+  CONVERSATION_ACTIVE: async (message, sender) => {
+    const page = await readPageInfo(message, sender);
+    return { scope: page.scope, conversation: await getActiveConversation(page) };
+  },
+  CONVERSATION_CREATE: async (message, sender) => ({
+    conversation: await createConversation(await readPageInfo(message, sender))
+  }),
+  CONVERSATION_SWITCH: async (message, sender) => ({
+    conversation: await switchConversation(message.id, await readPageInfo(message, sender))
+  }),
+  CONVERSATION_RENAME: async (message) => ({
+    conversation: await renameConversation(message.id, message.title)
+  }),
+  CONVERSATION_PIN: async (message) => ({
+    conversation: await setConversationPinned(message.id, message.pinned)
+  }),
+  CONVERSATION_SET_PROFILE: async (message) => ({
+    conversation: await setConversationProfile(message.id, message.profileId)
+  }),
+  CONVERSATION_SET_SETTINGS: async (message) => ({
+    conversation: await setConversationSettings(message.id, message.settings)
+  }),
+  CONVERSATION_DELETE: async (message) => await deleteConversation(message.id),
+  SEARCH_ARCHIVE: async (message) => {
+    const { terms, results } = await searchArchive(String(message.query || ""));
+    const conversations = await describeConversations(results.map((r) => r.conversationId));
+    return {
+      terms,
+      results: results.map((r) => {
+        const c = conversations[r.conversationId];
+        return {
+          ...r,
+          conversationTitle: c?.title || "",
+          available: Boolean(c?.messageIds.includes(r.id))
+        };
+      })
+    };
+  },
+  CONVERSATION_EXPORT: async (message) => {
+    const ids = message.all ? null : [String(message.id || "")];
+    const conversations = await getConversationsForExport(ids);
+    if (!conversations.length) throw new Error("Nothing to export.");
+    return { file: exportConversations(conversations, message.format) };
+  },
+  CONVERSATION_IMPORT: async (message) => ({
+    summary: await importConversations(parseConversationExport(message.text))
+  }),
+  CONVERSATION_SAVE: async (message, sender) => ({
+    conversation: await saveConversationMessages(
+      message.id,
+      message.messages,
+      await readPageInfo(message, sender)
+    )
+  })
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || typeof message !== "object") return;
 
   if (message.type === "PING") {
@@ -238,96 +678,69 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return;
   }
 
-  if (message.type === "CHAT") {
-    (async () => {
-      const requestId =
-        typeof message.requestId === "string" && message.requestId.trim()
-          ? message.requestId.trim()
-          : makeRequestId();
-      const controller = new AbortController();
-      inflightChats.set(requestId, controller);
-
-      try {
-        const config = await loadConfig();
-        const apiUrl = String(config.apiUrl || "").trim();
-        if (!apiUrl) throw new Error("Missing API URL (internal error).");
-        if (!config.token) throw new Error("Missing API token. Set it in Options.");
-        if (!config.model) throw new Error("Missing model. Set it in Options.");
-
-        const messages = Array.isArray(message.messages) ? message.messages : [];
-        const systemPrompt = String(config.systemPrompt || "").trim();
-        const input = toResponsesInput(messages);
-
-        const temperature =
-          typeof config.temperature === "number" ? config.temperature : 0.2;
-
-	        const res = await fetchWithRetry(apiUrl, {
-	          method: "POST",
-	          headers: {
-	            "Content-Type": "application/json",
-	            Accept: "text/event-stream",
-	            ...buildAuthHeaders(config.token)
-	          },
-	          signal: controller.signal,
-	          body: JSON.stringify({
-	            model: config.model,
-	            input,
-	            ...(systemPrompt ? { instructions: systemPrompt } : {}),
-	            temperature,
-	            max_output_tokens: 1024,
-	            stream: true
-	          })
-	        });
-
-        if (!res.ok) {
-          const text = await res.text();
-          try {
-            const maybe = JSON.parse(text);
-            const msg = maybe?.error?.message;
-            if (typeof msg === "string" && msg.trim()) {
-              sendResponse({ ok: false, error: `HTTP ${res.status}: ${msg}` });
-              return;
-            }
-          } catch {
-            // ignore
-          }
-          sendResponse({
-            ok: false,
-            error: `HTTP ${res.status}: ${text || res.statusText}`
-          });
-          return;
-        }
-
-        const content = await readResponseText(res);
-
-        sendResponse({ ok: true, content: String(content || "") });
-	      } catch (err) {
-	        const isAbort =
-	          err?.name === "AbortError" ||
-	          /aborted/i.test(String(err?.message || "")) ||
-	          /abort/i.test(String(err || ""));
-	        if (isAbort) {
-	          sendResponse({ ok: false, cancelled: true, error: "Cancelled." });
-	          return;
-	        }
-	        const rawMsg = String(err?.message || err || "");
-	        const msg =
-	          rawMsg === "Failed to fetch"
-	            ? "Network error: Failed to fetch (temporary connection issue or API unreachable)."
-	            : rawMsg;
-	        sendResponse({ ok: false, error: msg || "Request failed." });
-	      } finally {
-	        inflightChats.delete(requestId);
-	      }
-	    })();
+  if (Object.hasOwn(conversationHandlers, message.type)) {
+    conversationHandlers[message.type](message, sender)
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
 
+  if (message.type === "CHAT") {
+    runChat({
+      messages: message.messages,
+      requestId: message.requestId,
+      profileId: message.profileId,
+      settings: message.settings,
+      origin: originOf(sender?.tab?.url || sender?.url)
+    }).then(sendResponse);
     return true;
   }
 });
 
-async function togglePanelForTab(tabId) {
+// Streaming variant of CHAT: the content script keeps a port open and receives
+// `delta` messages as tokens arrive, then a single `done` message with the result.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== CHAT_STREAM_PORT) return;
+
+  let requestId = null;
+  let disconnected = false;
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    const controller = requestId ? inflightChats.get(requestId) : null;
+    if (controller) {
+      controller.abort();
+      inflightChats.delete(requestId);
+    }
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type !== "CHAT" || requestId) return;
+    requestId =
+      typeof message.requestId === "string" && message.requestId.trim()
+        ? message.requestId.trim()
+        : makeRequestId();
+
+    const result = await runChat({
+      messages: message.messages,
+      requestId,
+      profileId: message.profileId,
+      settings: message.settings,
+      origin: originOf(port.sender?.tab?.url || port.sender?.url),
+      onDelta: (delta) => {
+        if (!disconnected) port.postMessage({ type: "delta", delta });
+      }
+    });
+    if (disconnected) return;
+    port.postMessage({ type: "done", result });
+  });
+});
+
+// Delivers a panel message, injecting the content scripts first on tabs that
+// were open before the extension loaded.
+async function sendPanelMessage(tabId, message) {
   try {
-    await chrome.tabs.sendMessage(tabId, { type: "AIHELPER_TOGGLE_PANEL" });
+    await chrome.tabs.sendMessage(tabId, message);
     return;
   } catch {
     // ignored; injection path below
@@ -336,7 +749,7 @@ async function togglePanelForTab(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ["contentScript.js"]
+      files: ["pageExtractor.js", "contentScript.js"]
     });
   } catch (err) {
     // e.g. chrome:// pages or blocked injection
@@ -345,14 +758,60 @@ async function togglePanelForTab(tabId) {
   }
 
   try {
-    await chrome.tabs.sendMessage(tabId, { type: "AIHELPER_TOGGLE_PANEL" });
+    await chrome.tabs.sendMessage(tabId, message);
   } catch (err) {
-    console.warn("Failed to toggle Codex Helper panel:", err);
+    console.warn("Failed to reach Codex Helper panel:", err);
   }
 }
 
+async function togglePanelForTab(tabId) {
+  await sendPanelMessage(tabId, { type: "AIHELPER_TOGGLE_PANEL" });
+}
+
 chrome.action.onClicked.addListener(async (tab) => {
   const tabId = tab?.id;
   if (!tabId) return;
   await togglePanelForTab(tabId);
 });
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  deleteTabConversations(tabId).catch((err) => {
+    console.warn("Failed to clean up tab conversations:", err);
+  });
+});
+
+// Tab ids are not stable across browser sessions, so per-tab conversations
+// from the previous session can never be reopened.
+chrome.runtime.onStartup.addListener(() => {
+  deleteTabConversations().catch((err) => {
+    console.warn("Failed to clean up tab conversations:", err);
+  });
+  refreshBudgetBadge().catch(() => {});
+});
+
+// New prices or budgets, or a cleared usage log, change what the badge shows.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const cleared = areaName === "local" && changes[USAGE_RECORDS_KEY] && !changes[USAGE_RECORDS_KEY].newValue;
+  if (cleared || (areaName === "sync" && changes[USAGE_SETTINGS_KEY])) {
+    refreshBudgetBadge().catch(() => {});
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  archiveAllConversations().catch((err) => {
+    console.warn("Failed to build the search archive:", err);
+  });
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ASK_IMAGE_MENU_ID,
+      title: "Ask about this image",
+      contexts: ["image"],
+      documentUrlPatterns: ["http://*/*", "https://*/*"]
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== ASK_IMAGE_MENU_ID || !tab?.id || !info.srcUrl) return;
+  await sendPanelMessage(tab.id, { type: "AIHELPER_ASK_IMAGE", srcUrl: info.srcUrl });
+});
@@ -1,24 +1,60 @@
 (() => {
   const CONFIG_KEY = "aihelper_config_v1";
-  const HISTORY_KEY = "aihelper_chat_history_v1";
-  const MAX_MESSAGES = 30;
+  // Mirrors shared/tokens.js and the storage cap in shared/history.js (content
+  // scripts cannot import modules); test/tokens.test.mjs keeps them in sync.
+  const MAX_STORED_MESSAGES = 200;
+  const MAX_STORED_BYTES = 256 * 1024;
+  const IMAGE_TOKENS = 1200;
+  const MESSAGE_OVERHEAD_TOKENS = 4;
+  const TOKEN_PIECE_RE =
+    /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+|\d+|[A-Za-z\u00c0-\u024f]+|[\p{L}\p{M}]+|\s+|[^\s\p{L}\p{M}\d]/gu;
+  const CJK_START_RE = /^[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+  const LATIN_START_RE = /^[A-Za-z\u00c0-\u024f]/;
   const QUICK_ACTION_MAX_CHARS = 4000;
   const QUICK_ACTION_MIN_CHARS = 1;
 
-  const API_URL = "https://api.openai.com/v1/responses";
-  const DEFAULT_MODEL = "gpt-5.2";
-  const SYSTEM_PROMPT =
+  const DEFAULT_SYSTEM_PROMPT =
     "You are a helpful assistant. When page context is provided, use it to answer accurately and concisely.";
-  const TEMPERATURE = 0.2;
+  const DEFAULT_TEMPERATURE = 0.2;
+  const DEFAULT_MAX_OUTPUT_TOKENS = 1024;
   const MAX_PAGE_CHARS = 12000;
   const DEFAULT_PANEL_WIDTH = "clamp(320px, 20vw, 480px)";
   const PANEL_WIDTH_KEY = "aihelper_panel_width_v1";
+  const CHUNKED_MODE_KEY = "aihelper_chunked_mode_v1";
+  // Long-page mode reads at most this many budget-sized parts per question.
+  const MAX_PAGE_CHUNKS = 20;
   const MIN_PANEL_WIDTH_PX = 280;
-
-  function getHistoryArea() {
-    // chrome.storage.session is not reliably available to content scripts across Chrome versions.
-    return chrome.storage.local;
-  }
+  const CHAT_STREAM_PORT = "aihelper_chat_stream";
+  // Sync keys of the template library (shared/templates.js).
+  const TEMPLATE_KEY_PREFIX = "aihelper_template";
+  // Display names for TRANSLATE_LANGUAGES (shared/config.js) plus scripts that
+  // are only ever detected as a source.
+  const LANGUAGE_NAMES = {
+    zh: "中文",
+    en: "英文",
+    ja: "日文",
+    ko: "韩文",
+    de: "德文",
+    fr: "法文",
+    es: "西班牙文",
+    pt: "葡萄牙文",
+    it: "意大利文",
+    ru: "俄文",
+    nl: "荷兰文",
+    ar: "阿拉伯文",
+    he: "希伯来文",
+    th: "泰文",
+    hi: "印地文",
+    el: "希腊文"
+  };
+  // Sync key of the selection menu configuration (shared/config.js).
+  const QUICK_ACTIONS_KEY = "aihelper_quick_actions_v1";
+  // Shown when the configured list cannot be loaded.
+  const FALLBACK_QUICK_ACTIONS = [
+    { id: "translate", builtin: "translate", label: "翻译", enabled: true },
+    { id: "explain", builtin: "explain", label: "解释", enabled: true },
+    { id: "copy", builtin: "copy", label: "复制", enabled: true }
+  ];
 
   function clampNumber(value, min, max) {
     return Math.min(max, Math.max(min, value));
@@ -45,31 +81,84 @@
     }
   }
 
+  function estimateTokens(text) {
+    const s = String(text || "");
+    let tokens = 0;
+    for (const [piece] of s.matchAll(TOKEN_PIECE_RE)) {
+      if (CJK_START_RE.test(piece)) tokens += piece.length;
+      else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / 3);
+      else if (LATIN_START_RE.test(piece)) tokens += Math.max(1, Math.ceil((piece.length - 2) / 4));
+      else if (/^\s/.test(piece)) tokens += piece.length > 2 ? Math.ceil(piece.length / 4) : 0;
+      else if (piece.length > 1) tokens += Math.ceil(piece.length / 2.5);
+      else tokens += 1;
+    }
+    return tokens;
+  }
+
+  function estimateMessageTokens(message) {
+    const images = Array.isArray(message?.images) ? message.images.length : 0;
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message?.content) + images * IMAGE_TOKENS;
+  }
+
+  function storedBytes(message) {
+    return new TextEncoder().encode(`${message?.content || ""}${message?.display || ""}`).length;
+  }
+
+  // Oldest turns go first once a conversation outgrows the storage cap; the
+  // opening message and the newest one are kept.
   function trimChatHistory(history) {
     const arr = Array.isArray(history) ? history : [];
-    if (arr.length <= MAX_MESSAGES) return arr;
-    return arr.slice(arr.length - MAX_MESSAGES);
-  }
-
-  async function loadChatHistory() {
-    const area = getHistoryArea();
-    const result = await area.get(HISTORY_KEY);
-    const data = result?.[HISTORY_KEY];
-    const arr = Array.isArray(data) ? data : [];
-    return trimChatHistory(
-      arr
-        .filter((m) => m && typeof m === "object")
-        .map((m) => ({ role: m.role, content: m.content }))
-        .filter(
-          (m) =>
-            (m.role === "user" || m.role === "assistant") && typeof m.content === "string"
-        )
-    );
+    if (arr.length <= 2) return arr;
+    const sizes = arr.map(storedBytes);
+    let total = sizes.reduce((sum, n) => sum + n, 0);
+    let drop = 0;
+    while (
+      (arr.length - drop > MAX_STORED_MESSAGES || total > MAX_STORED_BYTES) &&
+      1 + drop < arr.length - 1
+    ) {
+      total -= sizes[1 + drop];
+      drop += 1;
+    }
+    return drop ? [arr[0], ...arr.slice(1 + drop)] : arr;
+  }
+
+  // Conversations live in the background worker (shared/conversations.js); the panel
+  // only talks to them through runtime messages.
+  async function sendBackgroundRequest(type, payload) {
+    const res = await chrome.runtime.sendMessage({ type, ...(payload || {}) });
+    if (!res?.ok) throw new Error(res?.error || "Extension request failed.");
+    return res;
+  }
+
+  function getPageInfo() {
+    return { pageUrl: location.href || "", pageTitle: document.title || "" };
+  }
+
+  function makeChatMessage(role, content, display) {
+    return {
+      id: makeRequestId(),
+      role,
+      content,
+      ...(display ? { display } : {}),
+      ts: Date.now()
+    };
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return "";
+    }
   }
 
-  async function saveChatHistory(history) {
-    const area = getHistoryArea();
-    await area.set({ [HISTORY_KEY]: trimChatHistory(history) });
+  function formatShortDate(ts) {
+    const d = new Date(typeof ts === "number" ? ts : Date.now());
+    const now = new Date();
+    if (d.toDateString() === now.toDateString()) {
+      return d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    }
+    return d.toLocaleDateString([], { month: "short", day: "numeric" });
   }
 
   async function loadConfig() {
@@ -77,18 +166,20 @@
     const saved = result?.[CONFIG_KEY] && typeof result[CONFIG_KEY] === "object"
       ? result[CONFIG_KEY]
       : {};
-    const token = typeof saved.token === "string" ? saved.token : "";
-    const modelRaw = typeof saved.model === "string" ? saved.model : "";
-    const model = modelRaw.trim() || DEFAULT_MODEL;
+    // Provider profiles (and their tokens) are read by the background only.
+    // Generation settings are validated by saveConfig in shared/config.js.
     const enableSelectionActions = Boolean(saved.enableSelectionActions);
     return {
-      apiUrl: API_URL,
-      token,
-      model,
       enableSelectionActions,
-      systemPrompt: SYSTEM_PROMPT,
-      temperature: TEMPERATURE,
-      maxPageChars: MAX_PAGE_CHARS
+      systemPrompt: typeof saved.systemPrompt === "string" ? saved.systemPrompt : DEFAULT_SYSTEM_PROMPT,
+      temperature: typeof saved.temperature === "number" ? saved.temperature : DEFAULT_TEMPERATURE,
+      maxOutputTokens:
+        typeof saved.maxOutputTokens === "number" ? saved.maxOutputTokens : DEFAULT_MAX_OUTPUT_TOKENS,
+      maxPageChars: typeof saved.maxPageChars === "number" ? saved.maxPageChars : MAX_PAGE_CHARS,
+      reasoningEffort: typeof saved.reasoningEffort === "string" ? saved.reasoningEffort : "",
+      translateTargetLanguage:
+        typeof saved.translateTargetLanguage === "string" ? saved.translateTargetLanguage : "auto",
+      translateDisplay: typeof saved.translateDisplay === "string" ? saved.translateDisplay : "panel"
     };
   }
 
@@ -134,6 +225,677 @@
     return parts.length ? parts : [{ type: "text", text: src }];
   }
 
+  // Small offline highlighter: each language is an ordered list of sticky token
+  // rules; text no rule matches is emitted as plain text.
+  const CODE_HIGHLIGHT_MAX_CHARS = 40000;
+  const CODE_LANG_ALIASES = {
+    js: "javascript", javascript: "javascript", jsx: "javascript", mjs: "javascript", cjs: "javascript",
+    ts: "typescript", typescript: "typescript", tsx: "typescript",
+    py: "python", python: "python", python3: "python",
+    sh: "bash", bash: "bash", shell: "bash", zsh: "bash", console: "bash",
+    json: "json", jsonc: "json", json5: "json",
+    yaml: "yaml", yml: "yaml",
+    html: "markup", xml: "markup", svg: "markup", vue: "markup",
+    css: "css", scss: "css", less: "css",
+    c: "c", h: "c", cpp: "cpp", "c++": "cpp", cc: "cpp", hpp: "cpp",
+    cs: "csharp", csharp: "csharp", java: "java", kotlin: "kotlin", kt: "kotlin",
+    go: "go", golang: "go", rust: "rust", rs: "rust", swift: "swift",
+    php: "php", rb: "ruby", ruby: "ruby",
+    sql: "sql", mysql: "sql", postgresql: "sql", psql: "sql",
+    diff: "diff", patch: "diff"
+  };
+  const CODE_FILE_EXTENSIONS = {
+    javascript: "js", typescript: "ts", python: "py", bash: "sh", json: "json", yaml: "yaml",
+    markup: "html", css: "css", c: "c", cpp: "cpp", csharp: "cs", java: "java", kotlin: "kt",
+    go: "go", rust: "rs", swift: "swift", php: "php", ruby: "rb", sql: "sql", diff: "diff"
+  };
+  const RAW_EXTENSIONS = { xml: "xml", svg: "svg", vue: "vue", tsx: "tsx", jsx: "jsx", scss: "scss", less: "less", h: "h", hpp: "hpp" };
+
+  function wordsRe(words, flags) {
+    return new RegExp(`\\b(?:${words.split(" ").join("|")})\\b`, flags || "");
+  }
+
+  const HL_NUMBER = ["num", /(?:0x[\da-f]+|0b[01]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)[a-z]*/i];
+  const HL_DQ_STRING = ["str", /"(?:[^"\\\n]|\\.)*"?/];
+  const HL_SQ_STRING = ["str", /'(?:[^'\\\n]|\\.)*'?/];
+  const HL_SLASH_COMMENTS = [
+    ["com", /\/\/[^\n]*/],
+    ["com", /\/\*[\s\S]*?(?:\*\/|$)/]
+  ];
+  const HL_HASH_COMMENT = ["com", /#[^\n]*/];
+  const HL_FUNCTION = ["fn", /[A-Za-z_$][\w$]*(?=\s*\()/];
+
+  function cLikeRules(keywords, literals, extra) {
+    return [
+      ...HL_SLASH_COMMENTS,
+      ...(extra || []),
+      HL_DQ_STRING,
+      HL_SQ_STRING,
+      ["lit", wordsRe(literals)],
+      ["kw", wordsRe(keywords)],
+      HL_NUMBER,
+      HL_FUNCTION
+    ];
+  }
+
+  const HL_LANGS = {
+    javascript: cLikeRules(
+      "async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield",
+      "true false null undefined NaN Infinity",
+      [["str", /`(?:[^`\\]|\\[\s\S])*`?/]]
+    ),
+    typescript: cLikeRules(
+      "abstract as async await break case catch class const continue declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let namespace new of private protected public readonly return satisfies set static super switch this throw try type typeof var void while yield",
+      "true false null undefined never unknown any string number boolean",
+      [["str", /`(?:[^`\\]|\\[\s\S])*`?/]]
+    ),
+    c: cLikeRules(
+      "auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while",
+      "NULL true false",
+      [["meta", /#\s*[a-z]+[^\n]*/]]
+    ),
+    cpp: cLikeRules(
+      "auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long mutable namespace new noexcept operator override private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while",
+      "nullptr NULL true false",
+      [["meta", /#\s*[a-z]+[^\n]*/]]
+    ),
+    csharp: cLikeRules(
+      "abstract async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally float for foreach get if implicit in int interface internal is lock long namespace new object out override params private protected public readonly ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void while yield",
+      "true false null"
+    ),
+    java: cLikeRules(
+      "abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public record return short static super switch synchronized this throw throws try var void volatile while",
+      "true false null",
+      [["meta", /@[A-Za-z_]\w*/]]
+    ),
+    kotlin: cLikeRules(
+      "as break class companion continue data do else enum for fun if import in interface is object override package private protected public return sealed super this throw try val var when while",
+      "true false null",
+      [["meta", /@[A-Za-z_]\w*/]]
+    ),
+    go: cLikeRules(
+      "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var",
+      "true false nil iota",
+      [["str", /`[^`]*`?/]]
+    ),
+    rust: cLikeRules(
+      "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while",
+      "true false None Some Ok Err",
+      [["meta", /#!?\[[^\]\n]*\]/], ["fn", /[a-z_]\w*!/]]
+    ),
+    swift: cLikeRules(
+      "as break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal is let private protocol public repeat return self static struct subscript super switch throw throws try var where while",
+      "true false nil"
+    ),
+    php: cLikeRules(
+      "abstract as break case catch class const continue default do echo else elseif extends final finally fn for foreach function if implements include interface namespace new private protected public require return static switch throw trait try use while",
+      "true false null",
+      [HL_HASH_COMMENT, ["var", /\$[A-Za-z_]\w*/]]
+    ),
+    python: [
+      HL_HASH_COMMENT,
+      ["str", /[rbfu]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/i],
+      ["str", /[rbfu]{0,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/i],
+      ["meta", /@[A-Za-z_][\w.]*/],
+      ["lit", wordsRe("True False None")],
+      [
+        "kw",
+        wordsRe(
+          "and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield self"
+        )
+      ],
+      HL_NUMBER,
+      HL_FUNCTION
+    ],
+    ruby: [
+      HL_HASH_COMMENT,
+      HL_DQ_STRING,
+      HL_SQ_STRING,
+      ["var", /[@$][A-Za-z_]\w*|:[A-Za-z_]\w*/],
+      ["lit", wordsRe("true false nil")],
+      [
+        "kw",
+        wordsRe(
+          "alias and begin break case class def do else elsif end ensure for if in module next not or redo rescue retry return self super then unless until when while yield require"
+        )
+      ],
+      HL_NUMBER,
+      HL_FUNCTION
+    ],
+    bash: [
+      HL_HASH_COMMENT,
+      HL_DQ_STRING,
+      ["str", /'[^']*'?/],
+      ["var", /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[@*#?$!0-9-])/],
+      [
+        "kw",
+        wordsRe("if then else elif fi for while until do done case esac in function return export local readonly unset sudo")
+      ],
+      ["fn", /(?:^|(?<=[|;&]\s*))[A-Za-z_][\w.-]*/m],
+      ["attr", /\s--?[A-Za-z][\w-]*/]
+    ],
+    json: [
+      ["prop", /"(?:[^"\\\n]|\\.)*"(?=\s*:)/],
+      HL_DQ_STRING,
+      ["lit", wordsRe("true false null")],
+      ["num", /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i],
+      ...HL_SLASH_COMMENTS
+    ],
+    yaml: [
+      HL_HASH_COMMENT,
+      ["prop", /[A-Za-z_][\w.-]*(?=\s*:(?:\s|$))/],
+      HL_DQ_STRING,
+      HL_SQ_STRING,
+      ["lit", wordsRe("true false null yes no on off", "i")],
+      ["meta", /^(?:---|\.\.\.)$|[&*][\w-]+|![\w!-]+/m],
+      HL_NUMBER
+    ],
+    markup: [
+      ["com", /<!--[\s\S]*?(?:-->|$)/],
+      ["meta", /<![^>]*>?|<\?[\s\S]*?(?:\?>|$)/],
+      ["tag", /<\/?[A-Za-z][\w:.-]*|\/?>/],
+      ["attr", /[A-Za-z_:][\w:.-]*(?==)/],
+      HL_DQ_STRING,
+      HL_SQ_STRING
+    ],
+    css: [
+      ["com", /\/\*[\s\S]*?(?:\*\/|$)/],
+      HL_DQ_STRING,
+      HL_SQ_STRING,
+      ["meta", /@[\w-]+/],
+      ["prop", /[\w-]+(?=\s*:[^;{}]*[;}])/],
+      ["num", /#[\da-f]{3,8}\b|-?\d*\.?\d+(?:%|[a-z]+)?/i],
+      ["fn", /[\w-]+(?=\()/],
+      ["kw", /!important\b/]
+    ],
+    sql: [
+      ["com", /--[^\n]*/],
+      ["com", /\/\*[\s\S]*?(?:\*\/|$)/],
+      HL_SQ_STRING,
+      HL_DQ_STRING,
+      ["lit", wordsRe("true false null", "i")],
+      [
+        "kw",
+        wordsRe(
+          "add all alter and as asc begin between by case check column commit constraint create cross database default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not offset on or order outer primary references right rollback select set table then transaction truncate union unique update values view when where with",
+          "i"
+        )
+      ],
+      HL_NUMBER,
+      HL_FUNCTION
+    ],
+    diff: [
+      ["meta", /^(?:@@[^\n]*|diff [^\n]*|index [^\n]*|\+\+\+[^\n]*|---[^\n]*)/m],
+      ["add", /^\+[^\n]*/m],
+      ["del", /^-[^\n]*/m]
+    ]
+  };
+
+  const HL_COMPILED = new Map();
+
+  function resolveCodeLanguage(lang) {
+    const key = String(lang || "").trim().toLowerCase().split(/[\s{]/)[0];
+    return CODE_LANG_ALIASES[key] || "";
+  }
+
+  function codeFileExtension(lang) {
+    const key = String(lang || "").trim().toLowerCase().split(/[\s{]/)[0];
+    if (RAW_EXTENSIONS[key]) return RAW_EXTENSIONS[key];
+    const resolved = resolveCodeLanguage(key);
+    if (resolved) return CODE_FILE_EXTENSIONS[resolved];
+    return /^[a-z0-9]{1,8}$/.test(key) ? key : "txt";
+  }
+
+  function tokenizeCode(code, language) {
+    const src = String(code || "");
+    const rulesSrc = HL_LANGS[language];
+    if (!rulesSrc || src.length > CODE_HIGHLIGHT_MAX_CHARS) return [{ cls: "", text: src }];
+    if (!HL_COMPILED.has(language)) {
+      HL_COMPILED.set(
+        language,
+        rulesSrc.map(([cls, re]) => [cls, new RegExp(re.source, re.flags.replace(/[gy]/g, "") + "y")])
+      );
+    }
+    const rules = HL_COMPILED.get(language);
+    const tokens = [];
+    let plain = "";
+    let pos = 0;
+    while (pos < src.length) {
+      let matched = null;
+      for (const [cls, re] of rules) {
+        re.lastIndex = pos;
+        const m = re.exec(src);
+        if (m && m[0].length) {
+          matched = { cls, text: m[0] };
+          break;
+        }
+      }
+      if (!matched) {
+        // Skip over whole identifiers so keywords never match inside longer words.
+        const word = /[\w$]+/y;
+        word.lastIndex = pos;
+        const w = word.exec(src);
+        const text = w ? w[0] : src[pos];
+        plain += text;
+        pos += text.length;
+        continue;
+      }
+      if (plain) tokens.push({ cls: "", text: plain });
+      plain = "";
+      tokens.push(matched);
+      pos += matched.text.length;
+    }
+    if (plain) tokens.push({ cls: "", text: plain });
+    return tokens;
+  }
+
+  // One span per line so line numbers can be drawn with a CSS counter; tokens
+  // that span lines (block comments, template strings) are split at newlines.
+  function renderHighlightedCode(codeEl, code, language) {
+    codeEl.textContent = "";
+    const text = String(code || "").replace(/\n$/, "");
+    let line = el("span", { class: "line" });
+    for (const token of tokenizeCode(text, language)) {
+      const pieces = token.text.split("\n");
+      pieces.forEach((piece, i) => {
+        if (i > 0) {
+          codeEl.appendChild(line);
+          codeEl.appendChild(document.createTextNode("\n"));
+          line = el("span", { class: "line" });
+        }
+        if (!piece) return;
+        line.appendChild(token.cls ? el("span", { class: `tok-${token.cls}`, text: piece }) : document.createTextNode(piece));
+      });
+    }
+    codeEl.appendChild(line);
+  }
+
+  function renderCodeBlock(lang, code) {
+    const codeText = String(code || "");
+    const language = resolveCodeLanguage(lang);
+    const copyBtn = el("button", { class: "btn secondary", type: "button", text: "Copy" });
+    const wrapBtn = el("button", { class: "btn secondary", type: "button", text: "Wrap", title: "Wrap long lines" });
+    const numbersBtn = el("button", { class: "btn secondary", type: "button", text: "#", title: "Line numbers" });
+    const downloadBtn = el("button", { class: "btn secondary", type: "button", text: "↓", title: "Download" });
+    const hint = el("div", { class: "copyhint", text: "" });
+    const codeEl = el("code", { class: language ? `lang-${language}` : "" });
+    const preEl = el("pre", {}, [codeEl]);
+    renderHighlightedCode(codeEl, codeText, language);
+
+    copyBtn.addEventListener("click", async () => {
+      const ok = await copyToClipboard(codeText);
+      hint.textContent = ok ? "Copied" : "Copy failed";
+      setTimeout(() => {
+        hint.textContent = "";
+      }, 1200);
+    });
+    wrapBtn.addEventListener("click", () => {
+      wrapBtn.classList.toggle("on", preEl.classList.toggle("wrap"));
+    });
+    numbersBtn.addEventListener("click", () => {
+      numbersBtn.classList.toggle("on", preEl.classList.toggle("numbered"));
+    });
+    downloadBtn.addEventListener("click", () => {
+      downloadTextFile(`snippet.${codeFileExtension(lang)}`, "text/plain", codeText);
+    });
+
+    return el("div", { class: "codeblock" }, [
+      el("div", { class: "codebar" }, [
+        el("div", { class: "codelang", text: lang ? lang : "code" }),
+        el("div", { class: "actions" }, [hint, wrapBtn, numbersBtn, downloadBtn, copyBtn])
+      ]),
+      preEl
+    ]);
+  }
+
+  // Minimal GFM renderer for assistant replies. Everything is built with DOM
+  // APIs and text nodes, so model output is never parsed as HTML.
+  const MD_LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+  const MD_HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const MD_HR_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const MD_FENCE_RE = /^\s*(`{3,}|~{3,})\s*([^`\s]*)/;
+  const MD_QUOTE_RE = /^\s{0,3}>\s?/;
+  const MD_TABLE_DELIM_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+  const MD_INLINE_RE =
+    /\\(?<esc>[\\`*_{}[\]()#+\-.!~|>])|(?<ticks>`+)(?<code>[\s\S]*?[^`])\k<ticks>(?!`)|\[(?<cite>a\d{1,5}(?:\s*,\s*a\d{1,5})*)\](?!\()|!\[(?<imgAlt>[^\]]*)\]\((?<imgSrc>(?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)|\[(?<linkText>(?:[^[\]]|\[[^\]]*\])+)\]\((?<linkHref>(?:[^()\s]|\([^()\s]*\))+)(?:\s+"(?<linkTitle>[^"]*)")?\)|<(?<auto>(?:https?:\/\/|mailto:)[^>\s]+)>|(?<bare>https?:\/\/[^\s<]*[^\s<.,:;"'!?)\]])|\*\*(?<strong>[^*\s](?:[\s\S]*?[^*\s])?)\*\*|__(?<strong2>[^_\s](?:[\s\S]*?[^_\s])?)__|~~(?<del>[^~\s](?:[\s\S]*?[^~\s])?)~~|\*(?<em>[^*\s](?:[\s\S]*?[^*\s])?)\*|(?<![\p{L}\p{N}_])_(?<em2>[^_\s](?:[\s\S]*?[^_\s])?)_(?![\p{L}\p{N}_])/u;
+
+  function safeLinkHref(href) {
+    try {
+      const u = new URL(String(href || ""), location.href);
+      return u.protocol === "http:" || u.protocol === "https:" || u.protocol === "mailto:"
+        ? u.href
+        : "";
+    } catch {
+      return "";
+    }
+  }
+
+  function makeExternalLink(href, title) {
+    const a = el("a", { href, target: "_blank", rel: "noopener noreferrer nofollow" });
+    if (title) a.title = title;
+    return a;
+  }
+
+  // Page blocks sent with anchors carry a data-aihelper-anchor id; a citation
+  // chip scrolls to its block and outlines it for a moment.
+  let citeHighlight = null;
+
+  function clearCiteHighlight() {
+    if (!citeHighlight) return;
+    clearTimeout(citeHighlight.timer);
+    citeHighlight.node.style.outline = citeHighlight.outline;
+    citeHighlight.node.style.outlineOffset = citeHighlight.outlineOffset;
+    citeHighlight.node.style.backgroundColor = citeHighlight.backgroundColor;
+    citeHighlight = null;
+  }
+
+  function scrollToAnchor(id) {
+    let node = null;
+    try {
+      node = document.querySelector(`[data-aihelper-anchor="${CSS.escape(id)}"]`);
+    } catch {
+      // ignore
+    }
+    if (!node || !node.isConnected) return false;
+    clearCiteHighlight();
+    const { outline, outlineOffset, backgroundColor } = node.style;
+    node.style.outline = "2px solid rgba(110, 231, 255, 0.9)";
+    node.style.outlineOffset = "3px";
+    node.style.backgroundColor = "rgba(110, 231, 255, 0.15)";
+    citeHighlight = { node, outline, outlineOffset, backgroundColor, timer: setTimeout(clearCiteHighlight, 2200) };
+    node.scrollIntoView({ behavior: "smooth", block: "center" });
+    return true;
+  }
+
+  function renderCitation(parent, ids) {
+    ids.forEach((id) => {
+      const chip = el("button", {
+        class: "cite",
+        type: "button",
+        title: "Show source on page",
+        text: id.slice(1),
+        onclick: () => {
+          if (scrollToAnchor(id)) return;
+          chip.classList.add("missing");
+          chip.title = "Source not found on this page (it may have changed)";
+        }
+      });
+      parent.appendChild(chip);
+    });
+  }
+
+  function renderInlineMarkdown(parent, text) {
+    const src = String(text || "");
+    // A fresh regex per call: nested calls must not share lastIndex.
+    const re = new RegExp(MD_INLINE_RE.source, "gu");
+    let last = 0;
+    for (;;) {
+      const m = re.exec(src);
+      if (!m) break;
+      if (m.index > last) parent.appendChild(document.createTextNode(src.slice(last, m.index)));
+      last = re.lastIndex;
+      const g = m.groups;
+      if (g.esc !== undefined) {
+        parent.appendChild(document.createTextNode(g.esc));
+      } else if (g.cite !== undefined) {
+        renderCitation(parent, g.cite.split(/\s*,\s*/));
+      } else if (g.code !== undefined) {
+        const code = g.code.length > 2 && g.code.startsWith(" ") && g.code.endsWith(" ")
+          ? g.code.slice(1, -1)
+          : g.code;
+        parent.appendChild(el("code", { class: "inline", text: code }));
+      } else if (g.imgSrc !== undefined) {
+        // Remote images are not loaded (no tracking pixels); link to them instead.
+        const href = safeLinkHref(g.imgSrc);
+        const label = `🖼 ${g.imgAlt || "image"}`;
+        if (href) {
+          const a = makeExternalLink(href, g.imgSrc);
+          a.textContent = label;
+          parent.appendChild(a);
+        } else {
+          parent.appendChild(document.createTextNode(label));
+        }
+      } else if (g.linkHref !== undefined) {
+        const href = safeLinkHref(g.linkHref);
+        if (!href) {
+          renderInlineMarkdown(parent, g.linkText);
+        } else {
+          const a = makeExternalLink(href, g.linkTitle || href);
+          renderInlineMarkdown(a, g.linkText);
+          parent.appendChild(a);
+        }
+      } else if (g.auto !== undefined || g.bare !== undefined) {
+        const raw = g.auto ?? g.bare;
+        const href = safeLinkHref(raw);
+        if (href) {
+          const a = makeExternalLink(href, "");
+          a.textContent = raw;
+          parent.appendChild(a);
+        } else {
+          parent.appendChild(document.createTextNode(m[0]));
+        }
+      } else if (g.strong !== undefined || g.strong2 !== undefined) {
+        const node = el("strong");
+        renderInlineMarkdown(node, g.strong ?? g.strong2);
+        parent.appendChild(node);
+      } else if (g.del !== undefined) {
+        const node = el("del");
+        renderInlineMarkdown(node, g.del);
+        parent.appendChild(node);
+      } else {
+        const node = el("em");
+        renderInlineMarkdown(node, g.em ?? g.em2);
+        parent.appendChild(node);
+      }
+    }
+    if (last < src.length) parent.appendChild(document.createTextNode(src.slice(last)));
+  }
+
+  function renderInlineLines(parent, lines) {
+    lines.forEach((line, i) => {
+      if (i > 0) parent.appendChild(el("br"));
+      renderInlineMarkdown(parent, line);
+    });
+  }
+
+  function indentOf(line) {
+    return String(line).match(/^\s*/)[0].replace(/\t/g, "    ").length;
+  }
+
+  function isTableStart(lines, i) {
+    return (
+      i + 1 < lines.length &&
+      lines[i].includes("|") &&
+      MD_TABLE_DELIM_RE.test(lines[i + 1]) &&
+      lines[i + 1].includes("-")
+    );
+  }
+
+  function isMarkdownBlockStart(lines, i) {
+    const line = lines[i];
+    return (
+      MD_HEADING_RE.test(line) ||
+      MD_HR_RE.test(line) ||
+      MD_FENCE_RE.test(line) ||
+      MD_QUOTE_RE.test(line) ||
+      MD_LIST_RE.test(line) ||
+      isTableStart(lines, i)
+    );
+  }
+
+  function splitTableRow(line) {
+    let t = String(line).trim();
+    if (t.startsWith("|")) t = t.slice(1);
+    if (t.endsWith("|") && !t.endsWith("\\|")) t = t.slice(0, -1);
+    return t.split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+  }
+
+  function renderMarkdownTable(parent, lines, start) {
+    const header = splitTableRow(lines[start]);
+    const aligns = splitTableRow(lines[start + 1]).map((c) => {
+      const left = c.startsWith(":");
+      const right = c.endsWith(":");
+      if (left && right) return "center";
+      if (right) return "right";
+      return left ? "left" : "";
+    });
+    const cell = (tag, text, col) => {
+      const node = el(tag);
+      if (aligns[col]) node.style.textAlign = aligns[col];
+      renderInlineMarkdown(node, text);
+      return node;
+    };
+    const thead = el("thead", {}, [el("tr", {}, header.map((h, col) => cell("th", h, col)))]);
+    const tbody = el("tbody");
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+      const cells = splitTableRow(lines[i]);
+      tbody.appendChild(el("tr", {}, header.map((_h, col) => cell("td", cells[col] || "", col))));
+      i++;
+    }
+    parent.appendChild(el("div", { class: "tablewrap" }, [el("table", {}, [thead, tbody])]));
+    return i;
+  }
+
+  function renderMarkdownList(parent, lines, start) {
+    const first = lines[start].match(MD_LIST_RE);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const list = el(ordered ? "ol" : "ul");
+    if (ordered) {
+      const n = parseInt(first[2], 10);
+      if (n !== 1) list.setAttribute("start", String(n));
+    }
+
+    let i = start;
+    while (i < lines.length) {
+      // Blank lines between items keep the list going ("loose" lists).
+      if (!lines[i].trim()) {
+        let j = i + 1;
+        while (j < lines.length && !lines[j].trim()) j++;
+        const next = j < lines.length ? lines[j].match(MD_LIST_RE) : null;
+        if (!next || indentOf(next[1]) !== baseIndent || /\d/.test(next[2]) !== ordered) break;
+        i = j;
+      }
+      const m = lines[i].match(MD_LIST_RE);
+      if (!m || indentOf(m[1]) !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+      const contentIndent = baseIndent + m[2].length + 1;
+      const itemLines = [m[3] || ""];
+      i++;
+      while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+          let j = i + 1;
+          while (j < lines.length && !lines[j].trim()) j++;
+          if (j < lines.length && indentOf(lines[j]) > baseIndent) {
+            itemLines.push("");
+            i++;
+            continue;
+          }
+          break;
+        }
+        const ind = indentOf(line);
+        if (ind > baseIndent) {
+          itemLines.push(line.replace(/\t/g, "    ").slice(Math.min(ind, contentIndent)));
+          i++;
+          continue;
+        }
+        if (isMarkdownBlockStart(lines, i)) break;
+        itemLines.push(line.trim()); // lazy continuation
+        i++;
+      }
+
+      const li = el("li");
+      const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+      if (task) {
+        li.className = "task";
+        const box = el("input", { type: "checkbox", disabled: "" });
+        box.checked = task[1] !== " ";
+        li.appendChild(box);
+        itemLines[0] = itemLines[0].slice(task[0].length);
+      }
+      renderMarkdownBlocks(li, itemLines);
+      list.appendChild(li);
+    }
+    parent.appendChild(list);
+    return i;
+  }
+
+  function renderMarkdownBlocks(parent, lines) {
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(MD_FENCE_RE);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+        i++; // closing fence (or end of a still-streaming reply)
+        parent.appendChild(renderCodeBlock(fence[2], code.join("\n") + "\n"));
+        continue;
+      }
+
+      const heading = line.match(MD_HEADING_RE);
+      if (heading) {
+        const node = el(`h${heading[1].length}`);
+        renderInlineMarkdown(node, heading[2]);
+        parent.appendChild(node);
+        i++;
+        continue;
+      }
+
+      if (MD_HR_RE.test(line)) {
+        parent.appendChild(el("hr"));
+        i++;
+        continue;
+      }
+
+      if (MD_QUOTE_RE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim()) {
+          quoted.push(lines[i].replace(MD_QUOTE_RE, ""));
+          i++;
+        }
+        const node = el("blockquote");
+        renderMarkdownBlocks(node, quoted);
+        parent.appendChild(node);
+        continue;
+      }
+
+      if (isTableStart(lines, i)) {
+        i = renderMarkdownTable(parent, lines, i);
+        continue;
+      }
+
+      if (MD_LIST_RE.test(line)) {
+        i = renderMarkdownList(parent, lines, i);
+        continue;
+      }
+
+      const para = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines, i)) {
+        para.push(lines[i].trim());
+        i++;
+      }
+      const p = el("p");
+      renderInlineLines(p, para);
+      parent.appendChild(p);
+    }
+  }
+
+  function renderMarkdown(text) {
+    const root = el("div", { class: "md" });
+    renderMarkdownBlocks(root, String(text || "").replace(/\r\n?/g, "\n").split("\n"));
+    return root;
+  }
+
   async function copyToClipboard(text) {
     const value = String(text || "");
     try {
@@ -159,30 +921,179 @@
     }
   }
 
-  function buildUserMessage(userText, pageContext, includePage) {
+  function downloadTextFile(filename, mimeType, text) {
+    const blob = new Blob([String(text || "")], { type: `${mimeType || "text/plain"};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.documentElement.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function readClipboardText() {
+    try {
+      return String((await navigator.clipboard.readText()) || "");
+    } catch {
+      return "";
+    }
+  }
+
+  const TEMPLATE_VAR_RE = /\{\{\s*([a-z.]+)\s*\}\}/g;
+
+  function templateUses(body, name) {
+    for (const m of String(body || "").matchAll(TEMPLATE_VAR_RE)) {
+      if (m[1] === name) return true;
+    }
+    return false;
+  }
+
+  // Unknown variables are left in place so typos stay visible in the prompt.
+  function renderPromptTemplate(body, values) {
+    return String(body || "")
+      .replace(TEMPLATE_VAR_RE, (whole, name) =>
+        Object.hasOwn(values, name) ? String(values[name] ?? "") : whole
+      )
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  // `regions` are elements picked on the page, `tabs` the content of other
+  // open tabs (from TABS_COLLECT) and `files` attachments from the composer;
+  // all are sent whether or not the current page is included.
+  function buildUserMessage(userText, pageContext, includePage, { regions = [], tabs = [], files = [] } = {}) {
     const text = String(userText || "").trim();
     if (!text) return "";
-    if (!includePage || !pageContext) return text;
+    const withPage = Boolean(includePage && pageContext);
+    if (!withPage && !regions.length && !tabs.length && !files.length) return text;
 
     const lines = [];
-    lines.push("Page context:");
-    if (pageContext.title) lines.push(`Title: ${pageContext.title}`);
-    if (pageContext.url) lines.push(`URL: ${pageContext.url}`);
-    if (pageContext.selection) {
-      lines.push("Selection:");
-      lines.push(pageContext.selection);
-    }
-    if (pageContext.content) {
-      lines.push("Content:");
-      lines.push(pageContext.content);
-    }
-    lines.push("");
+    if (withPage) {
+      lines.push("Page context:");
+      if (pageContext.title) lines.push(`Title: ${pageContext.title}`);
+      if (pageContext.url) lines.push(`URL: ${pageContext.url}`);
+      if (pageContext.selection) {
+        lines.push("Selection:");
+        lines.push(pageContext.selection);
+      }
+      if (pageContext.content) {
+        lines.push("Content:");
+        lines.push(pageContext.content);
+      }
+      if (pageContext.extraction?.anchors) {
+        lines.push("");
+        lines.push(
+          "Content blocks are tagged like [a12]. When a statement relies on the page, cite the block right after it, e.g. [a12] or [a3, a7]. Only cite tags that appear above."
+        );
+      }
+      lines.push("");
+    }
+    if (regions.length) {
+      lines.push(`Picked page regions${withPage ? "" : ` (from ${document.title || location.href})`}:`);
+      regions.forEach((region, i) => {
+        if (region.format === "table") {
+          lines.push(`[Region ${i + 1}] ${region.label} (table):`, region.table);
+          return;
+        }
+        const html = region.format === "html";
+        lines.push(`[Region ${i + 1}] ${region.label} (${html ? "simplified HTML" : "text"}):`);
+        lines.push(`\`\`\`${html ? "html" : ""}`, regionContent(region), "\`\`\`");
+      });
+      lines.push("");
+    }
+    if (tabs.length) {
+      lines.push(`Other open tabs (${tabs.length}), each under its own header:`);
+      tabs.forEach((tab, i) => {
+        lines.push("", `=== Tab ${i + 1}: ${tab.title || tab.url} ===`, `URL: ${tab.url}`);
+        lines.push(tab.error ? `(Could not read this tab: ${tab.error})` : tab.content || "(No text content)");
+      });
+      lines.push("", "When comparing or citing, name the tab by its number or title.", "");
+    }
+    if (files.length) {
+      lines.push(`Attached files (${files.length}):`);
+      files.forEach((file, i) => {
+        const label = `${file.name} (${formatBytes(file.size)}${file.kind === "pdf" ? ", text extracted from PDF" : ""})`;
+        lines.push("", `----- BEGIN ATTACHMENT ${i + 1}: ${label} -----`, file.text, `----- END ATTACHMENT ${i + 1} -----`);
+      });
+      lines.push("");
+    }
     lines.push("User question:");
     lines.push(text);
     return lines.join("\n");
   }
 
-  function getPageContext(maxChars) {
+  // Splits page Markdown into parts of at most `size` characters on block
+  // boundaries, remembering where each part starts and the heading in effect.
+  function splitPageIntoChunks(content, size) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    let start = 0;
+    let offset = 0;
+    let heading = "";
+    let chunkHeading = "";
+    const push = () => {
+      chunks.push({ text: current.join("\n\n"), start, end: offset - 2, heading: chunkHeading });
+      current = [];
+      length = 0;
+      start = offset;
+    };
+    for (const raw of String(content || "").split(/\n{2,}/)) {
+      for (let i = 0; i < raw.length; i += size) {
+        const block = raw.slice(i, i + size);
+        if (current.length && length + block.length + 2 > size) push();
+        const m = block.match(/^#{1,6}\s+(.+)/);
+        if (m) heading = m[1].trim();
+        if (!current.length) chunkHeading = heading;
+        current.push(block);
+        length += block.length + 2;
+        offset += block.length + 2;
+      }
+    }
+    if (current.length) push();
+    return chunks;
+  }
+
+  function describeChunk(chunk, index) {
+    const range = `chars ${(chunk.start + 1).toLocaleString()}–${chunk.end.toLocaleString()}`;
+    return `[#${index + 1}] ${range}${chunk.heading ? ` · § ${chunk.heading}` : ""}`;
+  }
+
+  function buildChunkPrompt(chunk, index, total, question, title) {
+    return [
+      `You are reading part ${index + 1} of ${total} of a long web page${title ? ` ("${title}")` : ""}, ${describeChunk(chunk, index).replace(/^\[#\d+\] /, "")}.`,
+      `Question: ${question}`,
+      "List every fact, figure, definition or quote in this part that helps answer the question, as short bullet points. Quote exact wording for key details and keep the [aN] tag of the block each point comes from. If nothing in this part is relevant, reply with exactly: NONE",
+      "",
+      `Part ${index + 1}:`,
+      chunk.text
+    ].join("\n");
+  }
+
+  // The "reduce" input: per-part notes, labelled so the answer can cite them.
+  function combineChunkNotes(notes, chunks, totalChunks, pageChars) {
+    const lines = [
+      `This page (${pageChars.toLocaleString()} chars) was too long to send whole. It was read in ${totalChunks} parts; below are notes taken from each part for this question. When you use a note, cite its part like [#2].`
+    ];
+    if (chunks.length < totalChunks) lines.push(`Only the first ${chunks.length} parts were read.`);
+    let relevant = 0;
+    notes.forEach((note, i) => {
+      if (!note || /^NONE\.?$/i.test(note.trim())) return;
+      relevant += 1;
+      lines.push("", describeChunk(chunks[i], i), note.trim());
+    });
+    if (!relevant) lines.push("", "No part contained information relevant to the question.");
+    return lines.join("\n");
+  }
+
+  // pageExtractor.js picks out the main content as Markdown; the raw body
+  // text is the fallback if it failed to load. `options.anchors` tags blocks
+  // for citations.
+  function getPageContext(maxChars, options = {}) {
+    if (typeof window.__aihelperExtractPage === "function") return window.__aihelperExtractPage(maxChars, options);
     const selection = String(window.getSelection?.()?.toString?.() || "").trim();
     const title = document.title || "";
     const url = location.href || "";
@@ -197,6 +1108,17 @@
     };
   }
 
+  // e.g. "Includes page context: 8,432 chars of main content (dropped 3,100 boilerplate)"
+  function describePageContext(ctx, label) {
+    const info = ctx?.extraction;
+    if (!info) return label;
+    const dropped = [];
+    if (info.boilerplateChars) dropped.push(`${info.boilerplateChars.toLocaleString()} boilerplate`);
+    if (info.truncatedChars) dropped.push(`${info.truncatedChars.toLocaleString()} over budget`);
+    const size = `${info.contentChars.toLocaleString()} chars${info.source === "article" ? " of main content" : ""}`;
+    return `${label}: ${size}${dropped.length ? ` (dropped ${dropped.join(", ")})` : ""}`;
+  }
+
   function makeRequestId() {
     try {
       return crypto.randomUUID();
@@ -205,8 +1127,35 @@
     }
   }
 
-  async function callChatApi(messages, requestId) {
-    return await chrome.runtime.sendMessage({ type: "CHAT", messages, requestId });
+  function callChatApi(messages, requestId, { profileId, settings } = {}, onDelta) {
+    return new Promise((resolve) => {
+      let settled = false;
+      const port = chrome.runtime.connect({ name: CHAT_STREAM_PORT });
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        try {
+          port.disconnect();
+        } catch {
+          // ignore
+        }
+        resolve(result);
+      };
+      port.onMessage.addListener((msg) => {
+        if (msg?.type === "delta") {
+          if (typeof msg.delta === "string" && msg.delta && typeof onDelta === "function") {
+            onDelta(msg.delta);
+          }
+          return;
+        }
+        if (msg?.type === "done") finish(msg.result);
+      });
+      port.onDisconnect.addListener(() => {
+        const reason = chrome.runtime.lastError?.message;
+        finish({ ok: false, error: reason || "Lost connection to the extension background." });
+      });
+      port.postMessage({ type: "CHAT", messages, requestId, profileId, settings });
+    });
   }
 
   async function cancelChatApi(requestId) {
@@ -231,14 +1180,87 @@
     return state;
   }
 
-  function isProbablyChinese(text) {
+  const SCRIPT_PATTERNS = [
+    ["han", /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g],
+    ["kana", /[\u3040-\u30ff\u31f0-\u31ff]/g],
+    ["hangul", /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/g],
+    ["cyrillic", /[\u0400-\u04ff]/g],
+    ["greek", /[\u0370-\u03ff]/g],
+    ["arabic", /[\u0600-\u06ff\u0750-\u077f]/g],
+    ["hebrew", /[\u0590-\u05ff]/g],
+    ["thai", /[\u0e00-\u0e7f]/g],
+    ["devanagari", /[\u0900-\u097f]/g],
+    ["latin", /[A-Za-z\u00c0-\u024f]/g]
+  ];
+  const SCRIPT_LANGUAGES = {
+    cyrillic: "ru",
+    greek: "el",
+    arabic: "ar",
+    hebrew: "he",
+    thai: "th",
+    devanagari: "hi"
+  };
+  // Function words that tell Latin-script languages apart, plus letters that
+  // only some of them use.
+  const LATIN_HINTS = {
+    en: { words: "the and is are of to in that it with for this was not you", letters: "" },
+    de: { words: "der die das und ist nicht mit ein eine ich zu auf den sie wir auch", letters: "äöüß" },
+    fr: { words: "le la les et est des une un pas que pour dans du avec ce sont", letters: "àâçèéêëîïôœùû" },
+    es: { words: "el la los las y es que de una por para con del no se como", letters: "ñ¿¡áíóú" },
+    pt: { words: "o a os as e é que de um uma não para com do da em", letters: "ãõçáâêó" },
+    it: { words: "il la e è che di un una non per con del della sono gli", letters: "àèéìòù" },
+    nl: { words: "de het een en van is niet dat op te zijn met voor", letters: "ij" }
+  };
+  const LATIN_WORD_SETS = Object.fromEntries(
+    Object.entries(LATIN_HINTS).map(([code, hint]) => [code, new Set(hint.words.split(" "))])
+  );
+
+  function detectLatinLanguage(text) {
+    const lower = String(text || "").toLowerCase();
+    const words = lower.match(/[a-z\u00c0-\u024f]+/g) || [];
+    let best = "en";
+    let bestScore = 0;
+    for (const [code, hint] of Object.entries(LATIN_HINTS)) {
+      let score = 0;
+      for (const w of words) if (LATIN_WORD_SETS[code].has(w)) score += 1;
+      for (const ch of hint.letters) if (ch.length === 1 && lower.includes(ch)) score += 0.5;
+      if (score > bestScore) {
+        best = code;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Best guess at the language of `text` as a LANGUAGE_NAMES code, or "" when
+  // it has no letters at all.
+  function detectLanguage(text) {
     const s = String(text || "");
-    const cjk = (s.match(/[\u4e00-\u9fff]/g) || []).length;
-    const latin = (s.match(/[A-Za-z]/g) || []).length;
-    if (cjk === 0 && latin === 0) return false;
-    if (cjk === 0) return false;
-    if (latin === 0) return true;
-    return cjk >= latin * 0.6;
+    const counts = {};
+    for (const [script, re] of SCRIPT_PATTERNS) counts[script] = (s.match(re) || []).length;
+    // One CJK character carries roughly as much text as a short Latin word.
+    const cjk = (counts.han + counts.kana + counts.hangul) * 1.6;
+    const [topScript, topCount] = Object.entries(counts)
+      .filter(([script]) => script !== "han" && script !== "kana" && script !== "hangul")
+      .reduce((best, entry) => (entry[1] > best[1] ? entry : best), ["", 0]);
+    if (cjk === 0 && topCount === 0) return "";
+    if (cjk >= topCount) {
+      if (counts.hangul > counts.han + counts.kana) return "ko";
+      // Japanese mixes kanji with kana; Chinese has none.
+      if (counts.kana > 0 && counts.kana >= (counts.han + counts.kana) * 0.05) return "ja";
+      return "zh";
+    }
+    if (topScript === "latin") return detectLatinLanguage(s);
+    return SCRIPT_LANGUAGES[topScript] || "";
+  }
+
+  // Resolves the configured target against the detected source; "auto" and a
+  // target equal to the source fall back to the Chinese/English pair.
+  function resolveTranslationPair(text, targetSetting) {
+    const source = detectLanguage(text);
+    let target = LANGUAGE_NAMES[targetSetting] ? targetSetting : "";
+    if (!target || target === source) target = source === "zh" ? "en" : "zh";
+    return { source, target };
   }
 
   function getSelectionText() {
@@ -297,15 +1319,15 @@
     return { text: trimmed.slice(0, QUICK_ACTION_MAX_CHARS) + "\n…(truncated)", clipped: true };
   }
 
-  function buildTranslatePrompt(selectionText) {
+  function buildTranslatePrompt(selectionText, targetSetting) {
     const input = String(selectionText || "").trim();
-    const zh = isProbablyChinese(input);
-    const source = zh ? "中文" : "英文";
-    const target = zh ? "英文" : "中文";
+    const pair = resolveTranslationPair(input, targetSetting);
+    const source = LANGUAGE_NAMES[pair.source] || "";
+    const target = LANGUAGE_NAMES[pair.target];
     return {
-      title: `翻译（${source}→${target}）`,
+      title: source ? `翻译（${source}→${target}）` : `翻译（→${target}）`,
       prompt: [
-        `请把下面的文本从${source}翻译成${target}。`,
+        source ? `请把下面的文本从${source}翻译成${target}。` : `请把下面的文本翻译成${target}。`,
         "要求：",
         "- 保留原意、语气与格式（包含换行/列表/标点）",
         "- 专有名词保留原文，必要时补充常见译名",
@@ -337,6 +1359,24 @@
       ].join("\n")
     };
   }
+  // Custom menu actions carry their own prompt; the selection is appended when
+  // the prompt does not place it.
+  function buildCustomActionPrompt(action, selectionText) {
+    const input = String(selectionText || "").trim();
+    const body = String(action?.prompt || "");
+    const lines = [
+      renderPromptTemplate(body, {
+        selection: input,
+        "page.title": document.title || "",
+        "page.url": location.href || ""
+      }).trim()
+    ];
+    if (!templateUses(body, "selection")) lines.push("", "文本：", "```", input, "```");
+    const language = String(action?.targetLanguage || "").trim();
+    if (language) lines.push("", `Respond in ${language}.`);
+    return { title: action?.label || "Action", prompt: lines.join("\n") };
+  }
+
 
   function getSelectionRect(sel) {
     try {
@@ -352,60 +1392,533 @@
     }
   }
 
-  function mountQuickActions() {
-    const state = ensureSingleton();
-    if (state.quickActionsMounted) return;
-    state.quickActionsMounted = true;
+  const BLOCK_SELECTOR =
+    "p, li, dd, dt, blockquote, pre, td, th, h1, h2, h3, h4, h5, h6, figcaption, article, section, div";
+  // Blocks whose parent only accepts specific children; the box goes inside them.
+  const CONTAINER_BLOCKS = "li, dd, dt, td, th";
+
+  function closestBlock(node) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return element?.closest?.(BLOCK_SELECTOR) || document.body;
+  }
 
+  // A box under the paragraph that holds the selection, isolated in its own
+  // shadow root so page styles do not leak in.
+  function mountInlineTranslation(block, title, onClose) {
     const host = document.createElement("div");
-    host.id = "aihelper-quick-actions-root";
+    host.className = "aihelper-inline-translation";
     const shadow = host.attachShadow({ mode: "open" });
-
     const style = document.createElement("style");
     style.textContent = `
-      :host { all: initial; }
-      .wrap {
-        position: fixed;
-        top: 0;
-        left: 0;
-        z-index: 2147483647;
-        font: 13px/1.25 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
-        user-select: none;
-        -webkit-font-smoothing: antialiased;
-      }
-      .menu {
-        position: fixed;
-        display: flex;
-        gap: 6px;
-        padding: 6px;
-        border-radius: 999px;
-        background: rgba(16, 24, 38, 0.86);
-        border: 1px solid rgba(255, 255, 255, 0.14);
-        box-shadow: 0 12px 30px rgba(0,0,0,0.35);
-        backdrop-filter: blur(10px);
-        transform: translate(-100%, -110%) scale(0.98);
-        transform-origin: 100% 100%;
-        opacity: 0;
-        transition: opacity 120ms ease, transform 120ms ease;
-        pointer-events: none;
-      }
-      .menu[data-pos="bottom"] {
-        transform: translate(-100%, 12px) scale(0.98);
-        transform-origin: 100% 0%;
-      }
-      .menu.show {
-        opacity: 1;
-        transform: translate(-100%, -110%) scale(1);
-        pointer-events: auto;
-      }
-      .menu.show[data-pos="bottom"] {
-        transform: translate(-100%, 12px) scale(1);
+      :host { all: initial; display: block; margin: 6px 0 10px; }
+      .box {
+        border-left: 3px solid rgba(110, 231, 255, 0.8);
+        background: rgba(110, 231, 255, 0.08);
+        border-radius: 6px;
+        padding: 8px 10px;
+        font: 14px/1.55 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+        color: inherit;
       }
+      .head { display: flex; align-items: center; gap: 8px; font-size: 12px; opacity: 0.7; margin-bottom: 4px; }
+      .title { flex: 1; }
       .btn {
         appearance: none;
-        border: 1px solid rgba(255, 255, 255, 0.12);
-        background: rgba(255, 255, 255, 0.06);
-        color: rgba(255, 255, 255, 0.92);
+        border: 0;
+        background: transparent;
+        color: inherit;
+        cursor: pointer;
+        font: inherit;
+        padding: 0 2px;
+      }
+      .btn:hover { text-decoration: underline; }
+      .text { white-space: pre-wrap; word-break: break-word; }
+      .text.error { color: #d14343; }
+    `;
+    const textEl = el("div", { class: "text", text: "翻译中…" });
+    const copyBtn = el("button", { type: "button", class: "btn", text: "复制" });
+    const closeBtn = el("button", { type: "button", class: "btn", text: "关闭", "aria-label": "关闭译文" });
+    let text = "";
+    copyBtn.addEventListener("click", async () => {
+      const ok = await copyToClipboard(text);
+      copyBtn.textContent = ok ? "已复制" : "复制失败";
+      setTimeout(() => (copyBtn.textContent = "复制"), 1200);
+    });
+    closeBtn.addEventListener("click", () => {
+      host.remove();
+      onClose?.();
+    });
+    shadow.appendChild(style);
+    shadow.appendChild(
+      el("div", { class: "box" }, [
+        el("div", { class: "head" }, [el("span", { class: "title", text: title }), copyBtn, closeBtn]),
+        textEl
+      ])
+    );
+    if (block === document.body || block.matches(CONTAINER_BLOCKS)) block.appendChild(host);
+    else block.after(host);
+
+    return {
+      setText(next) {
+        text = String(next || "");
+        textEl.textContent = text || "翻译中…";
+      },
+      setError(message) {
+        textEl.classList.add("error");
+        textEl.textContent = message;
+      }
+    };
+  }
+
+  // Swaps the selected text for the translation and leaves an undo button
+  // next to it. Returns null when the selection spans several blocks.
+  function mountReplacedTranslation(range, onUndo) {
+    if (closestBlock(range.startContainer) !== closestBlock(range.endContainer)) return null;
+    const original = range.extractContents();
+    const span = document.createElement("span");
+    span.className = "aihelper-replaced-translation";
+    span.style.opacity = "0.6";
+    span.textContent = "翻译中…";
+    range.insertNode(span);
+
+    const host = document.createElement("span");
+    const shadow = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = `
+      :host { all: initial; }
+      .btn {
+        appearance: none;
+        margin-left: 4px;
+        border: 1px solid rgba(110, 231, 255, 0.5);
+        background: rgba(110, 231, 255, 0.12);
+        color: inherit;
+        border-radius: 999px;
+        padding: 0 6px;
+        cursor: pointer;
+        font: 12px/1.6 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+      }
+    `;
+    const undoBtn = el("button", { type: "button", class: "btn", text: "撤销", title: "恢复原文" });
+    shadow.appendChild(style);
+    shadow.appendChild(undoBtn);
+    span.after(host);
+
+    let restored = false;
+    function restore() {
+      if (restored) return;
+      restored = true;
+      host.remove();
+      span.replaceWith(original);
+    }
+    undoBtn.addEventListener("click", () => {
+      restore();
+      onUndo?.();
+    });
+
+    return {
+      setText(next) {
+        span.textContent = String(next || "") || "翻译中…";
+      },
+      done() {
+        span.style.opacity = "";
+      },
+      restore
+    };
+  }
+
+  // Translates a selection without opening the panel: either in a box under
+  // its paragraph ("inline") or in place of the text ("replace").
+  async function translateInPage(range, text, display, targetSetting) {
+    const clipped = clipSelectionForPrompt(text);
+    const promptInfo = buildTranslatePrompt(clipped.text, targetSetting);
+    const requestId = makeRequestId();
+    let finished = false;
+    const cancel = () => {
+      if (!finished) cancelChatApi(requestId).catch(() => {});
+    };
+
+    let view = display === "replace" ? mountReplacedTranslation(range, cancel) : null;
+    const block = closestBlock(range.endContainer);
+    if (!view) view = mountInlineTranslation(block, promptInfo.title, cancel);
+
+    let streamed = "";
+    const res = await callChatApi(
+      [{ role: "user", content: promptInfo.prompt }],
+      requestId,
+      {},
+      (delta) => {
+        streamed += delta;
+        view.setText(streamed);
+      }
+    );
+    finished = true;
+    if (res?.ok) {
+      view.setText(String(res.content || streamed).trim());
+      view.done?.();
+      return;
+    }
+    if (res?.cancelled) return;
+    const message = res?.error || "Translation failed.";
+    if (view.restore) {
+      view.restore();
+      view = mountInlineTranslation(block, promptInfo.title);
+    }
+    view.setError(message);
+  }
+
+  const PAGE_BLOCK_SELECTOR = "p, h1, h2, h3, h4, h5, h6, li, td, th, dd, dt, blockquote, figcaption, summary";
+  const PAGE_SKIP_SELECTOR =
+    "pre, code, script, style, noscript, textarea, select, svg, math, [contenteditable], " +
+    "[data-aihelper-page-translation], .aihelper-inline-translation";
+  const PAGE_TRANSLATION_MAX_BLOCKS = 600;
+  const PAGE_BLOCK_MAX_CHARS = 2000;
+  // Input budget per request; translations come back at a similar size, so
+  // each request gets a larger output allowance than chat replies.
+  const PAGE_BATCH_TOKENS = 1200;
+  const PAGE_BATCH_MAX_BLOCKS = 30;
+  const PAGE_BATCH_OUTPUT_TOKENS = 4096;
+
+  // Innermost text blocks in reading order that are not already in `target`.
+  function collectPageBlocks(target) {
+    const blocks = [];
+    for (const node of document.body?.querySelectorAll(PAGE_BLOCK_SELECTOR) || []) {
+      if (blocks.length >= PAGE_TRANSLATION_MAX_BLOCKS) break;
+      if (node.dataset.aihelperTranslated || node.closest(PAGE_SKIP_SELECTOR)) continue;
+      if (node.querySelector(PAGE_BLOCK_SELECTOR)) continue;
+      if (!node.getClientRects().length) continue;
+      const text = String(node.innerText || "").replace(/\s+/g, " ").trim();
+      if (text.length < 2 || !/\p{L}/u.test(text)) continue;
+      if (detectLanguage(text) === target) continue;
+      blocks.push({ node, text: text.slice(0, PAGE_BLOCK_MAX_CHARS) });
+    }
+    return blocks;
+  }
+
+  function batchPageBlocks(blocks) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+    for (const block of blocks) {
+      const cost = estimateTokens(block.text);
+      if (current.length && (tokens + cost > PAGE_BATCH_TOKENS || current.length >= PAGE_BATCH_MAX_BLOCKS)) {
+        batches.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(block);
+      tokens += cost;
+    }
+    if (current.length) batches.push(current);
+    return batches;
+  }
+
+  function buildPageBatchPrompt(texts, target) {
+    return [
+      `请把下面编号的文本段落翻译成${LANGUAGE_NAMES[target]}。`,
+      "要求：",
+      "- 每段译文前保留相同的编号标记（如 [[1]]），按原顺序逐段输出，不要合并或拆分段落",
+      "- 保留原意与语气；代码、网址、专有名词可保留原文",
+      "- 只输出译文，不要解释、不要加前后缀",
+      "",
+      ...texts.map((text, i) => `[[${i + 1}]] ${text}`)
+    ].join("\n");
+  }
+
+  function parseNumberedTranslations(text, count) {
+    const out = new Array(count).fill(null);
+    for (const m of String(text || "").matchAll(/\[\[(\d+)\]\]\s*([\s\S]*?)(?=\[\[\d+\]\]|$)/g)) {
+      const i = Number(m[1]) - 1;
+      if (i >= 0 && i < count && out[i] == null) out[i] = m[2].trim() || null;
+    }
+    return out;
+  }
+
+  // Places the translation under its block; paragraphs and headings get a
+  // shallow copy of themselves so the page's own typography applies.
+  function insertPageTranslation(node, text, target) {
+    const inside = node.matches(CONTAINER_BLOCKS) || node.matches("summary");
+    const translation = inside ? document.createElement("div") : node.cloneNode(false);
+    translation.removeAttribute("id");
+    translation.dataset.aihelperPageTranslation = "1";
+    translation.lang = target;
+    translation.style.opacity = "0.85";
+    translation.textContent = text;
+    if (inside) node.appendChild(translation);
+    else node.after(translation);
+    node.dataset.aihelperTranslated = "1";
+  }
+
+  function removePageTranslations() {
+    for (const node of document.querySelectorAll("[data-aihelper-page-translation]")) node.remove();
+    for (const node of document.querySelectorAll("[data-aihelper-translated]")) {
+      delete node.dataset.aihelperTranslated;
+    }
+  }
+
+  function mountPageTranslationBar() {
+    const host = document.createElement("div");
+    host.id = "aihelper-page-translation-root";
+    const shadow = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = `
+      :host { all: initial; }
+      .bar {
+        position: fixed;
+        left: 16px;
+        bottom: 16px;
+        z-index: 2147483646;
+        display: grid;
+        gap: 6px;
+        min-width: 240px;
+        max-width: 360px;
+        padding: 10px 12px;
+        border-radius: 12px;
+        background: rgba(16, 24, 38, 0.92);
+        border: 1px solid rgba(255, 255, 255, 0.14);
+        box-shadow: 0 12px 30px rgba(0,0,0,0.35);
+        color: rgba(255, 255, 255, 0.92);
+        font: 12px/1.4 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+      }
+      .status.error { color: #f07178; }
+      .track { height: 4px; border-radius: 999px; background: rgba(255, 255, 255, 0.12); overflow: hidden; }
+      .fill { height: 100%; width: 0; background: rgba(110, 231, 255, 0.8); transition: width 160ms ease; }
+      .row { display: flex; align-items: center; gap: 6px; flex-wrap: wrap; }
+      .grow { flex: 1; }
+      .btn {
+        appearance: none;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        background: rgba(255, 255, 255, 0.06);
+        color: inherit;
+        border-radius: 999px;
+        padding: 3px 9px;
+        cursor: pointer;
+        font: inherit;
+      }
+      .btn:hover { border-color: rgba(110, 231, 255, 0.28); background: rgba(110, 231, 255, 0.12); }
+      label { display: flex; align-items: center; gap: 4px; cursor: pointer; }
+      .hidden { display: none; }
+    `;
+    const statusEl = el("div", { class: "status", text: "准备翻译…" });
+    const fillEl = el("div", { class: "fill" });
+    const alwaysEl = el("input", { type: "checkbox" });
+    const cancelBtn = el("button", { type: "button", class: "btn", text: "取消" });
+    const removeBtn = el("button", { type: "button", class: "btn hidden", text: "移除译文" });
+    const closeBtn = el("button", { type: "button", class: "btn", text: "×", title: "关闭", "aria-label": "关闭" });
+    shadow.appendChild(style);
+    shadow.appendChild(
+      el("div", { class: "bar", role: "status" }, [
+        statusEl,
+        el("div", { class: "track" }, [fillEl]),
+        el("div", { class: "row" }, [
+          el("label", { class: "grow" }, [alwaysEl, el("span", { text: "总是翻译此站点" })]),
+          cancelBtn,
+          removeBtn,
+          closeBtn
+        ])
+      ])
+    );
+    document.documentElement.appendChild(host);
+
+    sendBackgroundRequest("TRANSLATE_SITE_GET", { host: location.host })
+      .then((res) => (alwaysEl.checked = Boolean(res.always)))
+      .catch(() => {});
+    alwaysEl.addEventListener("change", () => {
+      sendBackgroundRequest("TRANSLATE_SITE_SET", { host: location.host, always: alwaysEl.checked }).catch(
+        (err) => {
+          alwaysEl.checked = !alwaysEl.checked;
+          statusEl.textContent = err?.message || String(err);
+        }
+      );
+    });
+
+    return {
+      host,
+      cancelBtn,
+      removeBtn,
+      closeBtn,
+      setProgress(done, total, text) {
+        fillEl.style.width = total ? `${Math.round((done / total) * 100)}%` : "100%";
+        statusEl.textContent = text;
+      },
+      setError(message) {
+        statusEl.classList.add("error");
+        statusEl.textContent = message;
+      },
+      finish() {
+        cancelBtn.classList.add("hidden");
+        removeBtn.classList.remove("hidden");
+      }
+    };
+  }
+
+  // Translates the page block by block, inserting each translation under its
+  // original. Cached blocks are filled in first; the rest go to the model in
+  // batches, one request at a time, so Cancel stops further billing.
+  async function startPageTranslation({ auto = false } = {}) {
+    const state = ensureSingleton();
+    if (state.pageTranslation || state.pageTranslationStarting) return;
+
+    let cfg;
+    state.pageTranslationStarting = true;
+    try {
+      cfg = await loadConfig();
+    } finally {
+      state.pageTranslationStarting = false;
+    }
+    const sample = String(document.body?.innerText || "").slice(0, 4000);
+    const { target } = resolveTranslationPair(sample, cfg.translateTargetLanguage);
+    const blocks = collectPageBlocks(target);
+    if (!blocks.length && auto) return;
+
+    const bar = mountPageTranslationBar();
+    let cancelled = false;
+    let requestId = "";
+    const controller = {
+      cancel() {
+        cancelled = true;
+        if (requestId) cancelChatApi(requestId).catch(() => {});
+      },
+      close() {
+        controller.cancel();
+        bar.host.remove();
+        state.pageTranslation = null;
+      },
+      remove() {
+        controller.close();
+        removePageTranslations();
+      }
+    };
+    state.pageTranslation = controller;
+    bar.cancelBtn.addEventListener("click", () => controller.cancel());
+    bar.removeBtn.addEventListener("click", () => controller.remove());
+    bar.closeBtn.addEventListener("click", () => controller.close());
+
+    const total = blocks.length;
+    let done = 0;
+    let fromCache = 0;
+    const report = (prefix) =>
+      bar.setProgress(done, total, `${prefix} ${done}/${total} 段${fromCache ? `（缓存 ${fromCache}）` : ""}`);
+
+    if (!total) {
+      bar.setProgress(0, 0, `页面已是${LANGUAGE_NAMES[target]}，无需翻译`);
+      bar.finish();
+      return;
+    }
+
+    try {
+      report("翻译中");
+      const texts = blocks.map((b) => b.text);
+      let cached = [];
+      try {
+        cached = (await sendBackgroundRequest("TRANSLATION_CACHE_GET", { target, texts })).translations || [];
+      } catch {
+        // ignore; everything is requested
+      }
+      const pending = [];
+      blocks.forEach((block, i) => {
+        if (typeof cached[i] === "string") {
+          insertPageTranslation(block.node, cached[i], target);
+          done += 1;
+          fromCache += 1;
+        } else {
+          pending.push(block);
+        }
+      });
+      report("翻译中");
+
+      for (const batch of batchPageBlocks(pending)) {
+        if (cancelled) break;
+        requestId = makeRequestId();
+        const res = await chrome.runtime.sendMessage({
+          type: "CHAT",
+          requestId,
+          messages: [{ role: "user", content: buildPageBatchPrompt(batch.map((b) => b.text), target) }],
+          settings: { maxOutputTokens: Math.max(cfg.maxOutputTokens, PAGE_BATCH_OUTPUT_TOKENS) }
+        });
+        requestId = "";
+        if (res?.cancelled || cancelled) break;
+        if (!res?.ok) throw new Error(res?.error || "Translation failed.");
+
+        const translations = parseNumberedTranslations(res.content, batch.length);
+        const entries = [];
+        batch.forEach((block, i) => {
+          if (!translations[i] || !block.node.isConnected) return;
+          insertPageTranslation(block.node, translations[i], target);
+          entries.push([block.text, translations[i]]);
+        });
+        done += batch.length;
+        report("翻译中");
+        if (entries.length) sendBackgroundRequest("TRANSLATION_CACHE_PUT", { target, entries }).catch(() => {});
+      }
+      report(cancelled ? "已取消，已翻译" : "已翻译");
+    } catch (err) {
+      bar.setError(`翻译出错（已完成 ${done}/${total} 段）：${err?.message || String(err)}`);
+    } finally {
+      bar.finish();
+    }
+  }
+
+  // The panel's Translate button: start, or take an existing translation down.
+  function togglePageTranslation() {
+    const state = ensureSingleton();
+    if (state.pageTranslation) state.pageTranslation.remove();
+    else if (document.querySelector("[data-aihelper-page-translation]")) removePageTranslations();
+    else startPageTranslation().catch(() => {});
+  }
+
+  function mountQuickActions() {
+    const state = ensureSingleton();
+    if (state.quickActionsMounted) return;
+    state.quickActionsMounted = true;
+
+    const host = document.createElement("div");
+    host.id = "aihelper-quick-actions-root";
+    const shadow = host.attachShadow({ mode: "open" });
+
+    const style = document.createElement("style");
+    style.textContent = `
+      :host { all: initial; }
+      .wrap {
+        position: fixed;
+        top: 0;
+        left: 0;
+        z-index: 2147483647;
+        font: 13px/1.25 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+        user-select: none;
+        -webkit-font-smoothing: antialiased;
+      }
+      .menu {
+        position: fixed;
+        display: flex;
+        gap: 6px;
+        padding: 6px;
+        border-radius: 999px;
+        background: rgba(16, 24, 38, 0.86);
+        border: 1px solid rgba(255, 255, 255, 0.14);
+        box-shadow: 0 12px 30px rgba(0,0,0,0.35);
+        backdrop-filter: blur(10px);
+        transform: translate(-100%, -110%) scale(0.98);
+        transform-origin: 100% 100%;
+        opacity: 0;
+        transition: opacity 120ms ease, transform 120ms ease;
+        pointer-events: none;
+      }
+      .menu[data-pos="bottom"] {
+        transform: translate(-100%, 12px) scale(0.98);
+        transform-origin: 100% 0%;
+      }
+      .menu.show {
+        opacity: 1;
+        transform: translate(-100%, -110%) scale(1);
+        pointer-events: auto;
+      }
+      .menu.show[data-pos="bottom"] {
+        transform: translate(-100%, 12px) scale(1);
+      }
+      .btn {
+        appearance: none;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        background: rgba(255, 255, 255, 0.06);
+        color: rgba(255, 255, 255, 0.92);
         border-radius: 999px;
         padding: 6px 10px;
         cursor: pointer;
@@ -414,52 +1927,122 @@
       .btn:hover { border-color: rgba(110, 231, 255, 0.28); background: rgba(110, 231, 255, 0.12); }
       .btn:active { transform: translateY(0.5px); }
       .btn:disabled { opacity: 0.55; cursor: not-allowed; }
+      .templates { display: contents; }
     `;
 
     const menu = document.createElement("div");
     menu.className = "menu";
     menu.setAttribute("role", "menu");
 
-    const translateBtn = document.createElement("button");
-    translateBtn.type = "button";
-    translateBtn.className = "btn";
-    translateBtn.textContent = "翻译";
-    translateBtn.setAttribute("aria-label", "翻译选中文本");
-
-	    const explainBtn = document.createElement("button");
-	    explainBtn.type = "button";
-	    explainBtn.className = "btn";
-	    explainBtn.textContent = "解释";
-	    explainBtn.setAttribute("aria-label", "解释选中文本");
-
-	    const copyBtn = document.createElement("button");
-	    copyBtn.type = "button";
-	    copyBtn.className = "btn";
-	    copyBtn.textContent = "复制";
-	    copyBtn.setAttribute("aria-label", "复制选中文本");
-
-	    menu.appendChild(translateBtn);
-	    menu.appendChild(explainBtn);
-	    menu.appendChild(copyBtn);
-	    shadow.appendChild(style);
-	    shadow.appendChild(el("div", { class: "wrap" }, [menu]));
-	    document.documentElement.appendChild(host);
+    // Configured actions in their saved order, then templates flagged for the menu.
+    const actionBtnsEl = document.createElement("span");
+    actionBtnsEl.className = "templates";
+    const templateBtnsEl = document.createElement("span");
+    templateBtnsEl.className = "templates";
+    let copyBtn = null;
+    let copyLabel = "";
+
+    menu.appendChild(actionBtnsEl);
+    menu.appendChild(templateBtnsEl);
+    shadow.appendChild(style);
+    shadow.appendChild(el("div", { class: "wrap" }, [menu]));
+    document.documentElement.appendChild(host);
 
     let visibleSelectionText = "";
+    let visibleRange = null;
     let lastPos = { left: 0, top: 0, pos: "top" };
     let rafId = null;
     let isMouseSelecting = false;
 
 	    function setButtonsDisabled(disabled) {
-	      translateBtn.disabled = Boolean(disabled);
-	      explainBtn.disabled = Boolean(disabled);
-	      copyBtn.disabled = Boolean(disabled);
+      for (const btn of actionBtnsEl.children) btn.disabled = Boolean(disabled);
+      for (const btn of templateBtnsEl.children) btn.disabled = Boolean(disabled);
 	    }
 
+    function onCopyClick(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      const text = String(visibleSelectionText || "").trim();
+      if (!text) return;
+      setButtonsDisabled(true);
+      const btn = e.currentTarget;
+      copyToClipboard(text).then((ok) => {
+        btn.textContent = ok ? "已复制" : "复制失败";
+        setTimeout(() => hideMenu(), 450);
+      });
+    }
+
+    function renderActionButtons(actions) {
+      actionBtnsEl.innerHTML = "";
+      copyBtn = null;
+      for (const action of actions) {
+        if (!action?.enabled) continue;
+        const btn = el("button", {
+          type: "button",
+          class: "btn",
+          text: action.label,
+          "aria-label": `${action.label}选中文本`
+        });
+        if (action.builtin === "copy") {
+          copyBtn = btn;
+          copyLabel = action.label;
+          btn.addEventListener("click", onCopyClick);
+        } else {
+          btn.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (action.builtin === "translate") requestTranslate();
+            else if (action.builtin) requestAction(action.builtin);
+            else requestAction("action", { action });
+          });
+        }
+        actionBtnsEl.appendChild(btn);
+      }
+    }
+
+    async function refreshActionButtons() {
+      try {
+        const res = await sendBackgroundRequest("QUICK_ACTIONS_LIST");
+        renderActionButtons(Array.isArray(res.actions) ? res.actions : FALLBACK_QUICK_ACTIONS);
+      } catch {
+        renderActionButtons(FALLBACK_QUICK_ACTIONS);
+      }
+    }
+
+    // Templates flagged "show in selection menu" follow the configured actions.
+    function renderTemplateButtons(templates) {
+      templateBtnsEl.innerHTML = "";
+      for (const t of templates) {
+        if (!t.inSelectionMenu) continue;
+        const btn = el("button", {
+          type: "button",
+          class: "btn",
+          text: `/${t.name}`,
+          title: t.description || `/${t.name}`
+        });
+        btn.addEventListener("click", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          requestAction("template", { templateId: t.id });
+        });
+        templateBtnsEl.appendChild(btn);
+      }
+    }
+
+    async function refreshTemplateButtons() {
+      try {
+        const res = await sendBackgroundRequest("TEMPLATES_LIST");
+        renderTemplateButtons(Array.isArray(res.templates) ? res.templates : []);
+      } catch {
+        renderTemplateButtons([]);
+      }
+    }
+
 	    function hideMenu() {
 	      menu.classList.remove("show");
 	      visibleSelectionText = "";
-	      copyBtn.textContent = "复制";
+      visibleRange = null;
+      if (copyBtn) copyBtn.textContent = copyLabel;
 	      setButtonsDisabled(false);
 	    }
 
@@ -497,6 +2080,11 @@
       }
 
       visibleSelectionText = text;
+      try {
+        visibleRange = sel.getRangeAt(0).cloneRange();
+      } catch {
+        visibleRange = null;
+      }
       const rect = getSelectionRect(sel);
       if (!rect) return hideMenu();
       showMenuAt(rect);
@@ -507,14 +2095,34 @@
       rafId = requestAnimationFrame(() => updateFromSelection());
     }
 
-    function requestAction(kind) {
+    // Translation can stay on the page instead of going through the panel.
+    async function requestTranslate() {
+      const text = String(visibleSelectionText || "").trim();
+      const range = visibleRange;
+      if (!text) return;
+      let cfg;
+      try {
+        cfg = await loadConfig();
+      } catch {
+        cfg = { translateDisplay: "panel" };
+      }
+      if (cfg.translateDisplay === "panel" || !range) {
+        requestAction("translate");
+        return;
+      }
+      hideMenu();
+      window.getSelection?.()?.removeAllRanges?.();
+      translateInPage(range, text, cfg.translateDisplay, cfg.translateTargetLanguage);
+    }
+
+    function requestAction(kind, extra) {
       const text = String(visibleSelectionText || "").trim();
       if (!text) return;
       setButtonsDisabled(true);
 
       try {
         const state = ensureSingleton();
-        const payload = { kind, text };
+        const payload = { kind, text, ...(extra || {}) };
         if (state.mounted && typeof state.sendQuickAction === "function") {
           state.sendQuickAction(payload);
         } else {
@@ -527,27 +2135,6 @@
       }
     }
 
-    translateBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      requestAction("translate");
-    });
-	    explainBtn.addEventListener("click", (e) => {
-	      e.preventDefault();
-	      e.stopPropagation();
-	      requestAction("explain");
-	    });
-	    copyBtn.addEventListener("click", async (e) => {
-	      e.preventDefault();
-	      e.stopPropagation();
-	      const text = String(visibleSelectionText || "").trim();
-	      if (!text) return;
-	      setButtonsDisabled(true);
-	      const ok = await copyToClipboard(text);
-	      copyBtn.textContent = ok ? "已复制" : "复制失败";
-	      setTimeout(() => hideMenu(), 450);
-	    });
-
     document.addEventListener(
       "mousedown",
       (e) => {
@@ -586,10 +2173,670 @@
       scheduleUpdate();
     }, true);
 
-    state.quickActions = {
-      hide: hideMenu,
-      update: scheduleUpdate
+    state.quickActions = {
+      hide: hideMenu,
+      update: scheduleUpdate,
+      refreshActions: refreshActionButtons,
+      refreshTemplates: refreshTemplateButtons
+    };
+    refreshActionButtons();
+    refreshTemplateButtons();
+  }
+
+  // File attachments are read locally and inlined as text. Binary files are
+  // refused; PDFs get a best-effort text extraction.
+  const MAX_ATTACHMENTS = 5;
+  const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+  const MAX_ATTACHMENT_CHARS = 60000;
+  const TEXT_FILE_RE =
+    /\.(txt|md|markdown|rst|log|csv|tsv|json|jsonl|ndjson|xml|html?|css|scss|less|js|mjs|cjs|jsx|ts|tsx|vue|svelte|py|rb|php|java|kt|kts|scala|go|rs|c|h|cc|cpp|hpp|cs|swift|m|mm|sh|bash|zsh|ps1|bat|sql|graphql|gql|proto|ya?ml|toml|ini|cfg|conf|env|properties|gradle|dockerfile|makefile|tex|srt|vtt|diff|patch|lock)$/i;
+  const TEXT_MIME_RE = /^(text\/|application\/(json|xml|javascript|x-javascript|x-sh|x-yaml|yaml|toml|sql|graphql|x-ndjson)|[^;]*\+(json|xml))/i;
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function latin1(bytes) {
+    let out = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return out;
+  }
+
+  // Collects what inflates before an error: PDF streams often carry a stray
+  // byte after the zlib data.
+  async function inflate(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate")).getReader();
+    const chunks = [];
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+    } catch {
+      // ignore
+    }
+    const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) {
+      out.set(c, offset);
+      offset += c.length;
+    }
+    return out;
+  }
+
+  function decodePdfString(token) {
+    let bytes;
+    if (token.startsWith("<")) {
+      const hex = token.slice(1, -1).replace(/\s+/g, "");
+      bytes = (hex.length % 2 ? `${hex}0` : hex).match(/../g)?.map((h) => parseInt(h, 16)) || [];
+    } else {
+      bytes = [];
+      const body = token.slice(1, -1);
+      const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+      for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        if (ch !== "\\") {
+          bytes.push(ch.charCodeAt(0));
+          continue;
+        }
+        const next = body[++i];
+        if (next === undefined) break;
+        if (escapes[next] !== undefined) bytes.push(escapes[next]);
+        else if (/[0-7]/.test(next)) {
+          const octal = body.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+          bytes.push(parseInt(octal, 8) & 0xff);
+          i += octal.length - 1;
+        } else if (next !== "\n" && next !== "\r") bytes.push(next.charCodeAt(0));
+      }
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      let out = "";
+      for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+      return out;
+    }
+    return String.fromCharCode(...bytes);
+  }
+
+  // Inside a TJ array, strings are only matched by their own branch, so a
+  // missing "]" fails in linear time instead of backtracking through every
+  // way of splitting the strings.
+  const PDF_TEXT_OP_RE =
+    /\[((?:\((?:\\[\s\S]|[^\\)])*\)|<[\da-fA-F\s]*>|[^\]()<])*)\]\s*TJ|(\((?:\\[\s\S]|[^\\)])*\)|<[\da-fA-F\s]*>)\s*(Tj|'|")|(-?[\d.]+)\s+(-?[\d.]+)\s+T[dD]\b|\b(T\*|ET)(?!\w)/g;
+
+  // Strings shown by the text operators of one content stream, with line
+  // breaks where the text moves down.
+  function pdfContentText(content) {
+    let out = "";
+    for (const m of content.matchAll(PDF_TEXT_OP_RE)) {
+      if (m[1] !== undefined) {
+        for (const part of m[1].matchAll(/\((?:\\[\s\S]|[^\\)])*\)|<[\da-fA-F\s]*>|(-?[\d.]+)/g)) {
+          if (part[1] !== undefined) {
+            if (Number(part[1]) < -200) out += " ";
+          } else out += decodePdfString(part[0]);
+        }
+      } else if (m[2] !== undefined) {
+        if (m[3] !== "Tj") out += "\n";
+        out += decodePdfString(m[2]);
+      } else if (m[5] !== undefined) {
+        if (Number(m[5]) !== 0) out += "\n";
+      } else {
+        out += "\n";
+      }
+    }
+    return out;
+  }
+
+  // Best-effort PDF text: inflates the content streams and reads the strings
+  // they show. Works for most generated PDFs; scanned pages and fonts with
+  // custom encodings come out empty or garbled.
+  async function extractPdfText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const raw = latin1(bytes);
+    const parts = [];
+    const re = /stream\r?\n/g;
+    let m;
+    while ((m = re.exec(raw))) {
+      const start = m.index + m[0].length;
+      let end = raw.indexOf("endstream", start);
+      if (end < 0) break;
+      re.lastIndex = end + 9;
+      const dict = raw.slice(Math.max(0, raw.lastIndexOf(" obj", m.index)), m.index);
+      // Fonts, images and metadata are not page text.
+      if (/\/(Subtype|Type)\s*\/(Image|XObject|XRef|ObjStm|Metadata|FontFile)|\/Length[123]\b/.test(dict)) continue;
+      while (end > start && (bytes[end - 1] === 10 || bytes[end - 1] === 13)) end--;
+      let data = bytes.subarray(start, end);
+      if (/\/FlateDecode/.test(dict)) data = await inflate(data);
+      else if (/\/Filter/.test(dict)) continue;
+      const text = pdfContentText(latin1(data));
+      if (text.trim()) parts.push(text);
+    }
+    return parts
+      .join("\n\n")
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  function looksBinary(bytes) {
+    const sample = bytes.subarray(0, 4096);
+    return sample.includes(0);
+  }
+
+  // Reads a dropped or picked file into an attachment, or throws with a
+  // message for the status line.
+  async function readAttachment(file) {
+    const name = String(file.name || "file");
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`${name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`);
+    }
+    const buffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    let text;
+    let kind = "text";
+    if (file.type === "application/pdf" || /\.pdf$/i.test(name)) {
+      kind = "pdf";
+      text = await extractPdfText(buffer);
+      if (!text) throw new Error(`No text could be read from ${name} (scanned or encoded PDF?).`);
+    } else {
+      const known = TEXT_FILE_RE.test(name) || TEXT_MIME_RE.test(file.type || "");
+      if (!known && looksBinary(bytes)) throw new Error(`${name} is not a text file.`);
+      text = new TextDecoder("utf-8").decode(bytes);
+    }
+    const truncatedChars = Math.max(0, text.length - MAX_ATTACHMENT_CHARS);
+    if (truncatedChars) text = `${text.slice(0, MAX_ATTACHMENT_CHARS)}\n…(truncated ${truncatedChars.toLocaleString()} chars)`;
+    return { name, size: file.size, kind, text, tokens: estimateTokens(text) };
+  }
+
+  // Images attached to a message are downsized here (the longest side most
+  // vision models use without rescaling) and stored as data URLs. Decoding goes
+  // through blobs and ImageBitmap so page CSP rules on data: images don't apply.
+  const MAX_IMAGE_SIDE = 1568;
+  const MAX_PNG_DATA_URL_CHARS = 1500000;
+  const MAX_PENDING_IMAGES = 4;
+
+  // Payloads are base64 or, without ";base64" (common for inline SVG),
+  // percent-encoded text.
+  function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(",");
+    if (!dataUrl.startsWith("data:") || comma < 0) throw new Error("Not a valid data URL.");
+    const [mime, ...params] = dataUrl.slice(5, comma).split(";");
+    const type = mime.trim().toLowerCase() || "text/plain";
+    const payload = dataUrl.slice(comma + 1);
+    if (!params.some((p) => p.trim().toLowerCase() === "base64")) {
+      return new Blob([decodeURIComponent(payload)], { type });
+    }
+    const binary = atob(payload.replace(/\s+/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+  }
+
+  // `crop` is a rectangle in the bitmap's own pixels.
+  async function prepareImage(blob, name, crop) {
+    // createImageBitmap only decodes raster formats.
+    if (blob.type === "image/svg+xml") {
+      throw new Error("SVG images cannot be attached; use Shot to capture it instead.");
+    }
+    const bitmap = await createImageBitmap(blob);
+    try {
+      const src = crop || { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+      const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(src.width, src.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(src.width * scale));
+      canvas.height = Math.max(1, Math.round(src.height * scale));
+      canvas
+        .getContext("2d")
+        .drawImage(bitmap, src.x, src.y, src.width, src.height, 0, 0, canvas.width, canvas.height);
+      // Screenshots stay PNG for crisp text; photos fall back to JPEG.
+      let dataUrl = canvas.toDataURL("image/png");
+      if (dataUrl.length > MAX_PNG_DATA_URL_CHARS) dataUrl = canvas.toDataURL("image/jpeg", 0.85);
+      return { dataUrl, name: String(name || "image") };
+    } finally {
+      bitmap.close?.();
+    }
+  }
+
+  // Hides the extension's own overlays while the tab is captured.
+  async function captureVisibleArea() {
+    const roots = Array.from(document.querySelectorAll('[id^="aihelper-"][id$="-root"]'));
+    const previous = roots.map((node) => node.style.visibility);
+    roots.forEach((node) => (node.style.visibility = "hidden"));
+    try {
+      await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      const res = await sendBackgroundRequest("CAPTURE_VISIBLE_TAB");
+      return res.dataUrl;
+    } finally {
+      roots.forEach((node, i) => (node.style.visibility = previous[i]));
+    }
+  }
+
+  // Resolves with the dragged rectangle in CSS pixels, or null on Esc or a
+  // click without a drag.
+  function selectScreenRegion() {
+    return new Promise((resolve) => {
+      const host = document.createElement("div");
+      host.id = "aihelper-crop-root";
+      const shadow = host.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = `
+        :host { all: initial; }
+        .layer {
+          position: fixed;
+          inset: 0;
+          z-index: 2147483647;
+          cursor: crosshair;
+          background: rgba(0, 0, 0, 0.25);
+        }
+        .rect {
+          position: fixed;
+          border: 2px solid rgba(110, 231, 255, 0.95);
+          background: rgba(110, 231, 255, 0.08);
+          box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.25);
+        }
+        .hint {
+          position: fixed;
+          top: 12px;
+          left: 50%;
+          transform: translateX(-50%);
+          padding: 6px 12px;
+          border-radius: 999px;
+          background: rgba(16, 24, 38, 0.92);
+          color: rgba(255, 255, 255, 0.92);
+          font: 12px/1.4 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+          pointer-events: none;
+        }
+        .hidden { display: none; }
+      `;
+      const rectEl = el("div", { class: "rect hidden" });
+      const layerEl = el("div", { class: "layer" }, [
+        rectEl,
+        el("div", { class: "hint", text: "Drag to select an area · Esc to cancel" })
+      ]);
+      shadow.appendChild(style);
+      shadow.appendChild(layerEl);
+      document.documentElement.appendChild(host);
+
+      let start = null;
+      let rect = null;
+      const finish = (result) => {
+        document.removeEventListener("keydown", onKey, true);
+        host.remove();
+        resolve(result);
+      };
+      const onKey = (e) => {
+        if (e.key !== "Escape") return;
+        e.preventDefault();
+        e.stopPropagation();
+        finish(null);
+      };
+      layerEl.addEventListener("pointerdown", (e) => {
+        e.preventDefault();
+        layerEl.setPointerCapture?.(e.pointerId);
+        start = { x: e.clientX, y: e.clientY };
+      });
+      layerEl.addEventListener("pointermove", (e) => {
+        if (!start) return;
+        rect = {
+          x: Math.min(start.x, e.clientX),
+          y: Math.min(start.y, e.clientY),
+          width: Math.abs(e.clientX - start.x),
+          height: Math.abs(e.clientY - start.y)
+        };
+        rectEl.style.left = `${rect.x}px`;
+        rectEl.style.top = `${rect.y}px`;
+        rectEl.style.width = `${rect.width}px`;
+        rectEl.style.height = `${rect.height}px`;
+        rectEl.classList.remove("hidden");
+      });
+      layerEl.addEventListener("pointerup", () => {
+        if (!start) return;
+        finish(rect && rect.width >= 8 && rect.height >= 8 ? rect : null);
+      });
+      document.addEventListener("keydown", onKey, true);
+    });
+  }
+
+  // A screenshot of the visible page, or of the part the user drags out.
+  async function captureScreenshot(region) {
+    const area = region ? await selectScreenRegion() : null;
+    if (region && !area) return null;
+    const blob = dataUrlToBlob(await captureVisibleArea());
+    if (!area) return prepareImage(blob, "screenshot");
+    // The capture is in device pixels; the selection in CSS pixels.
+    const bitmap = await createImageBitmap(blob);
+    const ratio = bitmap.width / window.innerWidth;
+    bitmap.close?.();
+    return prepareImage(blob, "screenshot (area)", {
+      x: Math.round(area.x * ratio),
+      y: Math.round(area.y * ratio),
+      width: Math.round(area.width * ratio),
+      height: Math.round(area.height * ratio)
+    });
+  }
+
+  // data: and blob: sources are read in the page; http(s) images through the
+  // background worker, which is not bound by the page's CORS rules.
+  async function loadImageFromUrl(url) {
+    const src = String(url || "");
+    const name = src.startsWith("data:") ? "image" : src.split(/[?#]/)[0].split("/").pop() || "image";
+    if (src.startsWith("data:")) {
+      const blob = dataUrlToBlob(src);
+      if (!blob.type.startsWith("image/")) throw new Error("That link is not an image.");
+      return prepareImage(blob, name);
+    }
+    if (src.startsWith("blob:")) return prepareImage(await (await fetch(src)).blob(), name);
+    const res = await sendBackgroundRequest("IMAGE_FETCH", { url: src });
+    return prepareImage(dataUrlToBlob(res.dataUrl), name);
+  }
+
+  // Element picker: outlines the element under the cursor like devtools
+  // inspect; each click hands it to `onPick` until Esc or the returned stop().
+  // Arrow up/down widen or narrow the highlighted element.
+  const MAX_PICKED_REGIONS = 6;
+  const MAX_REGION_CHARS = 6000;
+  const REGION_HTML_SELECTOR = "table, form, select, dl";
+  const REGION_DROP_SELECTOR = "script, style, noscript, template, svg, canvas, iframe, object, link, meta";
+  const REGION_KEEP_ATTRS = new Set([
+    "href",
+    "src",
+    "alt",
+    "title",
+    "name",
+    "type",
+    "value",
+    "placeholder",
+    "for",
+    "colspan",
+    "rowspan",
+    "checked",
+    "selected",
+    "disabled",
+    "required",
+    "role",
+    "aria-label"
+  ]);
+
+  function describeElement(node) {
+    const tag = node.tagName.toLowerCase();
+    const id = node.id ? `#${node.id}` : "";
+    const classes =
+      typeof node.className === "string"
+        ? node.className
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map((c) => `.${c}`)
+            .join("")
+        : "";
+    return `${tag}${id}${classes}`.slice(0, 60);
+  }
+
+  function clipRegionText(text) {
+    const value = String(text || "").trim();
+    if (value.length <= MAX_REGION_CHARS) return value;
+    return `${value.slice(0, MAX_REGION_CHARS)}\n…(truncated ${(value.length - MAX_REGION_CHARS).toLocaleString()} chars)`;
+  }
+
+  // Markup without scripts, styling or tracking attributes. Current form
+  // values are copied in, since typing does not update the attributes;
+  // password fields stay empty.
+  function simplifyElementHtml(node) {
+    const clone = node.cloneNode(true);
+    const fields = node.querySelectorAll("input, textarea, select");
+    const clonedFields = clone.querySelectorAll("input, textarea, select");
+    const all = [node, ...fields];
+    [clone, ...clonedFields].forEach((copy, i) => {
+      const field = all[i];
+      if (!/^(INPUT|TEXTAREA|SELECT)$/.test(field.tagName)) return;
+      if (field.type === "password") copy.removeAttribute("value");
+      else if (field.tagName === "TEXTAREA") copy.textContent = field.value;
+      else if (field.tagName === "SELECT") {
+        Array.from(copy.options || []).forEach((opt, j) => opt.toggleAttribute("selected", field.options[j]?.selected));
+      } else if (field.type === "checkbox" || field.type === "radio") copy.toggleAttribute("checked", field.checked);
+      else copy.setAttribute("value", field.value);
+    });
+    clone.querySelectorAll(REGION_DROP_SELECTOR).forEach((n) => n.remove());
+    for (const n of [clone, ...clone.querySelectorAll("*")]) {
+      for (const attr of Array.from(n.attributes)) {
+        if (!REGION_KEEP_ATTRS.has(attr.name) || /^\s*javascript:/i.test(attr.value)) n.removeAttribute(attr.name);
+      }
+    }
+    return clone.outerHTML.replace(/>\s+</g, "><").replace(/[ \t]{2,}/g, " ").trim();
+  }
+
+  // Snapshot of a picked element. Tables (and ARIA grids) are sent as
+  // Markdown tables; other forms and lists default to HTML because their
+  // structure is most of the meaning.
+  function captureRegion(node) {
+    const text = String(node.innerText || node.textContent || "")
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n");
+    const table = typeof window.__aihelperReadTable === "function" ? window.__aihelperReadTable(node) : null;
+    const formats = table ? ["table", "html", "text"] : ["html", "text"];
+    const structured = node.matches(REGION_HTML_SELECTOR) || node.querySelector(REGION_HTML_SELECTOR);
+    return {
+      node,
+      label: describeElement(node),
+      formats,
+      format: table ? "table" : structured ? "html" : "text",
+      text: clipRegionText(text),
+      html: clipRegionText(simplifyElementHtml(node)),
+      table: table ? clipRegionText(table.markdown) : "",
+      rows: table ? table.rows : null
+    };
+  }
+
+  const REGION_FORMAT_LABELS = { table: "table", html: "HTML", text: "text" };
+
+  function regionContent(region) {
+    return region.format === "table" ? region.table : region.format === "html" ? region.html : region.text;
+  }
+
+  function csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function rowsToCsv(rows) {
+    return rows.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  // Objects keyed by the header row; blank or repeated headers get a suffix
+  // so no column is lost.
+  function rowsToJson(rows) {
+    const seen = new Map();
+    const keys = (rows[0] || []).map((header, i) => {
+      const base = String(header || "").trim() || `column${i + 1}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count > 1 ? `${base}_${count}` : base;
+    });
+    const records = rows.slice(1).map((cells) => {
+      const record = {};
+      keys.forEach((key, i) => (record[key] = cells[i] ?? ""));
+      return record;
+    });
+    return JSON.stringify(records, null, 2) + "\n";
+  }
+
+  function buildTableExportPrompt(format, instruction) {
+    const shape =
+      format === "json"
+        ? "a JSON array of objects keyed by column name, in one ```json code block"
+        : "CSV with a header row, in one ```csv code block";
+    return [
+      "Transform the table in Region 1 as follows:",
+      instruction,
+      "",
+      `Reply with the resulting table only, as ${shape}. Keep cell values exactly as written unless the instruction changes them. No commentary.`
+    ].join("\n");
+  }
+
+  // The reply's csv/json block, or its first code block, or the whole reply.
+  function extractExportPayload(reply, format) {
+    const blocks = parseFencedCodeBlocks(reply).filter((part) => part.type === "code");
+    const block = blocks.find((part) => String(part.lang || "").toLowerCase() === format) || blocks[0];
+    const text = String(block ? block.code : reply).trim();
+    if (format !== "json") return text ? `${text}\n` : "";
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2) + "\n";
+    } catch {
+      return "";
+    }
+  }
+
+  function exportFileName(region, format) {
+    const base = `${document.title || location.hostname || "table"}-${region.label}`
+      .replace(/[\\/:*?"<>|#.\s]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 80);
+    return `${base || "table"}.${format}`;
+  }
+
+  function startElementPicker({ onPick, onStop }) {
+    const host = document.createElement("div");
+    host.id = "aihelper-picker-root";
+    const shadow = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = `
+      :host { all: initial; }
+      .box {
+        position: fixed;
+        z-index: 2147483646;
+        pointer-events: none;
+        border: 2px solid rgba(110, 231, 255, 0.9);
+        background: rgba(110, 231, 255, 0.12);
+        border-radius: 3px;
+      }
+      .tag {
+        position: absolute;
+        left: -2px;
+        bottom: 100%;
+        margin-bottom: 2px;
+        padding: 1px 6px;
+        border-radius: 4px;
+        background: #101826;
+        color: #6ee7ff;
+        white-space: nowrap;
+        font: 11px/16px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace;
+      }
+      .hint {
+        position: fixed;
+        z-index: 2147483646;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 6px 12px;
+        border-radius: 999px;
+        background: rgba(16, 24, 38, 0.92);
+        border: 1px solid rgba(255, 255, 255, 0.14);
+        color: rgba(255, 255, 255, 0.92);
+        pointer-events: none;
+        font: 12px/1.4 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif;
+      }
+      .hidden { display: none; }
+    `;
+    const tagEl = el("div", { class: "tag" });
+    const boxEl = el("div", { class: "box hidden" }, [tagEl]);
+    shadow.appendChild(style);
+    shadow.appendChild(boxEl);
+    shadow.appendChild(el("div", { class: "hint", text: "Click elements to attach · ↑/↓ widen or narrow · Esc to finish" }));
+    document.documentElement.appendChild(host);
+
+    let current = null;
+    let trail = [];
+    const isOwnUi = (node) => Boolean(node.closest?.("#aihelper-panel-root, #aihelper-picker-root"));
+    const targetOf = (e) => {
+      const t = e.target;
+      if (!(t instanceof Element) || isOwnUi(t)) return null;
+      return t === document.documentElement || t === document.body ? null : t;
+    };
+    const show = (node) => {
+      current = node;
+      if (!node || !node.isConnected) {
+        current = null;
+        boxEl.classList.add("hidden");
+        return;
+      }
+      const r = node.getBoundingClientRect();
+      boxEl.style.left = `${r.left}px`;
+      boxEl.style.top = `${r.top}px`;
+      boxEl.style.width = `${r.width}px`;
+      boxEl.style.height = `${r.height}px`;
+      tagEl.textContent = `${describeElement(node)} · ${Math.round(r.width)}×${Math.round(r.height)}`;
+      boxEl.classList.remove("hidden");
+    };
+
+    const onMove = (e) => {
+      const node = targetOf(e);
+      if (node === current || trail.includes(node)) return;
+      trail = [];
+      show(node);
+    };
+    // Swallow presses on the page so links and buttons don't fire; the panel
+    // keeps working.
+    const onPress = (e) => {
+      if (!targetOf(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    const onClick = (e) => {
+      const node = targetOf(e);
+      if (!node) return;
+      e.preventDefault();
+      e.stopPropagation();
+      onPick(current || node);
+    };
+    const onKey = (e) => {
+      // Arrow keys typed into the panel belong to the panel.
+      if (e.key !== "Escape" && e.target instanceof Element && isOwnUi(e.target)) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        stop();
+      } else if (e.key === "ArrowUp" && current) {
+        const parent = current.parentElement;
+        if (!parent || parent === document.body || parent === document.documentElement) return;
+        e.preventDefault();
+        trail.push(current);
+        show(parent);
+      } else if (e.key === "ArrowDown" && trail.length) {
+        e.preventDefault();
+        show(trail.pop());
+      }
     };
+    const onScroll = () => show(current);
+
+    const pressEvents = ["mousedown", "mouseup", "pointerdown", "pointerup", "dblclick", "contextmenu"];
+    document.addEventListener("mousemove", onMove, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("keydown", onKey, true);
+    window.addEventListener("scroll", onScroll, true);
+    pressEvents.forEach((type) => document.addEventListener(type, onPress, true));
+
+    let stopped = false;
+    function stop() {
+      if (stopped) return;
+      stopped = true;
+      document.removeEventListener("mousemove", onMove, true);
+      document.removeEventListener("click", onClick, true);
+      document.removeEventListener("keydown", onKey, true);
+      window.removeEventListener("scroll", onScroll, true);
+      pressEvents.forEach((type) => document.removeEventListener(type, onPress, true));
+      try {
+        host.remove();
+      } catch {
+        // ignore
+      }
+      onStop?.();
+    }
+    return stop;
   }
 
   function mountPanel(opts) {
@@ -629,7 +2876,7 @@
         border-bottom: 1px solid rgba(255, 255, 255, 0.08);
         background: linear-gradient(180deg, rgba(255, 255, 255, 0.04), transparent);
       }
-      .brand { display: flex; flex-direction: column; gap: 2px; }
+      .brand { display: flex; flex-direction: column; gap: 2px; min-width: 0; }
       .title { font-weight: 650; letter-spacing: 0.2px; }
       .subtitle { color: #93a4bf; font-size: 11px; }
 	      .actions { display: flex; gap: 8px; align-items: center; }
@@ -709,7 +2956,58 @@
         border-color: rgba(255, 107, 107, 0.28);
         background: rgba(255, 107, 107, 0.09);
       }
-      .md { white-space: pre-wrap; }
+      .md { white-space: normal; }
+      .md > :first-child { margin-top: 0; }
+      .md > :last-child { margin-bottom: 0; }
+      .md p { margin: 6px 0; }
+      .md h1, .md h2, .md h3, .md h4, .md h5, .md h6 { margin: 12px 0 6px; line-height: 1.3; }
+      .md h1 { font-size: 17px; }
+      .md h2 { font-size: 15px; }
+      .md h3 { font-size: 14px; }
+      .md h4, .md h5, .md h6 { font-size: 13px; }
+      .md ul, .md ol { margin: 6px 0; padding-left: 20px; }
+      .md li { margin: 2px 0; }
+      .md li > p { margin: 2px 0; }
+      .md li.task { list-style: none; margin-left: -18px; }
+      .md li.task > input { margin: 0 6px 0 0; vertical-align: middle; }
+      .md li.task > p:first-of-type { display: inline; }
+      .md blockquote {
+        margin: 8px 0;
+        padding: 2px 10px;
+        border-left: 3px solid rgba(110, 231, 255, 0.35);
+        color: #c3cede;
+      }
+      .md hr { border: 0; border-top: 1px solid rgba(255, 255, 255, 0.12); margin: 10px 0; }
+      .md a { color: #6ee7ff; text-decoration: none; }
+      .md a:hover { text-decoration: underline; }
+      .md .cite {
+        margin: 0 1px;
+        padding: 0 5px;
+        border: 1px solid rgba(110, 231, 255, 0.35);
+        border-radius: 8px;
+        background: rgba(110, 231, 255, 0.1);
+        color: #6ee7ff;
+        font: 11px/16px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace;
+        vertical-align: 1px;
+        cursor: pointer;
+      }
+      .md .cite:hover { background: rgba(110, 231, 255, 0.22); }
+      .md .cite.missing { opacity: 0.5; text-decoration: line-through; cursor: help; }
+      .md code.inline {
+        white-space: pre-wrap;
+        padding: 1px 4px;
+        border-radius: 5px;
+        background: rgba(255, 255, 255, 0.08);
+        font: 12px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace;
+      }
+      .tablewrap { overflow-x: auto; margin: 8px 0; }
+      .md table { border-collapse: collapse; font-size: 12px; }
+      .md th, .md td {
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        padding: 4px 8px;
+        vertical-align: top;
+      }
+      .md th { background: rgba(255, 255, 255, 0.05); font-weight: 600; }
       .codeblock {
         border: 1px solid rgba(255, 255, 255, 0.12);
         border-radius: 12px;
@@ -736,6 +3034,36 @@
         color: #e7edf7;
       }
       code { white-space: pre; }
+      pre.wrap code { white-space: pre-wrap; word-break: break-word; }
+      pre.numbered code { counter-reset: codeline; }
+      pre.numbered .line::before {
+        counter-increment: codeline;
+        content: counter(codeline);
+        display: inline-block;
+        width: 2.6em;
+        margin-right: 10px;
+        padding-right: 6px;
+        text-align: right;
+        color: #5d6b82;
+        border-right: 1px solid rgba(255, 255, 255, 0.08);
+        user-select: none;
+      }
+      .codebar .actions { gap: 4px; }
+      .codebar .btn { padding: 3px 7px; font-size: 11px; }
+      .codebar .btn.on { border-color: rgba(110, 231, 255, 0.35); background: rgba(110, 231, 255, 0.12); }
+      .tok-com { color: #6b7a93; font-style: italic; }
+      .tok-str { color: #a5e075; }
+      .tok-kw { color: #c792ea; }
+      .tok-lit { color: #f78c6c; }
+      .tok-num { color: #f78c6c; }
+      .tok-fn { color: #82aaff; }
+      .tok-prop { color: #6ee7ff; }
+      .tok-tag { color: #f07178; }
+      .tok-attr { color: #ffcb6b; }
+      .tok-var { color: #ffcb6b; }
+      .tok-meta { color: #89ddff; }
+      .tok-add { color: #a5e075; background: rgba(165, 224, 117, 0.08); }
+      .tok-del { color: #f07178; background: rgba(240, 113, 120, 0.08); }
       .meta { color: #93a4bf; font-size: 11px; margin-top: 4px; }
       .controls {
         display: flex;
@@ -743,6 +3071,69 @@
         justify-content: space-between;
         gap: 10px;
       }
+      .controlsright {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: flex-end;
+        align-items: center;
+        gap: 6px;
+        min-width: 0;
+      }
+      .controlsright .select { max-width: 140px; }
+      .controlsright .btn.on { border-color: rgba(110, 231, 255, 0.35); background: rgba(110, 231, 255, 0.12); }
+      .tunebox {
+        display: grid;
+        gap: 8px;
+        padding: 10px;
+        border-radius: 14px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: rgba(255, 255, 255, 0.03);
+      }
+      .tunebox .hint { color: #93a4bf; font-size: 11px; }
+      .tunebox .row .hint { margin-right: auto; }
+      .tablist { display: grid; gap: 2px; max-height: 180px; overflow: auto; }
+      .tabitem {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 0 8px;
+        align-items: center;
+        padding: 4px 6px;
+        border-radius: 8px;
+        cursor: pointer;
+      }
+      .tabitem:hover { background: rgba(255, 255, 255, 0.04); }
+      .tabitem .name, .tabitem .host {
+        grid-column: 2;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .tabitem .host { color: #93a4bf; font-size: 11px; }
+      .tabitem input { grid-row: span 2; }
+      .tunegrid {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+      .tunegrid label { display: grid; gap: 3px; color: #93a4bf; font-size: 11px; }
+      .tunebox textarea { min-height: 60px; font-size: 12px; }
+      .tuneinput {
+        width: 100%;
+        box-sizing: border-box;
+        border-radius: 8px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: #101826;
+        color: #e7edf7;
+        padding: 4px 6px;
+        font: inherit;
+        font-size: 12px;
+      }
+      .tunebox .row { display: flex; gap: 6px; justify-content: flex-end; }
+      .toggles {
+        display: grid;
+        gap: 2px;
+        min-width: 0;
+      }
       .toggle {
         display: flex;
         align-items: center;
@@ -750,9 +3141,63 @@
         color: #93a4bf;
         user-select: none;
       }
+      .chips { display: flex; flex-wrap: wrap; gap: 6px; }
+      .thumbs { display: flex; flex-wrap: wrap; gap: 6px; }
+      .wrap.dropping .main { outline: 2px dashed rgba(110, 231, 255, 0.5); outline-offset: -4px; border-radius: 14px; }
+      .bubble .thumbs { margin-top: 8px; white-space: normal; }
+      .thumb {
+        position: relative;
+        width: 64px;
+        height: 64px;
+        border-radius: 8px;
+        overflow: hidden;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        background: rgba(255, 255, 255, 0.04);
+      }
+      .thumb img { width: 100%; height: 100%; object-fit: cover; display: block; cursor: zoom-in; }
+      .thumb button {
+        position: absolute;
+        top: 2px;
+        right: 2px;
+        appearance: none;
+        border: 0;
+        border-radius: 999px;
+        width: 18px;
+        height: 18px;
+        padding: 0;
+        background: rgba(16, 24, 38, 0.85);
+        color: #e7edf7;
+        font: 12px/18px sans-serif;
+        cursor: pointer;
+      }
+      .chip {
+        display: inline-flex;
+        align-items: center;
+        max-width: 100%;
+        border-radius: 999px;
+        border: 1px solid rgba(110, 231, 255, 0.25);
+        background: rgba(110, 231, 255, 0.08);
+        font-size: 11px;
+      }
+      .chip button {
+        appearance: none;
+        border: 0;
+        background: none;
+        color: #e7edf7;
+        font: inherit;
+        cursor: pointer;
+        padding: 3px 4px 3px 9px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .chip button.chipaction { padding: 3px 4px; color: #6ee7ff; font-weight: 650; }
+      .chip button.chipaction:hover { text-decoration: underline; }
+      .chip button.chipx { padding: 3px 8px 3px 4px; color: #93a4bf; }
+      .chip button.chipx:hover { color: #f07178; }
       .composer {
         display: grid;
-        grid-template-columns: 1fr auto;
+        grid-template-columns: 1fr auto auto;
         gap: 10px;
         align-items: end;
       }
@@ -768,15 +3213,209 @@
         max-height: 130px;
       }
       textarea:focus { border-color: rgba(110, 231, 255, 0.25); }
+      .palette {
+        max-height: 180px;
+        overflow: auto;
+        padding: 4px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        background: #101826;
+      }
+      .paletteitem {
+        display: flex;
+        align-items: baseline;
+        gap: 8px;
+        padding: 6px 8px;
+        border-radius: 8px;
+        cursor: pointer;
+      }
+      .paletteitem.active { background: rgba(110, 231, 255, 0.12); }
+      .paletteitem .cmd { font-weight: 650; color: #6ee7ff; }
+      .paletteitem .desc {
+        color: #93a4bf;
+        font-size: 11px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .paletteempty { color: #93a4bf; font-size: 11px; padding: 6px 8px; }
       .footnote { color: #93a4bf; font-size: 11px; padding: 0 2px; }
+      .budget { display: grid; gap: 4px; color: #93a4bf; font-size: 11px; padding: 0 2px; }
+      .budget .track { height: 4px; border-radius: 999px; background: rgba(255, 255, 255, 0.1); overflow: hidden; }
+      .budget .fill { height: 100%; width: 0; background: rgba(110, 231, 255, 0.7); transition: width 160ms ease; }
+      .budget.warn .fill { background: #fbbf77; }
+      .budget.warn { color: #fbbf77; }
+      .budget.over .fill { background: #f07178; }
+      .budget.over { color: #f07178; }
+      .convname {
+        max-width: 100%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .convlist {
+        flex: 1;
+        overflow: auto;
+        padding: 10px;
+        border-radius: 14px;
+        background: linear-gradient(180deg, rgba(255, 255, 255, 0.04), transparent);
+        border: 1px solid rgba(255, 255, 255, 0.08);
+      }
+      .convhead {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 10px;
+        margin-bottom: 6px;
+      }
+      .convheading { font-weight: 650; }
+      .convitem {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 9px;
+        margin: 6px 0;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: rgba(255, 255, 255, 0.02);
+        cursor: pointer;
+      }
+      .convitem:hover { border-color: rgba(255, 255, 255, 0.16); }
+      .convitem.active { border-color: rgba(110, 231, 255, 0.35); }
+      .convmain { flex: 1; min-width: 0; }
+      .convtitle {
+        font-weight: 600;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .convmeta { color: #93a4bf; font-size: 11px; }
+      .convitem .actions { gap: 4px; }
+      .convitem .btn { padding: 4px 7px; font-size: 11px; }
+      .renameinput {
+        width: 100%;
+        box-sizing: border-box;
+        border-radius: 8px;
+        border: 1px solid rgba(110, 231, 255, 0.3);
+        background: rgba(255, 255, 255, 0.04);
+        color: #e7edf7;
+        padding: 4px 6px;
+        font: inherit;
+        outline: none;
+      }
+      .empty { color: #93a4bf; padding: 8px 2px; }
+      .searchinput {
+        width: 100%;
+        box-sizing: border-box;
+        margin-bottom: 8px;
+        border-radius: 10px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: rgba(255, 255, 255, 0.02);
+        color: #e7edf7;
+        padding: 7px 10px;
+        font: inherit;
+        outline: none;
+      }
+      .searchinput:focus { border-color: rgba(110, 231, 255, 0.25); }
+      .convtools {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 8px;
+      }
+      .convtools .btn { padding: 5px 8px; font-size: 11px; }
+      .select {
+        border-radius: 8px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: #101826;
+        color: #e7edf7;
+        padding: 4px 6px;
+        font: inherit;
+        font-size: 11px;
+      }
+      .snippet { word-break: break-word; }
+      .convitem.result.expanded .snippet { white-space: pre-wrap; }
+      mark {
+        background: rgba(110, 231, 255, 0.28);
+        color: inherit;
+        border-radius: 3px;
+        padding: 0 1px;
+      }
+      .bubble.flash {
+        box-shadow: 0 0 0 2px rgba(110, 231, 255, 0.6);
+        transition: box-shadow 200ms ease;
+      }
     `;
 
     const statusEl = el("div", { class: "subtitle", text: "Ready" });
+    const conversationNameEl = el("div", { class: "subtitle convname", text: "" });
+    const searchInputEl = el("input", {
+      class: "searchinput",
+      type: "search",
+      placeholder: "Search all conversations…",
+      autocomplete: "off"
+    });
+    const exportFormatEl = el("select", { class: "select", title: "Export format" }, [
+      el("option", { value: "markdown", text: "Markdown" }),
+      el("option", { value: "json", text: "JSON" }),
+      el("option", { value: "html", text: "HTML" })
+    ]);
+    const exportCurrentBtn = el("button", { class: "btn secondary", type: "button", text: "Export chat" });
+    const exportAllBtn = el("button", { class: "btn secondary", type: "button", text: "Export all" });
+    const importBtn = el("button", { class: "btn secondary", type: "button", text: "Import JSON" });
+    const importFileEl = el("input", { type: "file", accept: ".json,application/json", class: "hidden" });
+    const convItemsEl = el("div", {});
+    const convListEl = el("div", { class: "convlist hidden" }, [
+      searchInputEl,
+      el("div", { class: "convtools" }, [
+        exportFormatEl,
+        exportCurrentBtn,
+        exportAllBtn,
+        importBtn,
+        importFileEl
+      ]),
+      convItemsEl
+    ]);
     const noticeEl = el("div", { class: "notice hidden", text: "Configure Token / Model in Settings first." });
+    const profileSelectEl = el("select", { class: "select", title: "Provider for this conversation" });
+    const tuneBtn = el("button", {
+      class: "btn secondary",
+      type: "button",
+      text: "Tune",
+      title: "Generation settings for this conversation"
+    });
+    const tunePromptEl = el("textarea", { class: "tuneinput", rows: "3", placeholder: "System prompt" });
+    const tuneTemperatureEl = el("input", { class: "tuneinput", type: "number", min: "0", max: "2", step: "0.1" });
+    const tuneMaxTokensEl = el("input", { class: "tuneinput", type: "number", min: "16", max: "65536", step: "1" });
+    const tunePageCharsEl = el("input", { class: "tuneinput", type: "number", min: "1000", max: "200000", step: "1000" });
+    const tuneReasoningEl = el("select", { class: "tuneinput" }, [
+      el("option", { value: "inherit", text: "Default" }),
+      el("option", { value: "", text: "Off" }),
+      el("option", { value: "minimal", text: "Minimal" }),
+      el("option", { value: "low", text: "Low" }),
+      el("option", { value: "medium", text: "Medium" }),
+      el("option", { value: "high", text: "High" })
+    ]);
+    const tuneSaveBtn = el("button", { class: "btn secondary", type: "button", text: "Save" });
+    const tuneResetBtn = el("button", { class: "btn secondary", type: "button", text: "Use defaults" });
+    const tuneBoxEl = el("div", { class: "tunebox hidden" }, [
+      el("div", { class: "hint", text: "This conversation only. Empty fields use the defaults from Settings." }),
+      tunePromptEl,
+      el("div", { class: "tunegrid" }, [
+        el("label", {}, [el("span", { text: "Temperature" }), tuneTemperatureEl]),
+        el("label", {}, [el("span", { text: "Max output tokens" }), tuneMaxTokensEl]),
+        el("label", {}, [el("span", { text: "Page budget (chars)" }), tunePageCharsEl]),
+        el("label", {}, [el("span", { text: "Reasoning effort" }), tuneReasoningEl])
+      ]),
+      el("div", { class: "row" }, [tuneResetBtn, tuneSaveBtn])
+    ]);
     const chatEl = el("div", { class: "chat" });
 	    const includePageEl = el("input", { type: "checkbox" });
+    const chunkedEl = el("input", { type: "checkbox" });
+    const paletteEl = el("div", { class: "palette hidden", role: "listbox" });
     const inputEl = el("textarea", {
-      placeholder: "Ask something…",
+      placeholder: "Ask something… (type / for templates)",
       rows: "2",
       autocomplete: "off"
     });
@@ -785,6 +3424,64 @@
 	    const settingsBtn = el("button", { class: "btn", type: "button", text: "Settings", title: "Settings" });
 	    const closeBtn = el("button", { class: "btn", type: "button", text: "Close", title: "Close" });
 	    const clearBtn = el("button", { class: "btn", type: "button", text: "Clear", title: "Clear chat" });
+    const chatsBtn = el("button", { class: "btn", type: "button", text: "Chats", title: "Conversations" });
+    const translatePageBtn = el("button", {
+      class: "btn",
+      type: "button",
+      text: "译",
+      title: "Translate this page (bilingual)"
+    });
+    const pickBtn = el("button", {
+      class: "btn secondary",
+      type: "button",
+      text: "Pick",
+      title: "Pick page elements to attach as context"
+    });
+    const regionChipsEl = el("div", { class: "chips hidden" });
+    const tabsBtn = el("button", {
+      class: "btn secondary",
+      type: "button",
+      text: "Tabs",
+      title: "Add other open tabs as context"
+    });
+    const tabListEl = el("div", { class: "tablist" });
+    const tabCountEl = el("span", { class: "hint" });
+    const tabClearBtn = el("button", { class: "btn secondary", type: "button", text: "Clear" });
+    const tabBoxEl = el("div", { class: "tunebox hidden" }, [
+      el("div", { class: "hint", text: "Ticked tabs are read and sent with every message, sharing the page budget." }),
+      tabListEl,
+      el("div", { class: "row" }, [tabCountEl, tabClearBtn])
+    ]);
+    // Other tabs sent as context, by tab id; kept until unticked.
+    const selectedTabs = new Map();
+    const shotBtn = el("button", {
+      class: "btn secondary",
+      type: "button",
+      text: "Shot",
+      title: "Attach a screenshot of the visible page (Shift+click: select an area)"
+    });
+    const imageTrayEl = el("div", { class: "thumbs hidden" });
+    const fileChipsEl = el("div", { class: "chips hidden" });
+    const fileInputEl = el("input", { type: "file", multiple: "", class: "hidden" });
+    const budgetFillEl = el("div", { class: "fill" });
+    const budgetTextEl = el("div");
+    const budgetEl = el("div", { class: "budget hidden" }, [
+      el("div", { class: "track" }, [budgetFillEl]),
+      budgetTextEl
+    ]);
+    const attachBtn = el("button", {
+      class: "btn secondary",
+      type: "button",
+      text: "📎",
+      title: "Attach text, code or PDF files (or drop them on the panel)",
+      "aria-label": "Attach files"
+    });
+    // Files read for the next message.
+    let pendingFiles = [];
+    // Images for the next message: screenshots, pasted or from the page menu.
+    let pendingImages = [];
+    // Elements picked on the page, sent with the next message.
+    let pickedRegions = [];
 	    const resizerEl = el("div", { class: "resizer", title: "Drag to resize" });
 	    let wrapEl = null;
 
@@ -796,6 +3493,10 @@
 	      chatEl.scrollTop = chatEl.scrollHeight;
 	    }
 
+    function isNearBottom() {
+      return chatEl.scrollHeight - chatEl.scrollTop - chatEl.clientHeight < 48;
+    }
+
 	    function setPanelWidthCss(widthCssValue) {
 	      const v = String(widthCssValue || "").trim();
 	      if (!v) return;
@@ -859,61 +3560,477 @@
 	      const raw = String(content || "");
 	      bubble.textContent = "";
 
-      if (role === "assistant") {
-        const parts = parseFencedCodeBlocks(raw);
-        for (const part of parts) {
-          if (part.type === "code") {
-            const codeText = String(part.code || "");
-            const copyBtn = el("button", { class: "btn secondary", type: "button", text: "Copy" });
-            const hint = el("div", { class: "copyhint", text: "" });
-            copyBtn.addEventListener("click", async () => {
-              const ok = await copyToClipboard(codeText);
-              hint.textContent = ok ? "Copied" : "Copy failed";
-              setTimeout(() => {
-                hint.textContent = "";
-              }, 1200);
+      if (role === "assistant") {
+        const parts = parseFencedCodeBlocks(raw);
+        for (const part of parts) {
+          if (part.type === "code") {
+            bubble.appendChild(renderCodeBlock(part.lang, part.code));
+          } else {
+            const t = String(part.text || "");
+            if (!t.trim()) continue;
+            bubble.appendChild(renderMarkdown(t));
+          }
+        }
+        return;
+      }
+
+      bubble.textContent = raw;
+    }
+
+    function addBubble(role, content, meta, messageId, images) {
+      const bubble = el("div", { class: `bubble ${role}` }, []);
+      if (messageId) bubble.dataset.messageId = messageId;
+      renderBubbleContent(bubble, role, content);
+      if (images?.length) bubble.appendChild(renderThumbnails(images));
+
+      if (meta) {
+        bubble.appendChild(el("div", { class: "meta", text: meta }));
+      }
+      chatEl.appendChild(bubble);
+      scrollToBottom();
+      return bubble;
+    }
+
+	    let chatHistory = [];
+	    let cachedPageContext = null;
+	    let activeRequestId = null;
+	    let activePendingBubble = null;
+	    let activeUserBubble = null;
+	    let activeUserMessageIndex = null;
+    let activePartialText = "";
+    let activeConversation = null;
+    let providerProfiles = [];
+    let promptTemplates = [];
+    let paletteItems = [];
+    let paletteIndex = 0;
+    let defaultProfileId = "";
+    let activeScope = "global";
+    let showAllConversations = false;
+    let lastScopedUrl = location.href.split("#")[0];
+    // Model window, reply reserve and system prompt size from CONTEXT_BUDGET.
+    let budgetInfo = null;
+      state.sendQuickAction = null;
+
+    function applyConversation(conversation) {
+      activeConversation = conversation || null;
+      chatHistory = trimChatHistory(
+        Array.isArray(conversation?.messages) ? conversation.messages : []
+      );
+      conversationNameEl.textContent = conversation?.title || "New chat";
+      cachedPageContext = null;
+      renderProfileOptions();
+      renderTuneState();
+      if (!tuneBoxEl.classList.contains("hidden")) fillTuneFields().catch(() => {});
+      renderAll();
+      refreshBudgetInfo();
+    }
+
+    async function refreshBudgetInfo() {
+      try {
+        budgetInfo = await sendBackgroundRequest("CONTEXT_BUDGET", {
+          profileId: activeConversation?.profileId || "",
+          settings: activeConversation?.settings || {}
+        });
+      } catch {
+        budgetInfo = null;
+      }
+      updateBudgetMeter();
+    }
+
+    function formatTokens(n) {
+      if (n < 1000) return String(n);
+      return `${(n / 1000).toFixed(n < 10000 ? 1 : 0)}k`;
+    }
+
+    // Estimates what the next request would hold. Until the page or tabs are
+    // read, they count at their full character budget.
+    function updateBudgetMeter() {
+      budgetEl.classList.toggle("hidden", !budgetInfo);
+      if (!budgetInfo) return;
+      const pageBudgetTokens = Math.ceil(budgetInfo.maxPageChars / 4);
+      const parts = [
+        ["system", budgetInfo.systemTokens],
+        ["history", chatHistory.reduce((sum, m) => sum + estimateMessageTokens(m), 0)],
+        [
+          "page",
+          includePageEl.checked
+            ? cachedPageContext
+              ? estimateTokens(cachedPageContext.content)
+              : pageBudgetTokens
+            : 0
+        ],
+        ["tabs", selectedTabs.size ? pageBudgetTokens : 0],
+        ["regions", pickedRegions.reduce((sum, r) => sum + estimateTokens(regionContent(r)), 0)],
+        ["files", pendingFiles.reduce((sum, f) => sum + f.tokens, 0)],
+        ["images", pendingImages.length * IMAGE_TOKENS],
+        ["message", estimateTokens(inputEl.value)]
+      ];
+      const used = parts.reduce((sum, [, n]) => sum + n, 0);
+      const available = Math.max(1, budgetInfo.contextWindow - budgetInfo.maxOutputTokens);
+      const ratio = used / available;
+      budgetEl.classList.toggle("warn", ratio >= 0.8 && ratio <= 1);
+      budgetEl.classList.toggle("over", ratio > 1);
+      budgetFillEl.style.width = `${Math.min(100, Math.round(ratio * 100))}%`;
+      budgetTextEl.textContent =
+        `~${formatTokens(used)} of ${formatTokens(available)} tokens` +
+        (budgetInfo.model ? ` · ${budgetInfo.model}` : "") +
+        (ratio > 1 ? " · the oldest messages will be left out" : "");
+      budgetEl.title = [
+        ...parts.filter(([, n]) => n > 0).map(([label, n]) => `${label}: ~${n.toLocaleString()}`),
+        `${budgetInfo.maxOutputTokens.toLocaleString()} reserved for the reply`,
+        `${budgetInfo.contextWindow.toLocaleString()} context window`
+      ].join("\n");
+    }
+
+    async function loadActiveConversation() {
+      const res = await sendBackgroundRequest("CONVERSATION_ACTIVE", getPageInfo());
+      activeScope = typeof res.scope === "string" ? res.scope : "global";
+      lastScopedUrl = location.href.split("#")[0];
+      applyConversation(res.conversation);
+    }
+
+    // Reloads the conversation bound to this page when the scoping mode changes
+    // or, in per-URL mode, when a single-page app navigates without reloading.
+    async function reloadScopedConversation() {
+      if (activeRequestId) return;
+      try {
+        await loadActiveConversation();
+        if (isConversationListOpen()) await refreshConversationList();
+      } catch {
+        // ignore
+      }
+    }
+
+    function checkScopedUrl() {
+      const url = location.href.split("#")[0];
+      if (url === lastScopedUrl) return;
+      lastScopedUrl = url;
+      if (activeScope === "url") reloadScopedConversation();
+    }
+
+    async function saveChatHistory(history) {
+      updateBudgetMeter();
+      if (!activeConversation) return;
+      const res = await sendBackgroundRequest("CONVERSATION_SAVE", {
+        id: activeConversation.id,
+        messages: trimChatHistory(history),
+        ...getPageInfo()
+      });
+      if (res.conversation?.id === activeConversation?.id) {
+        activeConversation = { ...activeConversation, ...res.conversation };
+        conversationNameEl.textContent = activeConversation.title || "New chat";
+      }
+    }
+
+    function isConversationListOpen() {
+      return !convListEl.classList.contains("hidden");
+    }
+
+    function setConversationListOpen(open) {
+      convListEl.classList.toggle("hidden", !open);
+      chatEl.classList.toggle("hidden", open);
+      chatsBtn.textContent = open ? "Back" : "Chats";
+    }
+
+    function ensureIdle() {
+      if (!activeRequestId) return true;
+      setStatus("Finish or cancel the current reply first");
+      return false;
+    }
+
+    async function refreshConversationList() {
+      if (searchInputEl.value.trim()) {
+        await runSearch();
+        return;
+      }
+      const res = await sendBackgroundRequest("CONVERSATION_LIST", {
+        ...getPageInfo(),
+        all: showAllConversations
+      });
+      if (typeof res.scope === "string") activeScope = res.scope;
+      renderConversationList(Array.isArray(res.conversations) ? res.conversations : []);
+    }
+
+    const SCOPE_LABELS = {
+      global: "All pages",
+      origin: "This site",
+      url: "This page",
+      tab: "This tab"
+    };
+
+    function renderConversationList(conversations) {
+      convItemsEl.textContent = "";
+      const newBtn = el("button", { class: "btn primary secondary", type: "button", text: "New chat" });
+      newBtn.addEventListener("click", () => onNewConversation());
+      const headingChildren = [el("div", { class: "convheading", text: "Conversations" })];
+      if (activeScope !== "global") {
+        const allEl = el("input", { type: "checkbox" });
+        allEl.checked = showAllConversations;
+        allEl.addEventListener("change", async () => {
+          showAllConversations = allEl.checked;
+          try {
+            await refreshConversationList();
+          } catch (err) {
+            setStatus(err?.message || String(err));
+          }
+        });
+        headingChildren.push(
+          el("label", { class: "toggle convmeta" }, [
+            allEl,
+            el("span", { text: `Show all (scope: ${SCOPE_LABELS[activeScope] || activeScope})` })
+          ])
+        );
+      }
+      convItemsEl.appendChild(
+        el("div", { class: "convhead" }, [el("div", {}, headingChildren), newBtn])
+      );
+      if (!conversations.length) {
+        convItemsEl.appendChild(el("div", { class: "empty", text: "No conversations yet." }));
+        return;
+      }
+      for (const c of conversations) convItemsEl.appendChild(renderConversationItem(c));
+    }
+
+    function appendHighlighted(parent, text, terms) {
+      const escaped = (Array.isArray(terms) ? terms : [])
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+      if (!escaped.length) {
+        parent.appendChild(document.createTextNode(text));
+        return;
+      }
+      const re = new RegExp(`(${escaped.join("|")})`, "gi");
+      const pieces = String(text || "").split(re);
+      pieces.forEach((piece, i) => {
+        if (!piece) return;
+        // split() with one capture group puts the matches at odd indexes.
+        parent.appendChild(i % 2 === 1 ? el("mark", { text: piece }) : document.createTextNode(piece));
+      });
+    }
+
+    let searchSeq = 0;
+    let searchTimer = null;
+
+    async function runSearch() {
+      const query = searchInputEl.value.trim();
+      const seq = ++searchSeq;
+      const res = await sendBackgroundRequest("SEARCH_ARCHIVE", { query });
+      if (seq !== searchSeq) return;
+      renderSearchResults(Array.isArray(res.results) ? res.results : [], res.terms || []);
+    }
+
+    function renderSearchResults(results, terms) {
+      convItemsEl.textContent = "";
+      convItemsEl.appendChild(
+        el("div", { class: "convhead" }, [
+          el("div", { class: "convheading", text: `${results.length} result${results.length === 1 ? "" : "s"}` })
+        ])
+      );
+      if (!results.length) {
+        convItemsEl.appendChild(el("div", { class: "empty", text: "No matching messages." }));
+        return;
+      }
+      for (const r of results) {
+        const snippetEl = el("div", { class: "snippet" });
+        appendHighlighted(snippetEl, r.snippet, terms);
+        const metaParts = [
+          r.role === "user" ? "You" : "Assistant",
+          r.pageTitle || hostOf(r.pageUrl),
+          formatShortDate(r.ts),
+          r.conversationTitle ? `in “${r.conversationTitle}”` : "deleted conversation"
+        ];
+        const item = el("div", { class: "convitem result", title: r.pageUrl || "" }, [
+          el("div", { class: "convmain" }, [
+            snippetEl,
+            el("div", { class: "convmeta", text: metaParts.filter(Boolean).join(" · ") })
+          ])
+        ]);
+        item.addEventListener("click", async () => {
+          if (r.available) {
+            if (await onSwitchConversation(r.conversationId)) jumpToMessage(r.id);
+            return;
+          }
+          // The turn has left its conversation's window: show the archived text in place.
+          if (item.classList.toggle("expanded")) {
+            snippetEl.textContent = "";
+            appendHighlighted(snippetEl, r.text, terms);
+          } else {
+            snippetEl.textContent = "";
+            appendHighlighted(snippetEl, r.snippet, terms);
+          }
+        });
+        convItemsEl.appendChild(item);
+      }
+    }
+
+    function jumpToMessage(messageId) {
+      const bubble = chatEl.querySelector(`[data-message-id="${CSS.escape(String(messageId))}"]`);
+      if (!bubble) return;
+      bubble.scrollIntoView({ block: "center" });
+      bubble.classList.add("flash");
+      setTimeout(() => bubble.classList.remove("flash"), 1600);
+    }
+
+    async function onExport(all) {
+      try {
+        const res = await sendBackgroundRequest("CONVERSATION_EXPORT", {
+          all,
+          id: activeConversation?.id,
+          format: exportFormatEl.value
+        });
+        downloadTextFile(res.file.filename, res.file.mimeType, res.file.text);
+        setStatus("Exported");
+      } catch (err) {
+        setStatus(err?.message || String(err));
+      }
+    }
+
+    async function onImportFile() {
+      const file = importFileEl.files?.[0];
+      importFileEl.value = "";
+      if (!file) return;
+      try {
+        const text = await file.text();
+        const res = await sendBackgroundRequest("CONVERSATION_IMPORT", { text });
+        const { added, merged, messagesAdded } = res.summary || {};
+        setStatus(`Imported ${added || 0} new, merged ${merged || 0} (${messagesAdded || 0} messages)`);
+        if (activeConversation && !activeRequestId) await loadActiveConversation();
+        await refreshConversationList();
+      } catch (err) {
+        setStatus(err?.message || String(err));
+      }
+    }
+
+    exportCurrentBtn.addEventListener("click", () => onExport(false));
+    exportAllBtn.addEventListener("click", () => onExport(true));
+    importBtn.addEventListener("click", () => importFileEl.click());
+    importFileEl.addEventListener("change", onImportFile);
+
+    searchInputEl.addEventListener("input", () => {
+      if (searchTimer) clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        searchTimer = null;
+        refreshConversationList().catch((err) => setStatus(err?.message || String(err)));
+      }, 200);
+    });
+
+    function renderConversationItem(c) {
+      const titleEl = el("div", { class: "convtitle", text: `${c.pinned ? "📌 " : ""}${c.title}` });
+      const metaParts = [hostOf(c.pageUrl), `${c.messageCount} msgs`, formatShortDate(c.updatedAt)];
+      const mainEl = el("div", { class: "convmain", title: c.pageUrl || "" }, [
+        titleEl,
+        el("div", { class: "convmeta", text: metaParts.filter(Boolean).join(" · ") })
+      ]);
+      const pinBtn = el("button", { class: "btn", type: "button", text: c.pinned ? "Unpin" : "Pin" });
+      const renameBtn = el("button", { class: "btn", type: "button", text: "Rename" });
+      const deleteBtn = el("button", { class: "btn", type: "button", text: "Delete" });
+      const item = el("div", { class: `convitem${c.id === activeConversation?.id ? " active" : ""}` }, [
+        mainEl,
+        el("div", { class: "actions" }, [pinBtn, renameBtn, deleteBtn])
+      ]);
+
+      mainEl.addEventListener("click", () => onSwitchConversation(c.id));
+      pinBtn.addEventListener("click", async () => {
+        await runConversationAction(() =>
+          sendBackgroundRequest("CONVERSATION_PIN", { id: c.id, pinned: !c.pinned })
+        );
+      });
+      renameBtn.addEventListener("click", () => {
+        const input = el("input", { class: "renameinput", type: "text", value: c.title });
+        let done = false;
+        const commit = async (save) => {
+          if (done) return;
+          done = true;
+          if (!save) {
+            await refreshConversationList();
+            return;
+          }
+          await runConversationAction(async () => {
+            const res = await sendBackgroundRequest("CONVERSATION_RENAME", {
+              id: c.id,
+              title: input.value
             });
-
-            bubble.appendChild(
-              el("div", { class: "codeblock" }, [
-                el("div", { class: "codebar" }, [
-                  el("div", { class: "codelang", text: part.lang ? part.lang : "code" }),
-                  el("div", { class: "actions" }, [hint, copyBtn])
-                ]),
-                el("pre", {}, [el("code", {}, [codeText])])
-              ])
-            );
-          } else {
-            const t = String(part.text || "");
-            if (!t) continue;
-            bubble.appendChild(el("div", { class: "md" }, [t]));
+            if (res.conversation?.id === activeConversation?.id) {
+              activeConversation = { ...activeConversation, ...res.conversation };
+              conversationNameEl.textContent = activeConversation.title;
+            }
+          });
+        };
+        input.addEventListener("click", (e) => e.stopPropagation());
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter" && !e.isComposing) {
+            e.preventDefault();
+            commit(true);
+          } else if (e.key === "Escape") {
+            e.preventDefault();
+            commit(false);
           }
-        }
-        return;
-      }
+        });
+        input.addEventListener("blur", () => commit(true));
+        titleEl.replaceWith(input);
+        input.focus();
+        input.select();
+      });
+      deleteBtn.addEventListener("click", async () => {
+        if (c.id === activeConversation?.id && !ensureIdle()) return;
+        if (!window.confirm(`Delete "${c.title}"?`)) return;
+        await runConversationAction(async () => {
+          await sendBackgroundRequest("CONVERSATION_DELETE", { id: c.id });
+          if (c.id === activeConversation?.id) await loadActiveConversation();
+        });
+      });
+      return item;
+    }
 
-      bubble.textContent = raw;
+    async function runConversationAction(fn) {
+      try {
+        await fn();
+        await refreshConversationList();
+      } catch (err) {
+        setStatus(err?.message || String(err));
+      }
     }
 
-    function addBubble(role, content, meta) {
-      const bubble = el("div", { class: `bubble ${role}` }, []);
-      renderBubbleContent(bubble, role, content);
+    async function onToggleConversationList() {
+      if (isConversationListOpen()) {
+        setConversationListOpen(false);
+        return;
+      }
+      try {
+        await refreshConversationList();
+        setConversationListOpen(true);
+      } catch (err) {
+        setStatus(err?.message || String(err));
+      }
+    }
 
-      if (meta) {
-        bubble.appendChild(el("div", { class: "meta", text: meta }));
+    async function onNewConversation() {
+      if (!ensureIdle()) return;
+      try {
+        const res = await sendBackgroundRequest("CONVERSATION_CREATE", getPageInfo());
+        applyConversation(res.conversation);
+        setConversationListOpen(false);
+        setStatus("New chat");
+        if (shouldFocusInput) inputEl.focus();
+      } catch (err) {
+        setStatus(err?.message || String(err));
       }
-      chatEl.appendChild(bubble);
-      scrollToBottom();
-      return bubble;
     }
 
-	    let chatHistory = [];
-	    let cachedPageContext = null;
-	    let activeRequestId = null;
-	    let activePendingBubble = null;
-	    let activeUserBubble = null;
-	    let activeUserMessageIndex = null;
-      state.sendQuickAction = null;
+    async function onSwitchConversation(id) {
+      if (id !== activeConversation?.id && !ensureIdle()) return false;
+      try {
+        const res = await sendBackgroundRequest("CONVERSATION_SWITCH", { id, ...getPageInfo() });
+        applyConversation(res.conversation);
+        setConversationListOpen(false);
+        setStatus("Ready");
+        return true;
+      } catch (err) {
+        setStatus(err?.message || String(err));
+        return false;
+      }
+    }
 
 	    function setSendButtonMode(mode) {
 	      const m = String(mode || "");
@@ -933,12 +4050,14 @@
 	      const pending = activePendingBubble;
 	      const userBubble = activeUserBubble;
 	      const userIndex = activeUserMessageIndex;
+      const partialText = activePartialText;
 	      if (!requestId) return;
 
 	      activeRequestId = null;
 	      activePendingBubble = null;
 	      activeUserBubble = null;
 	      activeUserMessageIndex = null;
+      activePartialText = "";
 	      setSendButtonMode("send");
 
 	      setStatus("Cancelling…");
@@ -948,6 +4067,26 @@
 	        // ignore
 	      }
 
+      // Once output has started, keep what arrived so far instead of discarding the turn.
+      if (partialText.trim()) {
+        try {
+          const partialMessage = makeChatMessage("assistant", partialText);
+          if (pending) pending.dataset.messageId = partialMessage.id;
+          chatHistory.push(partialMessage);
+          chatHistory = trimChatHistory(chatHistory);
+          await saveChatHistory(chatHistory);
+        } catch {
+          // ignore
+        }
+        if (pending && pending.isConnected) {
+          pending.className = "bubble assistant";
+          renderBubbleContent(pending, "assistant", partialText);
+          pending.appendChild(el("div", { class: "meta", text: "Cancelled" }));
+        }
+        setStatus("Ready");
+        return;
+      }
+
 	      try {
 	        if (typeof userIndex === "number" && userIndex >= 0 && userIndex < chatHistory.length) {
 	          const msg = chatHistory[userIndex];
@@ -981,16 +4120,133 @@
 	      await onSend();
 	    }
 
-    async function ensureConfigured() {
+    // "" follows the default profile from Options; other values pin a profile
+    // to the active conversation.
+    function pageCharBudget(cfg) {
+      const override = activeConversation?.settings?.maxPageChars;
+      if (typeof override === "number") return override;
+      return typeof cfg.maxPageChars === "number" ? cfg.maxPageChars : MAX_PAGE_CHARS;
+    }
+
+    function renderTuneState() {
+      const count = Object.keys(activeConversation?.settings || {}).length;
+      tuneBtn.classList.toggle("on", count > 0);
+      tuneBtn.textContent = count ? `Tune (${count})` : "Tune";
+    }
+
+    // Fields show the conversation's overrides; placeholders show what an
+    // empty field falls back to.
+    async function fillTuneFields() {
       const cfg = await loadConfig();
-      const ok = Boolean(cfg.token && cfg.model);
+      const o = activeConversation?.settings || {};
+      tunePromptEl.value = o.systemPrompt || "";
+      tunePromptEl.placeholder = cfg.systemPrompt
+        ? `Default: ${cfg.systemPrompt}`
+        : "Default: no system prompt";
+      tuneTemperatureEl.value = typeof o.temperature === "number" ? String(o.temperature) : "";
+      tuneTemperatureEl.placeholder = String(cfg.temperature);
+      tuneMaxTokensEl.value = typeof o.maxOutputTokens === "number" ? String(o.maxOutputTokens) : "";
+      tuneMaxTokensEl.placeholder = String(cfg.maxOutputTokens);
+      tunePageCharsEl.value = typeof o.maxPageChars === "number" ? String(o.maxPageChars) : "";
+      tunePageCharsEl.placeholder = String(cfg.maxPageChars);
+      tuneReasoningEl.value = typeof o.reasoningEffort === "string" ? o.reasoningEffort : "inherit";
+      tuneReasoningEl.options[0].textContent = `Default (${cfg.reasoningEffort || "off"})`;
+    }
+
+    async function onToggleTune() {
+      const open = tuneBoxEl.classList.contains("hidden");
+      if (open) await fillTuneFields();
+      tuneBoxEl.classList.toggle("hidden", !open);
+    }
+
+    async function saveConversationSettings(settings) {
+      if (!activeConversation) return;
+      try {
+        const res = await sendBackgroundRequest("CONVERSATION_SET_SETTINGS", {
+          id: activeConversation.id,
+          settings
+        });
+        if (res.conversation?.id === activeConversation?.id) {
+          activeConversation = { ...activeConversation, ...res.conversation };
+        }
+        cachedPageContext = null;
+        renderTuneState();
+        refreshBudgetInfo();
+        await fillTuneFields();
+        setStatus("Chat settings saved");
+      } catch (err) {
+        setStatus(err?.message || "Failed to save chat settings");
+      }
+    }
+
+    async function onSaveTune() {
+      const settings = {};
+      if (tunePromptEl.value.trim()) settings.systemPrompt = tunePromptEl.value;
+      if (tuneTemperatureEl.value.trim()) settings.temperature = Number(tuneTemperatureEl.value);
+      if (tuneMaxTokensEl.value.trim()) settings.maxOutputTokens = Number(tuneMaxTokensEl.value);
+      if (tunePageCharsEl.value.trim()) settings.maxPageChars = Number(tunePageCharsEl.value);
+      if (tuneReasoningEl.value !== "inherit") settings.reasoningEffort = tuneReasoningEl.value;
+      await saveConversationSettings(settings);
+    }
+
+    function renderProfileOptions() {
+      const current = activeConversation?.profileId || "";
+      const fallback = providerProfiles.find((p) => p.id === defaultProfileId);
+      profileSelectEl.innerHTML = "";
+      profileSelectEl.appendChild(
+        el("option", { value: "", text: `Default${fallback ? ` (${fallback.name})` : ""}` })
+      );
+      for (const p of providerProfiles) {
+        profileSelectEl.appendChild(el("option", { value: p.id, text: `${p.name} · ${p.model}` }));
+      }
+      profileSelectEl.value = providerProfiles.some((p) => p.id === current) ? current : "";
+    }
+
+    async function refreshProfiles() {
+      const res = await sendBackgroundRequest("PROFILES_LIST");
+      providerProfiles = Array.isArray(res.profiles) ? res.profiles : [];
+      defaultProfileId = typeof res.activeProfileId === "string" ? res.activeProfileId : "";
+      renderProfileOptions();
+      refreshBudgetInfo();
+    }
+
+    function selectedProfile() {
+      const id = profileSelectEl.value || defaultProfileId;
+      return providerProfiles.find((p) => p.id === id) || providerProfiles[0] || null;
+    }
+
+    async function ensureConfigured() {
+      await refreshProfiles();
+      const ok = Boolean(selectedProfile()?.configured);
       noticeEl.classList.toggle("hidden", ok);
       return ok;
     }
 
+    async function onProfileChange() {
+      if (!activeConversation) return;
+      try {
+        const res = await sendBackgroundRequest("CONVERSATION_SET_PROFILE", {
+          id: activeConversation.id,
+          profileId: profileSelectEl.value
+        });
+        if (res.conversation?.id === activeConversation?.id) {
+          activeConversation = { ...activeConversation, ...res.conversation };
+        }
+        refreshBudgetInfo();
+        const ok = Boolean(selectedProfile()?.configured);
+        noticeEl.classList.toggle("hidden", ok);
+        setStatus(ok ? `Using ${selectedProfile().name}` : "Open Settings to configure this provider");
+      } catch (err) {
+        renderProfileOptions();
+        setStatus(err?.message || "Failed to switch provider");
+      }
+    }
+
     function renderAll() {
       chatEl.innerHTML = "";
-      for (const m of chatHistory) addBubble(m.role, m.content);
+      for (const m of chatHistory) {
+        addBubble(m.role, m.role === "user" && m.display ? m.display : m.content, "", m.id, m.images);
+      }
     }
 
     async function onOpenSettings() {
@@ -1002,6 +4258,7 @@
     }
 
     async function onClear() {
+      if (!ensureIdle()) return;
       chatHistory = [];
       await saveChatHistory(chatHistory);
       renderAll();
@@ -1012,15 +4269,429 @@
       try {
         const cfg = await loadConfig();
         setStatus("Reading page…");
-        cachedPageContext = getPageContext(
-          typeof cfg.maxPageChars === "number" ? cfg.maxPageChars : MAX_PAGE_CHARS
-        );
-        setStatus("Page captured");
+        cachedPageContext = getPageContext(pageCharBudget(cfg), { anchors: true });
+        setStatus(describePageContext(cachedPageContext, "Page captured"));
       } catch (err) {
         cachedPageContext = null;
         setStatus("Failed to read page");
         addBubble("error", `Failed to read page: ${err?.message || err}`);
       }
+      updateBudgetMeter();
+    }
+
+    async function refreshTemplates() {
+      const res = await sendBackgroundRequest("TEMPLATES_LIST");
+      promptTemplates = Array.isArray(res.templates) ? res.templates : [];
+      if (isPaletteOpen()) updatePalette();
+    }
+
+    function isPaletteOpen() {
+      return !paletteEl.classList.contains("hidden");
+    }
+
+    function closePalette() {
+      paletteEl.classList.add("hidden");
+      paletteItems = [];
+    }
+
+    // The palette is open while the composer holds a lone "/command" word.
+    function updatePalette() {
+      const m = String(inputEl.value || "").match(/^\/([a-z0-9_-]*)$/i);
+      if (!m) return closePalette();
+      const query = m[1].toLowerCase();
+      paletteItems = promptTemplates
+        .filter((t) => t.name.includes(query))
+        .sort((a, b) => Number(b.name.startsWith(query)) - Number(a.name.startsWith(query)));
+      paletteIndex = Math.min(paletteIndex, Math.max(0, paletteItems.length - 1));
+      paletteEl.innerHTML = "";
+      if (!paletteItems.length) {
+        paletteEl.appendChild(
+          el("div", {
+            class: "paletteempty",
+            text: promptTemplates.length ? "No matching template" : "No templates yet — add them in Settings"
+          })
+        );
+      }
+      paletteItems.forEach((t, i) => {
+        const item = el("div", { class: `paletteitem${i === paletteIndex ? " active" : ""}`, role: "option" }, [
+          el("span", { class: "cmd", text: `/${t.name}` }),
+          el("span", { class: "desc", text: t.description || "" })
+        ]);
+        // mousedown keeps focus in the composer.
+        item.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          pickPaletteItem(i);
+        });
+        paletteEl.appendChild(item);
+      });
+      paletteEl.classList.remove("hidden");
+      paletteEl.children[paletteIndex]?.scrollIntoView?.({ block: "nearest" });
+    }
+
+    function pickPaletteItem(index) {
+      const t = paletteItems[index];
+      if (!t) return;
+      inputEl.value = `/${t.name} `;
+      closePalette();
+      inputEl.focus();
+    }
+
+    // Returns true when the key was used by the palette.
+    function onPaletteKeydown(e) {
+      if (!isPaletteOpen()) return false;
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (!paletteItems.length) return true;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        paletteIndex = (paletteIndex + step + paletteItems.length) % paletteItems.length;
+        updatePalette();
+        return true;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closePalette();
+        return true;
+      }
+      const picking = e.key === "Tab" || (e.key === "Enter" && !e.shiftKey && !e.isComposing);
+      if (!picking || !paletteItems.length) return false;
+      // Enter on a fully typed command sends it right away.
+      if (e.key === "Enter" && inputEl.value.trim().slice(1).toLowerCase() === paletteItems[paletteIndex].name) {
+        closePalette();
+        return false;
+      }
+      e.preventDefault();
+      pickPaletteItem(paletteIndex);
+      return true;
+    }
+
+    function renderRegionChips() {
+      updateBudgetMeter();
+      regionChipsEl.textContent = "";
+      regionChipsEl.classList.toggle("hidden", !pickedRegions.length);
+      pickedRegions.forEach((region) => {
+        const size = regionContent(region).length.toLocaleString();
+        const next = region.formats[(region.formats.indexOf(region.format) + 1) % region.formats.length];
+        const exportBtn = (format) =>
+          el("button", {
+            class: "chipaction",
+            type: "button",
+            text: format.toUpperCase(),
+            title: `Download as ${format.toUpperCase()}; text in the input box is sent to the model as a transform or filter instruction`,
+            onclick: () => exportRegionTable(region, format)
+          });
+        regionChipsEl.appendChild(
+          el("span", { class: "chip" }, [
+            el("button", {
+              type: "button",
+              title: `Click to send as ${REGION_FORMAT_LABELS[next]}`,
+              text: `⌖ ${region.label} · ${REGION_FORMAT_LABELS[region.format]} · ${size} chars`,
+              onclick: () => {
+                region.format = next;
+                renderRegionChips();
+              }
+            }),
+            region.rows ? exportBtn("csv") : null,
+            region.rows ? exportBtn("json") : null,
+            el("button", {
+              class: "chipx",
+              type: "button",
+              text: "×",
+              title: "Remove",
+              "aria-label": "Remove",
+              onclick: () => {
+                pickedRegions = pickedRegions.filter((r) => r !== region);
+                renderRegionChips();
+              }
+            })
+          ])
+        );
+      });
+    }
+
+    function downloadExport(region, format, payload) {
+      // Excel only reads UTF-8 CSV correctly with a byte order mark.
+      const body = format === "csv" ? `\ufeff${payload}` : payload;
+      downloadTextFile(exportFileName(region, format), format === "json" ? "application/json" : "text/csv", body);
+    }
+
+    // Without an instruction the picked table is converted here; otherwise
+    // the model filters or reshapes it and the reply's code block is saved.
+    async function exportRegionTable(region, format) {
+      if (activeRequestId) return;
+      const instruction = String(inputEl.value || "").trim();
+      if (!instruction) {
+        downloadExport(region, format, format === "json" ? rowsToJson(region.rows) : rowsToCsv(region.rows));
+        setStatus(`Downloaded ${region.rows.length - 1} rows as ${format.toUpperCase()}`);
+        return;
+      }
+      pickedRegions = pickedRegions.filter((r) => r !== region);
+      renderRegionChips();
+      await submitPrompt({
+        displayText: `Export ${region.label} as ${format.toUpperCase()}: ${instruction}`,
+        promptText: buildTableExportPrompt(format, instruction),
+        includePage: false,
+        regions: [{ ...region, format: "table" }],
+        onReply: (reply) => {
+          const payload = extractExportPayload(reply, format);
+          if (!payload) {
+            setStatus(`The reply had no usable ${format.toUpperCase()}; nothing downloaded`);
+            return;
+          }
+          downloadExport(region, format, payload);
+          setStatus(`Downloaded ${format.toUpperCase()}`);
+        }
+      });
+    }
+
+    function renderTabSelection() {
+      const count = selectedTabs.size;
+      tabsBtn.textContent = count ? `Tabs (${count})` : "Tabs";
+      tabsBtn.classList.toggle("on", count > 0);
+      tabCountEl.textContent = count ? `${count} selected` : "None selected";
+      updateBudgetMeter();
+    }
+
+    async function onToggleTabs() {
+      const open = tabBoxEl.classList.contains("hidden");
+      tabBoxEl.classList.toggle("hidden", !open);
+      if (!open) return;
+      tabListEl.textContent = "";
+      tabListEl.appendChild(el("div", { class: "hint", text: "Loading tabs…" }));
+      let tabs = [];
+      try {
+        tabs = (await sendBackgroundRequest("TABS_LIST")).tabs || [];
+      } catch (err) {
+        tabListEl.textContent = "";
+        tabListEl.appendChild(el("div", { class: "hint", text: err?.message || "Failed to list tabs" }));
+        return;
+      }
+      // Forget tabs that were closed since they were ticked.
+      for (const id of selectedTabs.keys()) if (!tabs.some((t) => t.id === id)) selectedTabs.delete(id);
+      renderTabSelection();
+      tabListEl.textContent = "";
+      if (!tabs.length) {
+        tabListEl.appendChild(el("div", { class: "hint", text: "No other web pages are open." }));
+        return;
+      }
+      for (const tab of tabs) {
+        let host = tab.url;
+        try {
+          host = new URL(tab.url).host;
+        } catch {
+          // ignore
+        }
+        const box = el("input", { type: "checkbox" });
+        box.checked = selectedTabs.has(tab.id);
+        box.addEventListener("change", () => {
+          if (box.checked) selectedTabs.set(tab.id, tab);
+          else selectedTabs.delete(tab.id);
+          renderTabSelection();
+        });
+        tabListEl.appendChild(
+          el("label", { class: "tabitem", title: tab.url }, [
+            box,
+            el("span", { class: "name", text: tab.title }),
+            el("span", { class: "host", text: tab.discarded ? `${host} · asleep, may not be readable` : host })
+          ])
+        );
+      }
+    }
+
+    function renderThumbnails(images, onRemove) {
+      return el(
+        "div",
+        { class: "thumbs" },
+        images.map((image, i) =>
+          el("div", { class: "thumb", title: image.name || "image" }, [
+            el("img", {
+              src: image.dataUrl,
+              alt: image.name || "image",
+              onclick: () => {
+                const url = URL.createObjectURL(dataUrlToBlob(image.dataUrl));
+                window.open(url, "_blank", "noopener");
+                setTimeout(() => URL.revokeObjectURL(url), 60000);
+              }
+            }),
+            onRemove
+              ? el("button", { type: "button", text: "×", title: "Remove", "aria-label": "Remove", onclick: () => onRemove(i) })
+              : null
+          ])
+        )
+      );
+    }
+
+    function renderImageTray() {
+      updateBudgetMeter();
+      imageTrayEl.textContent = "";
+      imageTrayEl.classList.toggle("hidden", !pendingImages.length);
+      if (!pendingImages.length) return;
+      imageTrayEl.appendChild(
+        renderThumbnails(pendingImages, (i) => {
+          pendingImages = pendingImages.filter((_, j) => j !== i);
+          renderImageTray();
+        })
+      );
+    }
+
+    function attachImage(image) {
+      if (!image) return;
+      if (pendingImages.length >= MAX_PENDING_IMAGES) {
+        setStatus(`At most ${MAX_PENDING_IMAGES} images per message`);
+        return;
+      }
+      pendingImages.push(image);
+      renderImageTray();
+      setStatus("Image attached — ask your question");
+      if (shouldFocusInput) inputEl.focus();
+    }
+
+    async function onScreenshot(selectArea) {
+      try {
+        attachImage(await captureScreenshot(selectArea));
+      } catch (err) {
+        setStatus(`Screenshot failed: ${err?.message || err}`);
+      }
+    }
+
+    async function onAttachImageUrl(url) {
+      setStatus("Loading image…");
+      try {
+        attachImage(await loadImageFromUrl(url));
+      } catch (err) {
+        setStatus(`Failed to load image: ${err?.message || err}`);
+      }
+    }
+
+    async function onPasteImages(e) {
+      const files = Array.from(e.clipboardData?.files || []).filter((f) => f.type.startsWith("image/"));
+      if (!files.length) return;
+      e.preventDefault();
+      for (const file of files) {
+        try {
+          attachImage(await prepareImage(file, file.name || "pasted image"));
+        } catch (err) {
+          setStatus(`Failed to read pasted image: ${err?.message || err}`);
+        }
+      }
+    }
+
+    function renderFileChips() {
+      updateBudgetMeter();
+      fileChipsEl.textContent = "";
+      fileChipsEl.classList.toggle("hidden", !pendingFiles.length);
+      pendingFiles.forEach((file) => {
+        fileChipsEl.appendChild(
+          el("span", { class: "chip", title: file.name }, [
+            el("button", {
+              type: "button",
+              tabindex: "-1",
+              text: `📄 ${file.name} · ${formatBytes(file.size)} · ~${file.tokens.toLocaleString()} tokens`
+            }),
+            el("button", {
+              class: "chipx",
+              type: "button",
+              text: "×",
+              title: "Remove",
+              "aria-label": "Remove",
+              onclick: () => {
+                pendingFiles = pendingFiles.filter((f) => f !== file);
+                renderFileChips();
+              }
+            })
+          ])
+        );
+      });
+    }
+
+    // Images become image attachments; everything else is read as text.
+    async function addFiles(list) {
+      for (const file of list) {
+        if (file.type.startsWith("image/")) {
+          try {
+            attachImage(await prepareImage(file, file.name));
+          } catch (err) {
+            setStatus(`Failed to read ${file.name}: ${err?.message || err}`);
+          }
+          continue;
+        }
+        if (pendingFiles.length >= MAX_ATTACHMENTS) {
+          setStatus(`At most ${MAX_ATTACHMENTS} files per message`);
+          break;
+        }
+        try {
+          setStatus(`Reading ${file.name}…`);
+          pendingFiles.push(await readAttachment(file));
+          renderFileChips();
+          setStatus(`Attached ${file.name}`);
+        } catch (err) {
+          setStatus(err?.message || `Failed to read ${file.name}`);
+        }
+      }
+    }
+
+    function hasDraggedFiles(e) {
+      return Array.from(e.dataTransfer?.types || []).includes("Files");
+    }
+
+    function onPickRegion(node) {
+      if (pickedRegions.some((r) => r.node === node)) {
+        setStatus("Already attached");
+        return;
+      }
+      if (pickedRegions.length >= MAX_PICKED_REGIONS) {
+        setStatus(`At most ${MAX_PICKED_REGIONS} regions per message`);
+        return;
+      }
+      try {
+        const region = captureRegion(node);
+        pickedRegions.push(region);
+        renderRegionChips();
+        setStatus(`Attached ${region.label}`);
+      } catch (err) {
+        setStatus(`Failed to read element: ${err?.message || err}`);
+      }
+    }
+
+    function onTogglePicker() {
+      if (state.stopPicker) {
+        state.stopPicker();
+        return;
+      }
+      state.stopPicker = startElementPicker({
+        onPick: onPickRegion,
+        onStop: () => {
+          state.stopPicker = null;
+          pickBtn.classList.remove("on");
+          if (shouldFocusInput) inputEl.focus();
+        }
+      });
+      pickBtn.classList.add("on");
+      setStatus("Picking: click elements on the page, Esc to finish");
+    }
+
+    // Fills a template's variables from the page; page text and the clipboard
+    // are only read when the template asks for them.
+    async function runTemplate(template, { input, selection, displayText }) {
+      const values = {
+        input: String(input || "").trim(),
+        selection: String(selection ?? window.getSelection?.()?.toString?.() ?? "").trim(),
+        "page.title": document.title || "",
+        "page.url": location.href || ""
+      };
+      const usesPage = templateUses(template.body, "page.content");
+      if (usesPage) {
+        const cfg = await loadConfig();
+        values["page.content"] = getPageContext(pageCharBudget(cfg)).content;
+      }
+      if (templateUses(template.body, "clipboard")) values.clipboard = await readClipboardText();
+
+      const command = `/${template.name}`;
+      await submitPrompt({
+        displayText: displayText || (values.input ? `${command} ${values.input}` : command),
+        promptText: renderPromptTemplate(template.body, values),
+        // A template that embeds the page text does not need it attached again.
+        includePage: usesPage ? false : includePageEl.checked
+      });
     }
 
 	    async function onSend() {
@@ -1028,6 +4699,13 @@
 
 	      const userText = String(inputEl.value || "");
 	      if (!userText.trim()) return;
+      closePalette();
+      const command = userText.trim().match(/^\/([a-z0-9_-]+)(?:\s+([\s\S]*))?$/i);
+      const template = command && promptTemplates.find((t) => t.name === command[1].toLowerCase());
+      if (template) {
+        await runTemplate(template, { input: command[2] || "" });
+        return;
+      }
         await submitPrompt({
           displayText: userText,
           promptText: userText,
@@ -1035,7 +4713,9 @@
         });
 	    }
 
-      async function submitPrompt({ displayText, promptText, includePage }) {
+      // `regions` overrides the picked chips; `onReply` gets the finished
+      // assistant text.
+      async function submitPrompt({ displayText, promptText, includePage, regions: ownRegions, onReply }) {
         if (activeRequestId) return;
 
         const configured = await ensureConfigured();
@@ -1050,32 +4730,91 @@
 
         inputEl.value = "";
         if (shouldFocusInput) inputEl.focus();
+        state.stopPicker?.();
+        const regions = ownRegions || pickedRegions;
+        if (!ownRegions) {
+          pickedRegions = [];
+          renderRegionChips();
+        }
+        const images = pendingImages;
+        pendingImages = [];
+        renderImageTray();
+        const files = pendingFiles;
+        pendingFiles = [];
+        renderFileChips();
 
         let pageContext = null;
+        // Set when the page is over budget and long-page mode is on.
+        let longPage = null;
         if (includePage) {
           try {
             const cfg = await loadConfig();
+            const budget = pageCharBudget(cfg);
             setStatus("Reading page…");
-            pageContext =
-              cachedPageContext ||
-              getPageContext(
-                typeof cfg.maxPageChars === "number" ? cfg.maxPageChars : MAX_PAGE_CHARS
-              );
-            cachedPageContext = pageContext;
+            if (chunkedEl.checked) {
+              const full = getPageContext(Infinity, { anchors: true });
+              if (full.content.length > budget) {
+                const chunks = splitPageIntoChunks(full.content, budget);
+                longPage = { context: full, chunks: chunks.slice(0, MAX_PAGE_CHUNKS), total: chunks.length };
+              }
+            }
+            if (!longPage) {
+              pageContext = cachedPageContext || getPageContext(budget, { anchors: true });
+              cachedPageContext = pageContext;
+            }
           } catch (err) {
             pageContext = null;
             addBubble("error", `Failed to read page: ${err?.message || err}`);
           }
         }
 
-        const userContent = buildUserMessage(prompt, pageContext, includePage);
-        const userMessage = { role: "user", content: userContent };
+        let tabs = [];
+        if (selectedTabs.size) {
+          try {
+            const cfg = await loadConfig();
+            setStatus(`Reading ${selectedTabs.size} tab${selectedTabs.size === 1 ? "" : "s"}…`);
+            tabs = (
+              await sendBackgroundRequest("TABS_COLLECT", {
+                tabIds: Array.from(selectedTabs.keys()),
+                maxChars: pageCharBudget(cfg)
+              })
+            ).tabs || [];
+          } catch (err) {
+            addBubble("error", `Failed to read tabs: ${err?.message || err}`);
+          }
+        }
+
+        // A long page's notes only exist after the parts are read.
+        const userContent = longPage
+          ? buildUserMessage(prompt, null, false, { regions, tabs, files })
+          : buildUserMessage(prompt, pageContext, includePage, { regions, tabs, files });
+        const userMessage = makeChatMessage("user", userContent, display);
+        if (images.length) userMessage.images = images;
         chatHistory.push(userMessage);
         chatHistory = trimChatHistory(chatHistory);
+        const pageMeta = longPage
+          ? `Includes page context: ${longPage.context.content.length.toLocaleString()} chars read in ${longPage.chunks.length} parts`
+          : includePage
+            ? describePageContext(pageContext, "Includes page context")
+            : "";
+        const regionMeta = regions.length
+          ? `${regions.length} picked region${regions.length === 1 ? "" : "s"}: ${regions.map((r) => r.label).join(", ")}`
+          : "";
+        const readTabs = tabs.filter((t) => !t.error);
+        const tabMeta = tabs.length
+          ? `${readTabs.length} other tab${readTabs.length === 1 ? "" : "s"}: ${readTabs
+              .reduce((sum, t) => sum + t.chars, 0)
+              .toLocaleString()} chars${readTabs.length < tabs.length ? ` (${tabs.length - readTabs.length} unreadable)` : ""}`
+          : "";
+        const fileMeta = files.length
+          ? `${files.length} file${files.length === 1 ? "" : "s"}: ${files.map((f) => f.name).join(", ")}`
+          : "";
         activeUserBubble = addBubble(
           "user",
           display,
-          includePage ? "Includes page context" : ""
+          [pageMeta, regionMeta, tabMeta, fileMeta].filter(Boolean).join(" · "),
+          userMessage.id,
+          images
         );
         activeUserMessageIndex = chatHistory.length - 1;
         await saveChatHistory(chatHistory);
@@ -1085,10 +4824,56 @@
         const pending = addBubble("assistant", "Thinking…");
         activeRequestId = requestId;
         activePendingBubble = pending;
+        activePartialText = "";
         setStatus("Calling model…");
 
+        let streamedText = "";
+        let renderFrame = null;
+        const onDelta = (delta) => {
+          if (activeRequestId !== requestId) return;
+          if (!streamedText) setStatus("Streaming…");
+          streamedText += delta;
+          activePartialText = streamedText;
+          if (renderFrame) return;
+          renderFrame = requestAnimationFrame(() => {
+            renderFrame = null;
+            if (activeRequestId !== requestId) return;
+            const follow = isNearBottom();
+            renderBubbleContent(pending, "assistant", streamedText);
+            if (follow) scrollToBottom();
+          });
+        };
+
         try {
-          const apiRes = await callChatApi(chatHistory, requestId);
+          if (longPage) {
+            const notes = await readPageInChunks(longPage, prompt, requestId, pending);
+            if (activeRequestId !== requestId) return;
+            if (!notes.ok) {
+              pending.className = "bubble error";
+              renderBubbleContent(pending, "assistant", notes.error || "Request failed.");
+              setStatus("Error");
+              return;
+            }
+            pageContext = { ...longPage.context, content: notes.content };
+            userMessage.content = buildUserMessage(prompt, pageContext, true, { regions, tabs, files });
+            await saveChatHistory(chatHistory);
+            renderBubbleContent(pending, "assistant", "Thinking…");
+            setStatus("Combining notes…");
+          }
+
+          const apiRes = await callChatApi(
+            chatHistory,
+            requestId,
+            {
+              profileId: activeConversation?.profileId || "",
+              settings: activeConversation?.settings || {}
+            },
+            onDelta
+          );
+          if (renderFrame) {
+            cancelAnimationFrame(renderFrame);
+            renderFrame = null;
+          }
           if (activeRequestId !== requestId) return;
 
           if (!apiRes?.ok) {
@@ -1106,10 +4891,13 @@
           const assistantText = String(apiRes.content || "").trim() || "(empty response)";
           pending.className = "bubble assistant";
           renderBubbleContent(pending, "assistant", assistantText);
-          chatHistory.push({ role: "assistant", content: assistantText });
+          const assistantMessage = makeChatMessage("assistant", assistantText);
+          pending.dataset.messageId = assistantMessage.id;
+          chatHistory.push(assistantMessage);
           chatHistory = trimChatHistory(chatHistory);
           await saveChatHistory(chatHistory);
           setStatus("Ready");
+          if (onReply && apiRes.content) onReply(assistantText);
         } catch (err) {
           if (activeRequestId !== requestId) return;
           pending.className = "bubble error";
@@ -1121,44 +4909,128 @@
             activePendingBubble = null;
             activeUserBubble = null;
             activeUserMessageIndex = null;
+            activePartialText = "";
             setSendButtonMode("send");
           }
           scrollToBottom();
         }
       }
 
+      // Map step of long-page mode: asks about each part in turn, reusing the
+      // turn's request id so Cancel stops whichever part is in flight.
+      async function readPageInChunks(longPage, question, requestId, pending) {
+        const { chunks, total, context } = longPage;
+        const notes = [];
+        for (let i = 0; i < chunks.length; i++) {
+          if (activeRequestId !== requestId) return { ok: false, cancelled: true };
+          const progress = `Reading part ${i + 1}/${chunks.length}…`;
+          setStatus(progress);
+          renderBubbleContent(pending, "assistant", progress);
+          const res = await chrome.runtime.sendMessage({
+            type: "CHAT",
+            requestId,
+            messages: [
+              { role: "user", content: buildChunkPrompt(chunks[i], i, chunks.length, question, context.title) }
+            ],
+            profileId: activeConversation?.profileId || "",
+            settings: activeConversation?.settings || {}
+          });
+          if (!res?.ok) return res?.cancelled ? { ok: false, cancelled: true } : { ok: false, error: res?.error };
+          notes.push(String(res.content || ""));
+        }
+        return { ok: true, content: combineChunkNotes(notes, chunks, total, context.content.length) };
+      }
+
       async function handleQuickAction(payload) {
         const kind = payload?.kind;
+        if (kind === "image") {
+          await onAttachImageUrl(payload.srcUrl);
+          return;
+        }
         const raw = String(payload?.text || "").trim();
         if (!raw) return;
 
         const clipped = clipSelectionForPrompt(raw);
         const selectionText = clipped.text;
+        const preview = truncatePreview(raw, 240);
+
+        if (kind === "template") {
+          await refreshTemplates();
+          const template = promptTemplates.find((t) => t.id === payload.templateId);
+          if (!template) {
+            setStatus("Template not found");
+            return;
+          }
+          await runTemplate(template, {
+            input: "",
+            selection: selectionText,
+            displayText: `/${template.name}：${preview}`
+          });
+          return;
+        }
 
         let promptInfo;
-        if (kind === "translate") promptInfo = buildTranslatePrompt(selectionText);
+        if (kind === "translate") {
+          const cfg = await loadConfig();
+          promptInfo = buildTranslatePrompt(selectionText, cfg.translateTargetLanguage);
+        }
         else if (kind === "explain") promptInfo = buildExplainPrompt(selectionText);
+        else if (kind === "action") promptInfo = buildCustomActionPrompt(payload.action, selectionText);
         else promptInfo = { title: "Action", prompt: selectionText };
 
-        const preview = truncatePreview(raw, 240);
         const displayText = `${promptInfo.title}：${preview}`;
         await submitPrompt({
           displayText,
           promptText: promptInfo.prompt,
-          includePage: false
+          includePage: kind === "action" && Boolean(payload.action?.includePage)
         });
       }
 
 	    settingsBtn.addEventListener("click", onOpenSettings);
 	    closeBtn.addEventListener("click", () => unmountPanel());
 	    clearBtn.addEventListener("click", onClear);
+    chatsBtn.addEventListener("click", onToggleConversationList);
+    translatePageBtn.addEventListener("click", togglePageTranslation);
+    pickBtn.addEventListener("click", onTogglePicker);
+    tabsBtn.addEventListener("click", onToggleTabs);
+    shotBtn.addEventListener("click", (e) => onScreenshot(e.shiftKey));
+    inputEl.addEventListener("paste", onPasteImages);
+    attachBtn.addEventListener("click", () => fileInputEl.click());
+    fileInputEl.addEventListener("change", () => {
+      addFiles(Array.from(fileInputEl.files || []));
+      fileInputEl.value = "";
+    });
+    tabClearBtn.addEventListener("click", () => {
+      selectedTabs.clear();
+      renderTabSelection();
+      tabListEl.querySelectorAll("input").forEach((box) => (box.checked = false));
+    });
 	    refreshBtn.addEventListener("click", onRefreshPage);
+    profileSelectEl.addEventListener("change", onProfileChange);
+    tuneBtn.addEventListener("click", onToggleTune);
+    tuneSaveBtn.addEventListener("click", onSaveTune);
+    tuneResetBtn.addEventListener("click", () => saveConversationSettings({}));
 	    sendBtn.addEventListener("click", onSendOrCancel);
 	    resizerEl.addEventListener("pointerdown", onResizerPointerDown);
 	    resizerEl.addEventListener("pointermove", onResizerPointerMove);
 	    resizerEl.addEventListener("pointerup", onResizerPointerUp);
 	    resizerEl.addEventListener("pointercancel", onResizerPointerUp);
+    inputEl.addEventListener("input", () => {
+      paletteIndex = 0;
+      updatePalette();
+      updateBudgetMeter();
+    });
+    includePageEl.addEventListener("change", updateBudgetMeter);
+    inputEl.addEventListener("blur", closePalette);
+    chunkedEl.addEventListener("change", () => {
+      chrome.storage.local.set({ [CHUNKED_MODE_KEY]: chunkedEl.checked }).catch(() => {});
+    });
+    chrome.storage.local
+      .get(CHUNKED_MODE_KEY)
+      .then((result) => (chunkedEl.checked = Boolean(result?.[CHUNKED_MODE_KEY])))
+      .catch(() => {});
 	    inputEl.addEventListener("keydown", (e) => {
+      if (onPaletteKeydown(e)) return;
 	      if (e.key !== "Enter") return;
 	      if (e.isComposing) return;
 	      if (e.shiftKey) return; // allow newline
@@ -1171,25 +5043,55 @@
 	      el("div", { class: "topbar" }, [
 	        el("div", { class: "brand" }, [
 	          el("div", { class: "title", text: "Codex Helper" }),
+          conversationNameEl,
 	          statusEl
 	        ]),
-	        el("div", { class: "actions" }, [settingsBtn, clearBtn, closeBtn])
+	        el("div", { class: "actions" }, [chatsBtn, translatePageBtn, settingsBtn, clearBtn, closeBtn])
 	      ]),
 	      el("div", { class: "main" }, [
 	        noticeEl,
 	        chatEl,
+        convListEl,
         el("div", { class: "controls" }, [
-          el("label", { class: "toggle" }, [
-            includePageEl,
-            el("span", { text: "是否将当前网页作为上下文" })
+          el("div", { class: "toggles" }, [
+            el("label", { class: "toggle" }, [
+              includePageEl,
+              el("span", { text: "是否将当前网页作为上下文" })
+            ]),
+            el("label", { class: "toggle", title: "Pages longer than the page budget are read in parts, then answered from notes" }, [
+              chunkedEl,
+              el("span", { text: "长页面分块阅读" })
+            ])
           ]),
-          refreshBtn
+          el("div", { class: "controlsright" }, [profileSelectEl, tuneBtn, tabsBtn, pickBtn, shotBtn, refreshBtn])
         ]),
-        el("div", { class: "composer" }, [inputEl, sendBtn]),
+        tuneBoxEl,
+        tabBoxEl,
+        paletteEl,
+        regionChipsEl,
+        imageTrayEl,
+        fileChipsEl,
+        el("div", { class: "composer" }, [inputEl, attachBtn, sendBtn, fileInputEl]),
+        budgetEl,
 	        el("div", { class: "footnote", text: "Tip: select text on the page — selection will be included if available." })
 	      ])
 	    ]);
 	    wrapEl = ui;
+    ui.addEventListener("dragover", (e) => {
+      if (!hasDraggedFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+      ui.classList.add("dropping");
+    });
+    ui.addEventListener("dragleave", (e) => {
+      if (!ui.contains(e.relatedTarget)) ui.classList.remove("dropping");
+    });
+    ui.addEventListener("drop", (e) => {
+      if (!hasDraggedFiles(e)) return;
+      e.preventDefault();
+      ui.classList.remove("dropping");
+      addFiles(Array.from(e.dataTransfer.files || []));
+    });
 
     shadow.appendChild(style);
     shadow.appendChild(ui);
@@ -1215,13 +5117,17 @@
 	      try {
 	        await initPanelWidth();
 	        setStatus("Loading…");
-	        chatHistory = await loadChatHistory();
-	        renderAll();
+        await loadActiveConversation();
 	        await ensureConfigured();
         setStatus("Ready");
         if (shouldFocusInput) inputEl.focus();
 
         state.sendQuickAction = handleQuickAction;
+        state.reloadConversation = reloadScopedConversation;
+        state.refreshProfiles = ensureConfigured;
+        state.refreshTemplates = refreshTemplates;
+        refreshTemplates().catch(() => {});
+        state.locationTimer = setInterval(checkScopedUrl, 1000);
         if (state.pendingQuickAction) {
           const pending = state.pendingQuickAction;
           state.pendingQuickAction = null;
@@ -1239,6 +5145,15 @@
     if (!state.mounted) return;
     state.mounted = false;
     state.sendQuickAction = null;
+    state.reloadConversation = null;
+    state.refreshProfiles = null;
+    state.refreshTemplates = null;
+    state.stopPicker?.();
+    state.stopPicker = null;
+    if (state.locationTimer) {
+      clearInterval(state.locationTimer);
+      state.locationTimer = null;
+    }
 
     try {
       if (state.root && state.root.isConnected) state.root.remove();
@@ -1286,18 +5201,45 @@
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName !== "sync") return;
     if (!changes || typeof changes !== "object") return;
+    if (Object.keys(changes).some((key) => key.startsWith(TEMPLATE_KEY_PREFIX))) {
+      const state = ensureSingleton();
+      state.refreshTemplates?.().catch(() => {});
+      state.quickActions?.refreshTemplates?.();
+    }
+    if (changes[QUICK_ACTIONS_KEY]) ensureSingleton().quickActions?.refreshActions?.();
     if (!changes[CONFIG_KEY]) return;
     syncQuickActionsEnabled();
+    ensureSingleton().refreshProfiles?.().catch(() => {});
+    const oldScope = changes[CONFIG_KEY].oldValue?.conversationScope;
+    const newScope = changes[CONFIG_KEY].newValue?.conversationScope;
+    if (oldScope !== newScope) ensureSingleton().reloadConversation?.();
   });
 
   const state = ensureSingleton();
   if (!state.messageListenerMounted) {
     state.messageListenerMounted = true;
+    // Sites with an "always translate" rule are translated once the page is idle.
+    sendBackgroundRequest("TRANSLATE_SITE_GET", { host: location.host })
+      .then((res) => {
+        if (res.always) return startPageTranslation({ auto: true });
+      })
+      .catch(() => {});
     chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       if (message?.type === "AIHELPER_TOGGLE_PANEL") {
         togglePanel();
         sendResponse?.({ ok: true });
       }
+      // From the "Ask about this image" page menu.
+      if (message?.type === "AIHELPER_ASK_IMAGE") {
+        const payload = { kind: "image", srcUrl: message.srcUrl };
+        if (state.mounted && typeof state.sendQuickAction === "function") {
+          state.sendQuickAction(payload);
+        } else {
+          state.pendingQuickAction = payload;
+          mountPanel({ focusInput: true });
+        }
+        sendResponse?.({ ok: true });
+      }
     });
   }
 })();
@@ -1,53 +1,427 @@
-import { DEFAULT_API_URL, DEFAULT_MODEL, loadConfig, saveConfig } from "./shared/config.js";
+import {
+  DEFAULT_CONFIG,
+  DEFAULT_MAX_OUTPUT_TOKENS,
+  DEFAULT_MAX_PAGE_CHARS,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_QUICK_ACTIONS,
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_TEMPERATURE,
+  GENERATION_LIMITS,
+  PROTOCOL_DEFAULTS,
+  QUICK_ACTION_LIMITS,
+  hostPermissionFor,
+  isPrivateNetworkHost,
+  loadConfig,
+  normalizeProfile,
+  saveConfig
+} from "./shared/config.js";
+import {
+  MAX_TEMPLATES,
+  loadTemplates,
+  normalizeTemplate,
+  normalizeTemplateName,
+  saveTemplates,
+  templateVariables
+} from "./shared/templates.js";
+import { clearTranslateSites, clearTranslationCache, loadTranslateSites } from "./shared/translation.js";
 
 const els = {
   form: document.getElementById("form"),
+  profileSelect: document.getElementById("profileSelect"),
+  addProfileBtn: document.getElementById("addProfileBtn"),
+  deleteProfileBtn: document.getElementById("deleteProfileBtn"),
+  profileName: document.getElementById("profileName"),
+  protocol: document.getElementById("protocol"),
   apiUrl: document.getElementById("apiUrl"),
   token: document.getElementById("token"),
   model: document.getElementById("model"),
+  isDefaultProfile: document.getElementById("isDefaultProfile"),
+  allowHttp: document.getElementById("allowHttp"),
+  hostPermission: document.getElementById("hostPermission"),
+  testBtn: document.getElementById("testBtn"),
+  testResult: document.getElementById("testResult"),
+  modelSelect: document.getElementById("modelSelect"),
   enableSelectionActions: document.getElementById("enableSelectionActions"),
+  conversationScope: document.getElementById("conversationScope"),
+  translateTargetLanguage: document.getElementById("translateTargetLanguage"),
+  translateDisplay: document.getElementById("translateDisplay"),
+  clearTranslationCacheBtn: document.getElementById("clearTranslationCacheBtn"),
+  clearTranslateSitesBtn: document.getElementById("clearTranslateSitesBtn"),
+  quickActionSelect: document.getElementById("quickActionSelect"),
+  moveActionUpBtn: document.getElementById("moveActionUpBtn"),
+  moveActionDownBtn: document.getElementById("moveActionDownBtn"),
+  addActionBtn: document.getElementById("addActionBtn"),
+  deleteActionBtn: document.getElementById("deleteActionBtn"),
+  actionLabel: document.getElementById("actionLabel"),
+  actionTargetLanguage: document.getElementById("actionTargetLanguage"),
+  actionEnabled: document.getElementById("actionEnabled"),
+  actionPrompt: document.getElementById("actionPrompt"),
+  actionIncludePage: document.getElementById("actionIncludePage"),
+  systemPrompt: document.getElementById("systemPrompt"),
+  temperature: document.getElementById("temperature"),
+  maxOutputTokens: document.getElementById("maxOutputTokens"),
+  maxPageChars: document.getElementById("maxPageChars"),
+  reasoningEffort: document.getElementById("reasoningEffort"),
   resetBtn: document.getElementById("resetBtn"),
-  status: document.getElementById("status")
+  status: document.getElementById("status"),
+  templateSelect: document.getElementById("templateSelect"),
+  addTemplateBtn: document.getElementById("addTemplateBtn"),
+  deleteTemplateBtn: document.getElementById("deleteTemplateBtn"),
+  templateName: document.getElementById("templateName"),
+  templateDescription: document.getElementById("templateDescription"),
+  templateBody: document.getElementById("templateBody"),
+  templateVariables: document.getElementById("templateVariables"),
+  templateInSelectionMenu: document.getElementById("templateInSelectionMenu"),
+  saveTemplatesBtn: document.getElementById("saveTemplatesBtn"),
+  templateStatus: document.getElementById("templateStatus")
 };
 
+// Profiles are edited in memory and only written on Save.
+let profiles = [];
+let activeProfileId = "";
+let editingId = "";
+// Selection menu actions are edited alongside and saved with the main form.
+let quickActions = [];
+let editingActionId = "";
+// Templates follow the same pattern with their own Save button.
+let templates = [];
+let editingTemplateId = "";
+
 function setStatus(text) {
   els.status.textContent = text;
 }
 
-function normalizeApiUrl(value) {
-  const raw = String(value || "").trim();
-  if (!raw) return DEFAULT_API_URL;
+function normalizeApiUrl(value, protocol, allowHttp) {
+  const raw = String(value || "").trim() || PROTOCOL_DEFAULTS[protocol].apiUrl;
   let u;
   try {
     u = new URL(raw);
   } catch {
     throw new Error("API URL is invalid.");
   }
-  if (u.protocol !== "https:") throw new Error("API URL must start with https://");
+  if (u.protocol === "http:") {
+    if (!allowHttp) throw new Error("Enable \"Allow plain http://\" to use an http:// URL.");
+    if (!isPrivateNetworkHost(u.hostname)) {
+      throw new Error("http:// is only allowed for localhost and private-network addresses.");
+    }
+  } else if (u.protocol !== "https:") {
+    throw new Error("API URL must start with https://");
+  }
   return u.toString();
 }
 
+function readNumberField(input, label, [min, max], integer) {
+  const raw = String(input.value || "").trim();
+  const n = Number(raw);
+  if (!raw || !Number.isFinite(n)) throw new Error(`${label} must be a number.`);
+  if (integer && !Number.isInteger(n)) throw new Error(`${label} must be a whole number.`);
+  if (n < min || n > max) throw new Error(`${label} must be between ${min} and ${max}.`);
+  return n;
+}
+
+function readGenerationFields() {
+  return {
+    systemPrompt: String(els.systemPrompt.value || "").trim(),
+    temperature: readNumberField(els.temperature, "Temperature", GENERATION_LIMITS.temperature, false),
+    maxOutputTokens: readNumberField(
+      els.maxOutputTokens,
+      "Max output tokens",
+      GENERATION_LIMITS.maxOutputTokens,
+      true
+    ),
+    maxPageChars: readNumberField(els.maxPageChars, "Page budget", GENERATION_LIMITS.maxPageChars, true),
+    reasoningEffort: String(els.reasoningEffort.value || "")
+  };
+}
+
+function validateProfile(p) {
+  try {
+    const apiUrl = normalizeApiUrl(p.apiUrl, p.protocol, p.allowHttp);
+    if (!p.model) throw new Error("Model is required.");
+    return { ...p, apiUrl };
+  } catch (err) {
+    throw new Error(`${p.name}: ${err.message}`);
+  }
+}
+
+// http pages and endpoints are covered at install, but users can withhold site
+// access from chrome://extensions; this asks again for the endpoint hosts only.
+// Must run before anything else is awaited: Chrome only shows the permission
+// prompt while the click that triggered it is still being handled.
+async function requestHostPermissions(profiles) {
+  const origins = Array.from(
+    new Set(profiles.filter((p) => p.apiUrl.startsWith("http:")).map((p) => hostPermissionFor(p.apiUrl)))
+  );
+  if (!origins.length) return;
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) throw new Error(`Access to ${origins.join(", ")} was not granted.`);
+}
+
+async function renderHostPermission() {
+  const raw = String(els.apiUrl.value || "").trim() || PROTOCOL_DEFAULTS[els.protocol.value].apiUrl;
+  const origin = hostPermissionFor(raw);
+  if (!origin) {
+    els.hostPermission.textContent = "";
+    return;
+  }
+  if (!origin.startsWith("http:")) {
+    els.hostPermission.textContent = "Host permission: https://*/* (granted at install).";
+    return;
+  }
+  let granted = false;
+  try {
+    granted = await chrome.permissions.contains({ origins: [origin] });
+  } catch {
+    // ignore
+  }
+  els.hostPermission.textContent = granted
+    ? `Host permission: ${origin} (granted).`
+    : `Host permission: ${origin} (will be requested on Save).`;
+}
+
+function validateQuickAction(a) {
+  if (!a.label) throw new Error("Every selection action needs a label.");
+  if (!a.builtin && !a.prompt) throw new Error(`${a.label}: the prompt is empty.`);
+  return a;
+}
+
+function quickActionOptionText(a) {
+  return `${a.enabled ? "✓" : "–"} ${a.label || "(unnamed)"}`;
+}
+
+function renderQuickActionSelect() {
+  els.quickActionSelect.innerHTML = "";
+  for (const a of quickActions) {
+    const option = document.createElement("option");
+    option.value = a.id;
+    option.textContent = quickActionOptionText(a);
+    els.quickActionSelect.appendChild(option);
+  }
+  els.quickActionSelect.value = editingActionId;
+  const index = quickActions.findIndex((a) => a.id === editingActionId);
+  const action = quickActions[index];
+  els.moveActionUpBtn.disabled = index <= 0;
+  els.moveActionDownBtn.disabled = index < 0 || index >= quickActions.length - 1;
+  els.deleteActionBtn.disabled = !action || Boolean(action.builtin);
+  els.addActionBtn.disabled =
+    quickActions.filter((a) => !a.builtin).length >= QUICK_ACTION_LIMITS.custom;
+}
+
+function fillQuickActionFields() {
+  const a = quickActions.find((x) => x.id === editingActionId);
+  els.actionLabel.value = a?.label || "";
+  els.actionEnabled.checked = Boolean(a?.enabled);
+  els.actionPrompt.value = a?.prompt || "";
+  els.actionTargetLanguage.value = a?.targetLanguage || "";
+  els.actionIncludePage.checked = Boolean(a?.includePage);
+  els.actionLabel.disabled = !a;
+  els.actionEnabled.disabled = !a;
+  for (const input of [els.actionPrompt, els.actionTargetLanguage, els.actionIncludePage]) {
+    input.disabled = !a || Boolean(a.builtin);
+  }
+}
+
+function readQuickActionFields() {
+  const a = quickActions.find((x) => x.id === editingActionId);
+  if (!a) return;
+  a.label = String(els.actionLabel.value || "").trim();
+  a.enabled = els.actionEnabled.checked;
+  if (a.builtin) return;
+  a.prompt = String(els.actionPrompt.value || "").trim();
+  a.targetLanguage = String(els.actionTargetLanguage.value || "").trim();
+  a.includePage = els.actionIncludePage.checked;
+}
+
+function editQuickAction(id) {
+  editingActionId = id;
+  renderQuickActionSelect();
+  fillQuickActionFields();
+}
+
+function onQuickActionSelect() {
+  readQuickActionFields();
+  editQuickAction(els.quickActionSelect.value);
+}
+
+function onQuickActionInput() {
+  readQuickActionFields();
+  const option = els.quickActionSelect.selectedOptions[0];
+  const a = quickActions.find((x) => x.id === editingActionId);
+  if (option && a) option.textContent = quickActionOptionText(a);
+}
+
+function onMoveQuickAction(step) {
+  readQuickActionFields();
+  const index = quickActions.findIndex((a) => a.id === editingActionId);
+  const target = index + step;
+  if (index < 0 || target < 0 || target >= quickActions.length) return;
+  const [action] = quickActions.splice(index, 1);
+  quickActions.splice(target, 0, action);
+  editQuickAction(action.id);
+}
+
+function onAddQuickAction() {
+  readQuickActionFields();
+  const action = {
+    id: crypto.randomUUID(),
+    label: "新操作",
+    prompt: "{{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: true
+  };
+  quickActions.push(action);
+  editQuickAction(action.id);
+  els.actionLabel.focus();
+  els.actionLabel.select();
+}
+
+function onDeleteQuickAction() {
+  const a = quickActions.find((x) => x.id === editingActionId);
+  if (!a || a.builtin || !window.confirm(`Delete selection action "${a.label}"?`)) return;
+  quickActions = quickActions.filter((x) => x.id !== a.id);
+  editQuickAction(quickActions[0]?.id || "");
+  setStatus("Deleted. Save to apply.");
+}
+
+function isProtocolDefaultUrl(url) {
+  return Object.values(PROTOCOL_DEFAULTS).some((d) => d.apiUrl === url);
+}
+
+function renderProfileSelect() {
+  els.profileSelect.innerHTML = "";
+  for (const p of profiles) {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.id === activeProfileId ? `${p.name} (default)` : p.name;
+    els.profileSelect.appendChild(option);
+  }
+  els.profileSelect.value = editingId;
+  els.deleteProfileBtn.disabled = profiles.length <= 1;
+}
+
+function fillProfileFields() {
+  const p = profiles.find((x) => x.id === editingId);
+  if (!p) return;
+  els.profileName.value = p.name;
+  els.protocol.value = p.protocol;
+  els.apiUrl.value = p.apiUrl;
+  els.token.value = p.token;
+  els.model.value = p.model;
+  els.allowHttp.checked = Boolean(p.allowHttp);
+  els.isDefaultProfile.checked = p.id === activeProfileId;
+}
+
+// Copies the form fields back into the profile being edited; the URL is
+// validated on Save so switching profiles never loses typed input.
+function readProfileFields() {
+  const p = profiles.find((x) => x.id === editingId);
+  if (!p) return;
+  p.name = String(els.profileName.value || "").trim() || "Untitled";
+  p.protocol = els.protocol.value;
+  p.apiUrl = String(els.apiUrl.value || "").trim();
+  p.token = String(els.token.value || "");
+  p.model = String(els.model.value || "").trim();
+  p.allowHttp = els.allowHttp.checked;
+  if (els.isDefaultProfile.checked) activeProfileId = p.id;
+  else if (activeProfileId === p.id && profiles.length > 1) {
+    activeProfileId = profiles.find((x) => x.id !== p.id).id;
+  }
+}
+
+function editProfile(id) {
+  editingId = id;
+  renderProfileSelect();
+  fillProfileFields();
+  renderHostPermission();
+  clearTestResult();
+}
+
 async function fillForm() {
   const cfg = await loadConfig();
-  els.apiUrl.value = cfg.apiUrl || DEFAULT_API_URL;
-  els.token.value = cfg.token || "";
-  els.model.value = cfg.model || DEFAULT_MODEL;
+  profiles = cfg.profiles.map((p) => ({ ...p }));
+  activeProfileId = cfg.activeProfileId;
+  editProfile(activeProfileId);
   els.enableSelectionActions.value = Boolean(cfg.enableSelectionActions) ? "true" : "false";
+  els.conversationScope.value = cfg.conversationScope || DEFAULT_CONFIG.conversationScope;
+  els.translateTargetLanguage.value = cfg.translateTargetLanguage;
+  els.translateDisplay.value = cfg.translateDisplay;
+  quickActions = cfg.quickActions.map((a) => ({ ...a }));
+  editQuickAction(quickActions[0]?.id || "");
+  els.systemPrompt.value = cfg.systemPrompt;
+  els.temperature.value = String(cfg.temperature);
+  els.maxOutputTokens.value = String(cfg.maxOutputTokens);
+  els.maxPageChars.value = String(cfg.maxPageChars);
+  els.reasoningEffort.value = cfg.reasoningEffort;
+}
+
+function onProfileSelect() {
+  readProfileFields();
+  editProfile(els.profileSelect.value);
+}
+
+function onAddProfile() {
+  readProfileFields();
+  const profile = normalizeProfile({ name: `Profile ${profiles.length + 1}`, protocol: "chat_completions" });
+  profiles.push(profile);
+  editProfile(profile.id);
+  els.profileName.focus();
+}
+
+function onDeleteProfile() {
+  if (profiles.length <= 1) return;
+  const p = profiles.find((x) => x.id === editingId);
+  if (!p || !window.confirm(`Delete profile "${p.name}"?`)) return;
+  profiles = profiles.filter((x) => x.id !== p.id);
+  if (activeProfileId === p.id) activeProfileId = profiles[0].id;
+  editProfile(activeProfileId);
+  setStatus("Deleted. Save to apply.");
+}
+
+// Switching protocol swaps in that protocol's endpoint and model unless the
+// user typed their own.
+function onProtocolChange() {
+  const defaults = PROTOCOL_DEFAULTS[els.protocol.value];
+  const url = String(els.apiUrl.value || "").trim();
+  if (!url || isProtocolDefaultUrl(url)) els.apiUrl.value = defaults.apiUrl;
+  const model = String(els.model.value || "").trim();
+  const isDefaultModel = Object.values(PROTOCOL_DEFAULTS).some((d) => d.model === model);
+  if (!model || isDefaultModel) els.model.value = defaults.model;
+  renderHostPermission();
+}
+
+function onNameInput() {
+  const option = els.profileSelect.selectedOptions[0];
+  if (!option) return;
+  const name = String(els.profileName.value || "").trim() || "Untitled";
+  option.textContent = editingId === activeProfileId ? `${name} (default)` : name;
 }
 
 async function onSubmit(e) {
   e.preventDefault();
   try {
-    const apiUrl = normalizeApiUrl(els.apiUrl.value);
-    const model = String(els.model.value || "").trim();
-    if (!model) throw new Error("Model is required.");
-
-    await saveConfig({
-      apiUrl,
-      token: String(els.token.value || ""),
-      model,
-      enableSelectionActions: String(els.enableSelectionActions.value) === "true"
+    readProfileFields();
+    const nextProfiles = profiles.map(validateProfile);
+    const generation = readGenerationFields();
+    readQuickActionFields();
+    const nextQuickActions = quickActions.map(validateQuickAction);
+    await requestHostPermissions(nextProfiles);
+
+    const saved = await saveConfig({
+      profiles: nextProfiles,
+      activeProfileId,
+      ...generation,
+      enableSelectionActions: String(els.enableSelectionActions.value) === "true",
+      conversationScope: String(els.conversationScope.value || ""),
+      translateTargetLanguage: els.translateTargetLanguage.value,
+      translateDisplay: els.translateDisplay.value,
+      quickActions: nextQuickActions
     });
+    profiles = saved.profiles.map((p) => ({ ...p }));
+    activeProfileId = saved.activeProfileId;
+    editProfile(editingId);
+    quickActions = saved.quickActions.map((a) => ({ ...a }));
+    editQuickAction(editingActionId);
 
     setStatus("Saved.");
     setTimeout(() => setStatus(""), 1200);
@@ -56,19 +430,263 @@ async function onSubmit(e) {
   }
 }
 
+function resultLine(label, text, tone) {
+  const line = document.createElement("div");
+  const strong = document.createElement("strong");
+  strong.textContent = `${label}: `;
+  const value = document.createElement("span");
+  value.textContent = text;
+  if (tone) value.className = tone;
+  line.append(strong, value);
+  return line;
+}
+
+const AUTH_LABELS = {
+  accepted: ["Token accepted", "good"],
+  rejected: ["Token rejected (HTTP 401/403)", "bad"],
+  unknown: ["Unknown (endpoint unreachable)", ""]
+};
+
+function renderTestResult(test) {
+  const { probe } = test;
+  const [authLabel, authTone] = AUTH_LABELS[test.auth] || AUTH_LABELS.unknown;
+  // An answer that says nothing about the token, e.g. a 429 or 5xx.
+  const authText = test.authStatus ? `Unknown (HTTP ${test.authStatus})` : authLabel;
+  els.testResult.innerHTML = "";
+  els.testResult.append(
+    resultLine("Auth", authText, authTone),
+    resultLine(
+      "Probe",
+      probe.ok
+        ? `OK in ${probe.latencyMs} ms${probe.reply ? ` — "${probe.reply}"` : ""}`
+        : `${probe.error}${probe.latencyMs != null ? ` (${probe.latencyMs} ms)` : ""}`,
+      probe.ok ? "good" : "bad"
+    ),
+    resultLine(
+      "Models",
+      test.modelsError ? test.modelsError : `${test.models.length} available`,
+      test.modelsError ? "bad" : ""
+    )
+  );
+  els.testResult.classList.remove("hidden");
+  renderModelOptions(test.models);
+}
+
+// Discovered models fill a dropdown next to the free-text model field.
+function renderModelOptions(models) {
+  els.modelSelect.innerHTML = "";
+  els.modelSelect.classList.toggle("hidden", !models.length);
+  if (!models.length) return;
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Pick a discovered model…";
+  els.modelSelect.appendChild(placeholder);
+  for (const id of models) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = id;
+    els.modelSelect.appendChild(option);
+  }
+  const current = String(els.model.value || "").trim();
+  els.modelSelect.value = models.includes(current) ? current : "";
+}
+
+function onModelSelect() {
+  if (els.modelSelect.value) els.model.value = els.modelSelect.value;
+}
+
+function clearTestResult() {
+  els.testResult.classList.add("hidden");
+  els.testResult.innerHTML = "";
+  renderModelOptions([]);
+}
+
+async function onTest() {
+  setStatus("");
+  try {
+    readProfileFields();
+    const profile = validateProfile(profiles.find((p) => p.id === editingId));
+    await requestHostPermissions([profile]);
+    renderHostPermission();
+    setStatus("Testing…");
+    els.testBtn.disabled = true;
+    const res = await chrome.runtime.sendMessage({ type: "PROFILE_TEST", profile });
+    if (!res?.ok) throw new Error(res?.error || "Test failed.");
+    renderTestResult(res.test);
+    setStatus("");
+  } catch (err) {
+    setStatus(err?.message || String(err));
+  } finally {
+    els.testBtn.disabled = false;
+  }
+}
+
 async function onReset() {
   await saveConfig({
-    apiUrl: DEFAULT_API_URL,
-    token: "",
-    model: DEFAULT_MODEL,
-    enableSelectionActions: false
+    profiles: [normalizeProfile({ id: DEFAULT_PROFILE_ID, name: "Default", protocol: "responses" })],
+    activeProfileId: DEFAULT_PROFILE_ID,
+    enableSelectionActions: false,
+    conversationScope: DEFAULT_CONFIG.conversationScope,
+    translateTargetLanguage: DEFAULT_CONFIG.translateTargetLanguage,
+    translateDisplay: DEFAULT_CONFIG.translateDisplay,
+    quickActions: DEFAULT_QUICK_ACTIONS,
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    temperature: DEFAULT_TEMPERATURE,
+    maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+    maxPageChars: DEFAULT_MAX_PAGE_CHARS,
+    reasoningEffort: ""
   });
   await fillForm();
   setStatus("Reset.");
   setTimeout(() => setStatus(""), 1200);
 }
 
+async function renderTranslateSites() {
+  const sites = await loadTranslateSites();
+  els.clearTranslateSitesBtn.disabled = !sites.length;
+  els.clearTranslateSitesBtn.title = sites.length ? `总是翻译：${sites.join(", ")}` : "";
+}
+
+async function onClearTranslationCache() {
+  await clearTranslationCache();
+  setStatus("Translation cache cleared.");
+  setTimeout(() => setStatus(""), 1200);
+}
+
+async function onClearTranslateSites() {
+  const sites = await loadTranslateSites();
+  if (!sites.length || !window.confirm(`Stop translating ${sites.join(", ")} automatically?`)) return;
+  await clearTranslateSites();
+  await renderTranslateSites();
+  setStatus("Cleared.");
+  setTimeout(() => setStatus(""), 1200);
+}
+
+function setTemplateStatus(text) {
+  els.templateStatus.textContent = text;
+}
+
+function renderTemplateSelect() {
+  els.templateSelect.innerHTML = "";
+  for (const t of templates) {
+    const option = document.createElement("option");
+    option.value = t.id;
+    option.textContent = t.name ? `/${t.name}` : "(unnamed)";
+    els.templateSelect.appendChild(option);
+  }
+  els.templateSelect.value = editingTemplateId;
+  const hasTemplate = templates.some((t) => t.id === editingTemplateId);
+  for (const input of [els.templateName, els.templateDescription, els.templateBody, els.templateInSelectionMenu]) {
+    input.disabled = !hasTemplate;
+  }
+  els.deleteTemplateBtn.disabled = !hasTemplate;
+  els.addTemplateBtn.disabled = templates.length >= MAX_TEMPLATES;
+}
+
+function renderTemplateVariables() {
+  const used = templateVariables(els.templateBody.value);
+  els.templateVariables.textContent = used.length
+    ? `Uses: ${used.map((v) => `{{${v}}}`).join(", ")}`
+    : "Uses no variables.";
+}
+
+function fillTemplateFields() {
+  const t = templates.find((x) => x.id === editingTemplateId);
+  els.templateName.value = t?.name || "";
+  els.templateDescription.value = t?.description || "";
+  els.templateBody.value = t?.body || "";
+  els.templateInSelectionMenu.checked = Boolean(t?.inSelectionMenu);
+  renderTemplateVariables();
+}
+
+function readTemplateFields() {
+  const t = templates.find((x) => x.id === editingTemplateId);
+  if (!t) return;
+  t.name = normalizeTemplateName(els.templateName.value);
+  t.description = String(els.templateDescription.value || "").trim();
+  t.body = String(els.templateBody.value || "");
+  t.inSelectionMenu = els.templateInSelectionMenu.checked;
+}
+
+function editTemplate(id) {
+  editingTemplateId = id;
+  renderTemplateSelect();
+  fillTemplateFields();
+}
+
+async function fillTemplates() {
+  templates = (await loadTemplates()).map((t) => ({ ...t }));
+  editTemplate(templates[0]?.id || "");
+}
+
+function onTemplateSelect() {
+  readTemplateFields();
+  editTemplate(els.templateSelect.value);
+}
+
+function onAddTemplate() {
+  readTemplateFields();
+  const template = normalizeTemplate({ name: `template-${templates.length + 1}`, body: "{{selection}}" });
+  templates.push(template);
+  editTemplate(template.id);
+  els.templateName.focus();
+  els.templateName.select();
+}
+
+function onDeleteTemplate() {
+  const t = templates.find((x) => x.id === editingTemplateId);
+  if (!t || !window.confirm(`Delete template /${t.name}?`)) return;
+  templates = templates.filter((x) => x.id !== t.id);
+  editTemplate(templates[0]?.id || "");
+  setTemplateStatus("Deleted. Save to apply.");
+}
+
+function onTemplateNameBlur() {
+  const name = normalizeTemplateName(els.templateName.value);
+  els.templateName.value = name;
+  const option = els.templateSelect.selectedOptions[0];
+  if (option) option.textContent = name ? `/${name}` : "(unnamed)";
+}
+
+async function onSaveTemplates() {
+  try {
+    readTemplateFields();
+    templates = (await saveTemplates(templates)).map((t) => ({ ...t }));
+    editTemplate(editingTemplateId);
+    setTemplateStatus("Saved.");
+    setTimeout(() => setTemplateStatus(""), 1200);
+  } catch (err) {
+    setTemplateStatus(err?.message || String(err));
+  }
+}
+
 els.form.addEventListener("submit", onSubmit);
 els.resetBtn.addEventListener("click", onReset);
+els.profileSelect.addEventListener("change", onProfileSelect);
+els.addProfileBtn.addEventListener("click", onAddProfile);
+els.deleteProfileBtn.addEventListener("click", onDeleteProfile);
+els.protocol.addEventListener("change", onProtocolChange);
+els.profileName.addEventListener("input", onNameInput);
+els.apiUrl.addEventListener("input", renderHostPermission);
+els.testBtn.addEventListener("click", onTest);
+els.modelSelect.addEventListener("change", onModelSelect);
+els.clearTranslationCacheBtn.addEventListener("click", onClearTranslationCache);
+els.clearTranslateSitesBtn.addEventListener("click", onClearTranslateSites);
+els.quickActionSelect.addEventListener("change", onQuickActionSelect);
+els.moveActionUpBtn.addEventListener("click", () => onMoveQuickAction(-1));
+els.moveActionDownBtn.addEventListener("click", () => onMoveQuickAction(1));
+els.addActionBtn.addEventListener("click", onAddQuickAction);
+els.deleteActionBtn.addEventListener("click", onDeleteQuickAction);
+els.actionLabel.addEventListener("input", onQuickActionInput);
+els.actionEnabled.addEventListener("change", onQuickActionInput);
+
+els.templateSelect.addEventListener("change", onTemplateSelect);
+els.addTemplateBtn.addEventListener("click", onAddTemplate);
+els.deleteTemplateBtn.addEventListener("click", onDeleteTemplate);
+els.templateName.addEventListener("blur", onTemplateNameBlur);
+els.templateBody.addEventListener("input", renderTemplateVariables);
+els.saveTemplatesBtn.addEventListener("click", onSaveTemplates);
 
 fillForm();
+fillTemplates();
+renderTranslateSites();
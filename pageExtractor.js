@@ -0,0 +1,466 @@
+// Main-content extraction for page context. Runs in the page (listed before
+// contentScript.js, and injected by the popup), so it is a classic script that
+// only defines window.__aihelperExtractPage and window.__aihelperReadTable.
+(() => {
+  if (typeof window.__aihelperExtractPage === "function") return;
+
+  const MIN_PARAGRAPH_CHARS = 25;
+  const MIN_ARTICLE_CHARS = 200;
+  const ANCHOR_ATTR = "data-aihelper-anchor";
+  const SKIP_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "IFRAME",
+    "SVG",
+    "CANVAS",
+    "VIDEO",
+    "AUDIO",
+    "OBJECT",
+    "EMBED",
+    "BUTTON",
+    "INPUT",
+    "SELECT",
+    "TEXTAREA",
+    "IMG",
+    "PICTURE"
+  ]);
+  const BOILERPLATE_TAGS = new Set(["NAV", "ASIDE", "FORM", "DIALOG", "MENU"]);
+  const BOILERPLATE_ROLES = new Set([
+    "navigation",
+    "banner",
+    "contentinfo",
+    "complementary",
+    "search",
+    "dialog",
+    "alertdialog",
+    "menu",
+    "menubar"
+  ]);
+  const UNLIKELY_RE =
+    /(cookie|consent|gdpr|banner|breadcrumb|comment|disqus|footer|masthead|menu|navbar|newsletter|popup|modal|promo|related|share|sharing|sidebar|social|sponsor|subscribe|advert|\bads?\b|toolbar|skip-link|signup|paywall)/i;
+  const LIKELY_RE = /(article|content|main|post|entry|story|text|body|prose|markdown)/i;
+  const GRID_ROLES = new Set(["table", "grid", "treegrid"]);
+  const GRID_SELECTOR = '[role="table"], [role="grid"], [role="treegrid"]';
+  const CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+  const BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "BLOCKQUOTE",
+    "DD",
+    "DETAILS",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "MAIN",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "SUMMARY",
+    "TABLE",
+    "UL"
+  ]);
+
+  function classAndId(el) {
+    return `${typeof el.className === "string" ? el.className : ""} ${el.id || ""}`;
+  }
+
+  function isHidden(el) {
+    if (el.hidden || el.getAttribute("aria-hidden") === "true") return true;
+    if (el.getClientRects().length) return false;
+    return getComputedStyle(el).display !== "contents";
+  }
+
+  // Navigation, banners, cookie notices and the like. <header>/<footer> only
+  // count when they belong to the page rather than to an article.
+  function isBoilerplate(el) {
+    if (BOILERPLATE_TAGS.has(el.tagName)) return true;
+    if (BOILERPLATE_ROLES.has(el.getAttribute("role"))) return true;
+    if ((el.tagName === "HEADER" || el.tagName === "FOOTER") && !el.parentElement?.closest("article")) {
+      return true;
+    }
+    const names = classAndId(el);
+    return UNLIKELY_RE.test(names) && !LIKELY_RE.test(names);
+  }
+
+  function shouldSkip(el) {
+    return SKIP_TAGS.has(el.tagName) || isHidden(el) || isBoilerplate(el);
+  }
+
+  function insideBoilerplate(el, stop) {
+    for (let node = el; node && node !== stop; node = node.parentElement) {
+      if (isBoilerplate(node)) return true;
+    }
+    return false;
+  }
+
+  function textLength(el) {
+    return String(el.textContent || "").replace(/\s+/g, " ").trim().length;
+  }
+
+  function linkDensity(el) {
+    const total = textLength(el);
+    if (!total) return 0;
+    let links = 0;
+    for (const a of el.querySelectorAll("a")) links += textLength(a);
+    return Math.min(1, links / total);
+  }
+
+  function initialScore(el) {
+    let score = 0;
+    if (el.tagName === "ARTICLE" || el.tagName === "MAIN" || el.getAttribute("role") === "main") score += 10;
+    else if (el.tagName === "DIV" || el.tagName === "SECTION") score += 5;
+    const names = classAndId(el);
+    if (LIKELY_RE.test(names)) score += 25;
+    if (UNLIKELY_RE.test(names)) score -= 25;
+    return score;
+  }
+
+  function isLeafDiv(el) {
+    for (const child of el.children) if (BLOCK_TAGS.has(child.tagName)) return false;
+    return true;
+  }
+
+  // Readability-style scoring: every paragraph votes for its ancestors by
+  // length and comma count; the best-scoring container, discounted by how
+  // much of it is link text, is taken as the article.
+  function findArticleRoots(body) {
+    const scores = new Map();
+    const paragraphs = Array.from(body.querySelectorAll("p, pre, td, blockquote, div")).filter(
+      (el) => el.tagName !== "DIV" || isLeafDiv(el)
+    );
+    for (const p of paragraphs) {
+      const text = String(p.textContent || "").replace(/\s+/g, " ").trim();
+      if (text.length < MIN_PARAGRAPH_CHARS || insideBoilerplate(p, body)) continue;
+      const vote = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      let ancestor = p.parentElement;
+      for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parentElement) {
+        if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+        scores.set(ancestor, scores.get(ancestor) + (level === 0 ? vote : vote / (level * 2)));
+        if (ancestor === body) break;
+      }
+    }
+
+    let top = null;
+    let topScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > topScore) {
+        top = el;
+        topScore = adjusted;
+      }
+    }
+    if (!top) return [];
+
+    // Articles split across sibling containers keep the siblings that scored
+    // well on their own.
+    const threshold = Math.max(10, topScore * 0.2);
+    const parent = top.parentElement;
+    if (!parent || top === body) return [top];
+    return Array.from(parent.children).filter(
+      (el) => el === top || ((scores.get(el) || 0) >= threshold && !isBoilerplate(el))
+    );
+  }
+
+  function collapse(text) {
+    return String(text || "")
+      .split("\n")
+      .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  function inlineText(node) {
+    let out = "";
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        out += child.nodeValue.replace(/\s+/g, " ");
+        continue;
+      }
+      if (child.nodeType === Node.ELEMENT_NODE && !shouldSkip(child)) out += inlineElement(child);
+    }
+    return out;
+  }
+
+  function inlineElement(el) {
+    if (el.tagName === "BR") return "\n";
+    if (el.tagName === "CODE") return `\`${el.textContent.replace(/\s+/g, " ").trim()}\``;
+    // Block children of inline content (e.g. <p> in <li>) still need a gap.
+    return BLOCK_TAGS.has(el.tagName) ? ` ${inlineText(el)} ` : inlineText(el);
+  }
+
+  function codeLanguage(pre) {
+    const code = pre.querySelector("code");
+    const names = `${pre.className || ""} ${code?.className || ""}`;
+    const m = names.match(/(?:language|lang|highlight-source)-([\w+#-]+)/i);
+    return m ? m[1].toLowerCase() : "";
+  }
+
+  function renderList(list, lines, depth) {
+    let n = 1;
+    for (const li of list.children) {
+      if (li.tagName !== "LI" || shouldSkip(li)) continue;
+      const marker = list.tagName === "OL" ? `${n++}.` : "-";
+      const nested = [];
+      let text = "";
+      for (const child of li.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) text += child.nodeValue.replace(/\s+/g, " ");
+        else if (child.nodeType !== Node.ELEMENT_NODE || shouldSkip(child)) continue;
+        else if (child.tagName === "UL" || child.tagName === "OL") nested.push(child);
+        else text += inlineElement(child);
+      }
+      const item = collapse(text).replace(/\n+/g, " ");
+      if (item) lines.push(`${"  ".repeat(depth)}${marker} ${item}`);
+      for (const sub of nested) renderList(sub, lines, depth + 1);
+    }
+  }
+
+  // Dashboards often draw tables with divs and ARIA roles instead of <table>.
+  function isAriaGrid(el) {
+    return GRID_ROLES.has(String(el.getAttribute("role") || "").toLowerCase());
+  }
+
+  function ownRows(el) {
+    if (el.tagName === "TABLE") return Array.from(el.rows);
+    return Array.from(el.querySelectorAll('[role="row"]')).filter(
+      (row) => row.parentElement.closest(GRID_SELECTOR) === el
+    );
+  }
+
+  function ownCells(row) {
+    if (row.tagName === "TR") return Array.from(row.cells);
+    return Array.from(row.querySelectorAll(CELL_SELECTOR)).filter(
+      (cell) => cell.parentElement.closest('[role="row"]') === row
+    );
+  }
+
+  // Layout tables (nested tables, a single row or column) are read as blocks.
+  function isDataTable(table) {
+    if (table.querySelector(`table, ${GRID_SELECTOR}`)) return false;
+    const rows = ownRows(table);
+    return rows.length > 1 && rows.some((r) => ownCells(r).length > 1);
+  }
+
+  // Cell text row by row; a cell spanning columns is followed by empty cells
+  // so the columns stay aligned.
+  function tableRows(table) {
+    return ownRows(table)
+      .filter((row) => !shouldSkip(row))
+      .map((row) =>
+        ownCells(row).flatMap((cell) => {
+          const text = collapse(inlineText(cell)).replace(/\n+/g, " ");
+          const span = Math.min(Math.max(Number(cell.getAttribute("colspan")) || 1, 1), 50);
+          return [text, ...Array(span - 1).fill("")];
+        })
+      )
+      .filter((cells) => cells.some(Boolean));
+  }
+
+  function renderTable(table) {
+    const rows = tableRows(table).map((cells) => cells.map((cell) => cell.replace(/\|/g, "\\|")));
+    if (!rows.length) return "";
+    const width = Math.max(...rows.map((r) => r.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+  }
+
+  function renderBlocks(node, out) {
+    let inline = "";
+    const flush = () => {
+      const text = collapse(inline);
+      if (text) out.push({ text, el: node });
+      inline = "";
+    };
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        inline += child.nodeValue.replace(/\s+/g, " ");
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || shouldSkip(child)) continue;
+      const tag = child.tagName;
+      if (isAriaGrid(child) && isDataTable(child)) {
+        flush();
+        const table = renderTable(child);
+        if (table) out.push({ text: table, el: child, fenced: true });
+        continue;
+      }
+      if (!BLOCK_TAGS.has(tag)) {
+        inline += inlineElement(child);
+        continue;
+      }
+      flush();
+      if (/^H[1-6]$/.test(tag)) {
+        const text = collapse(inlineText(child)).replace(/\n+/g, " ");
+        if (text) out.push({ text: `${"#".repeat(Number(tag[1]))} ${text}`, el: child });
+      } else if (tag === "PRE") {
+        const code = String(child.textContent || "").replace(/\n+$/, "");
+        if (code.trim()) out.push({ text: `\`\`\`${codeLanguage(child)}\n${code}\n\`\`\``, el: child, fenced: true });
+      } else if (tag === "UL" || tag === "OL") {
+        const lines = [];
+        renderList(child, lines, 0);
+        if (lines.length) out.push({ text: lines.join("\n"), el: child });
+      } else if (tag === "TABLE" && isDataTable(child)) {
+        const table = renderTable(child);
+        if (table) out.push({ text: table, el: child, fenced: true });
+      } else if (tag === "BLOCKQUOTE") {
+        const inner = [];
+        renderBlocks(child, inner);
+        if (inner.length) {
+          out.push({
+            text: inner
+              .map((block) => block.text)
+              .join("\n\n")
+              .split("\n")
+              .map((line) => (line ? `> ${line}` : ">"))
+              .join("\n"),
+            el: child
+          });
+        }
+      } else if (tag === "HR") {
+        out.push({ text: "---" });
+      } else {
+        renderBlocks(child, out);
+      }
+    }
+    flush();
+  }
+
+  // Keeps whole blocks while they fit, so the cut never lands mid-table.
+  // Returns the kept texts; only the first may be cut short.
+  function clipBlocks(blocks, maxChars) {
+    const kept = [];
+    let used = 0;
+    for (const block of blocks) {
+      const cost = block.length + (kept.length ? 2 : 0);
+      if (used + cost > maxChars) {
+        if (!kept.length) kept.push(block.slice(0, maxChars));
+        break;
+      }
+      kept.push(block);
+      used += cost;
+    }
+    return kept;
+  }
+
+  // Prefixes each block with a short id the model can cite. Ids are reused
+  // while the element is still in the page, so a conversation's earlier
+  // citations keep pointing at the same place; new ones are only planned here
+  // and written by markAnchors once the block is known to be sent.
+  function planAnchors(blocks) {
+    let next = 1;
+    document.querySelectorAll(`[${ANCHOR_ATTR}]`).forEach((node) => {
+      const match = /^a(\d+)$/.exec(node.getAttribute(ANCHOR_ATTR) || "");
+      if (match) next = Math.max(next, Number(match[1]) + 1);
+    });
+    const planned = new Map();
+    return blocks.map((block) => {
+      if (!block.el || block.text === "---") return block;
+      let id = block.el.getAttribute(ANCHOR_ATTR) || planned.get(block.el);
+      if (!id) {
+        id = `a${next++}`;
+        planned.set(block.el, id);
+      }
+      const text = block.fenced ? `[${id}]\n${block.text}` : `[${id}] ${block.text}`;
+      return { ...block, text, anchor: id };
+    });
+  }
+
+  // Tags the elements of the blocks that were kept; returns how many ids the
+  // model can cite.
+  function markAnchors(blocks) {
+    const ids = new Set();
+    for (const block of blocks) {
+      if (!block.anchor) continue;
+      if (!block.el.hasAttribute(ANCHOR_ATTR)) block.el.setAttribute(ANCHOR_ATTR, block.anchor);
+      ids.add(block.anchor);
+    }
+    return ids.size;
+  }
+
+  // Returns the page context the panel and popup send along with a question:
+  // the main content as Markdown, clipped to `maxChars`, plus counts of what
+  // was left out so the UI can say so. With `options.anchors` the blocks carry
+  // [aN] ids matching data-aihelper-anchor attributes on the page.
+  function extractPage(maxChars, options = {}) {
+    const limit = typeof maxChars === "number" && maxChars > 0 ? maxChars : 12000;
+    const selection = String(window.getSelection?.()?.toString?.() || "").trim();
+    const body = document.body;
+    const pageText = body ? String(body.innerText || "").trim() : "";
+
+    let blocks = [];
+    let source = "article";
+    const roots = body ? findArticleRoots(body) : [];
+    for (const root of roots) renderBlocks(root, blocks);
+    if (blocks.map((b) => b.text).join("\n\n").length < MIN_ARTICLE_CHARS && body) {
+      blocks = [];
+      source = "page";
+      renderBlocks(body, blocks);
+    }
+    if (!blocks.length && pageText) {
+      blocks = pageText.split(/\n{2,}/).map((b) => ({ text: b.trim() })).filter((b) => b.text);
+      source = "text";
+    }
+
+    if (options.anchors) blocks = planAnchors(blocks);
+    const texts = blocks.map((b) => b.text);
+    const markdown = texts.join("\n\n");
+    const keptTexts = clipBlocks(texts, limit);
+    const kept = keptTexts.join("\n\n");
+    const anchors = options.anchors ? markAnchors(blocks.slice(0, keptTexts.length)) : 0;
+    const truncatedChars = Math.max(0, markdown.length - kept.length);
+    const articleText = roots.length && source === "article"
+      ? roots.reduce((sum, root) => sum + String(root.innerText || "").trim().length, 0)
+      : pageText.length;
+    return {
+      title: document.title || "",
+      url: location.href || "",
+      selection,
+      content: truncatedChars ? `${kept}\n…(truncated ${truncatedChars} chars)` : kept,
+      extraction: {
+        source,
+        pageChars: pageText.length,
+        contentChars: kept.length,
+        boilerplateChars: Math.max(0, pageText.length - articleText),
+        truncatedChars,
+        anchors
+      }
+    };
+  }
+
+  // The data table at or inside `el` (the first one, if it holds several),
+  // as cell text plus the Markdown rendering used for page context.
+  function readTable(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return null;
+    const candidates = [el, ...el.querySelectorAll(`table, ${GRID_SELECTOR}`)];
+    const table = candidates.find((node) => (node.tagName === "TABLE" || isAriaGrid(node)) && isDataTable(node));
+    if (!table) return null;
+    const rows = tableRows(table);
+    return rows.length ? { rows, markdown: renderTable(table) } : null;
+  }
+
+  Object.defineProperty(window, "__aihelperExtractPage", {
+    value: extractPage,
+    configurable: true
+  });
+  Object.defineProperty(window, "__aihelperReadTable", {
+    value: readTable,
+    configurable: true
+  });
+})();
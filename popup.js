@@ -1,9 +1,5 @@
-import { loadConfig } from "./shared/config.js";
-import {
-  loadChatHistory,
-  saveChatHistory,
-  trimChatHistory
-} from "./shared/history.js";
+import { isProfileConfigured, loadConfig, resolveProfile } from "./shared/config.js";
+import { makeMessageId, trimChatHistory } from "./shared/history.js";
 
 const els = {
   chat: document.getElementById("chat"),
@@ -19,6 +15,7 @@ const els = {
 };
 
 let chatHistory = [];
+let conversationId = "";
 let cachedPageContext = null;
 
 function setStatus(text) {
@@ -47,13 +44,13 @@ function addBubble(role, content, meta) {
 function renderAll() {
   els.chat.innerHTML = "";
   for (const m of chatHistory) {
-    addBubble(m.role, m.content);
+    addBubble(m.role, m.role === "user" && m.display ? m.display : m.content);
   }
 }
 
 async function ensureConfigured() {
   const cfg = await loadConfig();
-  const ok = Boolean(cfg.token);
+  const ok = isProfileConfigured(resolveProfile(cfg, cfg.activeProfileId));
   els.configNotice.classList.toggle("hidden", ok);
   return ok;
 }
@@ -68,31 +65,26 @@ async function fetchPageContext() {
   const cfg = await loadConfig();
   const tabId = await getActiveTabId();
 
+  // Same extractor the panel uses; it defines a page global once injected.
+  await chrome.scripting.executeScript({ target: { tabId }, files: ["pageExtractor.js"] });
   const [{ result }] = await chrome.scripting.executeScript({
     target: { tabId },
-    func: (maxChars) => {
-      const selection = String(window.getSelection?.()?.toString?.() || "").trim();
-      const title = document.title || "";
-      const url = location.href || "";
-
-      const rawText = document.body ? document.body.innerText || "" : "";
-      const text = rawText.replace(/\\s+\\n/g, "\\n").trim();
-      const clipped =
-        text.length > maxChars ? text.slice(0, maxChars) + "\\n…(truncated)" : text;
-
-      return {
-        title,
-        url,
-        selection,
-        content: clipped
-      };
-    },
+    func: (maxChars) => window.__aihelperExtractPage(maxChars),
     args: [typeof cfg.maxPageChars === "number" ? cfg.maxPageChars : 12000]
   });
 
   return result;
 }
 
+function describePageContext(ctx, label) {
+  const info = ctx?.extraction;
+  if (!info) return label;
+  const dropped = [];
+  if (info.boilerplateChars) dropped.push(`${info.boilerplateChars.toLocaleString()} boilerplate`);
+  if (info.truncatedChars) dropped.push(`${info.truncatedChars.toLocaleString()} over budget`);
+  return `${label}: ${info.contentChars.toLocaleString()} chars${dropped.length ? ` (dropped ${dropped.join(", ")})` : ""}`;
+}
+
 function buildUserMessage(userText, pageContext, includePage) {
   const text = String(userText || "").trim();
   if (!text) return "";
@@ -116,6 +108,25 @@ function buildUserMessage(userText, pageContext, includePage) {
   return lines.join("\\n");
 }
 
+// Conversations are stored by the background, which serializes every write to
+// the store; the popup never writes it directly.
+async function sendBackgroundRequest(type, payload) {
+  const res = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!res?.ok) throw new Error(res?.error || "Request failed.");
+  return res;
+}
+
+async function loadChatHistory() {
+  const { conversation } = await sendBackgroundRequest("CONVERSATION_ACTIVE");
+  conversationId = conversation.id;
+  return conversation.messages;
+}
+
+async function saveChatHistory(history) {
+  if (!conversationId) return;
+  await sendBackgroundRequest("CONVERSATION_SAVE", { id: conversationId, messages: history });
+}
+
 async function callChatApi(messages) {
   const res = await chrome.runtime.sendMessage({ type: "CHAT", messages });
   return res;
@@ -148,10 +159,20 @@ async function onSend(e) {
   }
 
   const userContent = buildUserMessage(userText, pageContext, els.includePage.checked);
-  const userMessage = { role: "user", content: userContent };
+  const userMessage = {
+    id: makeMessageId(),
+    role: "user",
+    content: userContent,
+    display: userText.trim(),
+    ts: Date.now()
+  };
   chatHistory.push(userMessage);
   chatHistory = trimChatHistory(chatHistory);
-  addBubble("user", userText, els.includePage.checked ? "Includes page context" : "");
+  addBubble(
+    "user",
+    userText,
+    els.includePage.checked ? describePageContext(pageContext, "Includes page context") : ""
+  );
   await saveChatHistory(chatHistory);
 
   els.sendBtn.disabled = true;
@@ -170,7 +191,7 @@ async function onSend(e) {
     const assistantText = String(apiRes.content || "").trim() || "(empty response)";
     pending.textContent = assistantText;
     pending.className = "bubble assistant";
-    chatHistory.push({ role: "assistant", content: assistantText });
+    chatHistory.push({ id: makeMessageId(), role: "assistant", content: assistantText, ts: Date.now() });
     chatHistory = trimChatHistory(chatHistory);
     await saveChatHistory(chatHistory);
     setStatus("Ready");
@@ -199,7 +220,7 @@ async function onRefreshPage() {
   try {
     setStatus("Reading page…");
     cachedPageContext = await fetchPageContext();
-    setStatus("Page captured");
+    setStatus(describePageContext(cachedPageContext, "Page captured"));
   } catch (err) {
     cachedPageContext = null;
     setStatus("Failed to read page");
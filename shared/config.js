@@ -1,18 +1,143 @@
 export const DEFAULT_API_URL = "https://api.openai.com/v1/responses";
 export const DEFAULT_MODEL = "gpt-5.2";
-export const FIXED_SYSTEM_PROMPT =
+export const DEFAULT_SYSTEM_PROMPT =
   "You are a helpful assistant. When page context is provided, use it to answer accurately and concisely.";
-export const FIXED_TEMPERATURE = 0.2;
-export const FIXED_MAX_PAGE_CHARS = 12000;
+export const DEFAULT_TEMPERATURE = 0.2;
+export const DEFAULT_MAX_PAGE_CHARS = 12000;
+export const DEFAULT_MAX_OUTPUT_TOKENS = 1024;
+// "" leaves reasoning to the model; see shared/providers.js for the mapping.
+export const REASONING_EFFORTS = Object.freeze(["", "minimal", "low", "medium", "high"]);
+// The whole config shares one 8 KB sync item; saveConfig also checks the
+// prompt's size in bytes, since CJK text takes three bytes per character.
+export const GENERATION_LIMITS = Object.freeze({
+  systemPromptChars: 4000,
+  temperature: Object.freeze([0, 2]),
+  maxOutputTokens: Object.freeze([16, 65536]),
+  maxPageChars: Object.freeze([1000, 200000])
+});
+export const CONVERSATION_SCOPES = Object.freeze(["global", "origin", "url", "tab"]);
+
+// Wire protocols a provider profile can speak; see shared/providers.js.
+export const PROVIDER_PROTOCOLS = Object.freeze([
+  "responses",
+  "chat_completions",
+  "anthropic",
+  "ollama"
+]);
+
+export const PROTOCOL_DEFAULTS = Object.freeze({
+  responses: Object.freeze({ apiUrl: DEFAULT_API_URL, model: DEFAULT_MODEL }),
+  chat_completions: Object.freeze({
+    apiUrl: "https://api.openai.com/v1/chat/completions",
+    model: DEFAULT_MODEL
+  }),
+  anthropic: Object.freeze({
+    apiUrl: "https://api.anthropic.com/v1/messages",
+    model: "claude-sonnet-4-5"
+  }),
+  ollama: Object.freeze({ apiUrl: "http://localhost:11434/api/chat", model: "llama3.1" })
+});
+
+export const DEFAULT_PROFILE_ID = "default";
+
+// Selection menu entries. Built-ins can be hidden and reordered; custom
+// actions carry their own prompt ({{selection}} etc., as in templates).
+export const QUICK_ACTION_BUILTINS = Object.freeze(["translate", "explain", "copy"]);
+export const QUICK_ACTION_LIMITS = Object.freeze({
+  custom: 12,
+  labelChars: 16,
+  promptChars: 1000,
+  languageChars: 40
+});
+export const DEFAULT_QUICK_ACTIONS = Object.freeze([
+  Object.freeze({ id: "translate", builtin: "translate", label: "翻译", enabled: true }),
+  Object.freeze({ id: "explain", builtin: "explain", label: "解释", enabled: true }),
+  Object.freeze({ id: "copy", builtin: "copy", label: "复制", enabled: true }),
+  Object.freeze({
+    id: "summarize",
+    label: "总结",
+    prompt: "Summarize the following text in 3-5 bullet points.\n\n{{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: false
+  }),
+  Object.freeze({
+    id: "rewrite-formal",
+    label: "正式改写",
+    prompt:
+      "Rewrite the following text in a formal, professional tone. Keep the meaning. Output only the rewritten text.\n\n{{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: false
+  }),
+  Object.freeze({
+    id: "fix-grammar",
+    label: "语法修正",
+    prompt:
+      "Fix grammar, spelling and punctuation in the following text without changing its meaning or language. Output only the corrected text.\n\n{{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: false
+  }),
+  Object.freeze({
+    id: "action-items",
+    label: "行动项",
+    prompt:
+      "Extract the action items from the following text as a Markdown checklist. Include the owner and due date when they are mentioned.\n\n{{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: false
+  })
+]);
+
+// Translation targets; "auto" sends Chinese text to English and everything
+// else to Chinese. contentScript.js keeps the matching display names.
+export const TRANSLATE_LANGUAGES = Object.freeze(["auto", "zh", "en", "ja", "ko", "de", "fr", "es", "pt", "it", "ru"]);
+// Where the selection menu's translation appears.
+export const TRANSLATE_DISPLAYS = Object.freeze(["panel", "inline", "replace"]);
 
 export const DEFAULT_CONFIG = Object.freeze({
   apiUrl: DEFAULT_API_URL,
   token: "",
   model: DEFAULT_MODEL,
-  enableSelectionActions: false
+  enableSelectionActions: false,
+  conversationScope: "global",
+  translateTargetLanguage: "auto",
+  translateDisplay: "panel"
 });
 
 const CONFIG_KEY = "aihelper_config_v1";
+// Quick actions get their own sync item; with prompts they would crowd the
+// config item's 8 KB quota.
+const QUICK_ACTIONS_KEY = "aihelper_quick_actions_v1";
+const GENERATION_KEYS = Object.freeze([
+  "systemPrompt",
+  "temperature",
+  "maxOutputTokens",
+  "maxPageChars",
+  "reasoningEffort"
+]);
+
+// chrome.storage.sync caps each item (key plus JSON value) at 8 KB and the
+// whole area at 100 KB.
+export const SYNC_QUOTA = Object.freeze({ itemBytes: 8192, totalBytes: 102400 });
+
+export function syncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+export function formatKb(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Fails with `message` and the sizes instead of letting sync reject the write
+// with a bare quota error.
+export function checkSyncItemSize(key, value, message) {
+  const bytes = syncItemBytes(key, value);
+  if (bytes > SYNC_QUOTA.itemBytes) {
+    throw new Error(`${message} (${formatKb(bytes)} of ${formatKb(SYNC_QUOTA.itemBytes)}).`);
+  }
+}
 
 export function buildAuthHeaders(token) {
   const t = String(token || "").trim();
@@ -21,64 +146,358 @@ export function buildAuthHeaders(token) {
   return { Authorization: `Bearer ${t}` };
 }
 
-function normalizeApiUrl(value) {
+function clampSetting(value, [min, max], integer) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) return undefined;
+  const clamped = Math.min(max, Math.max(min, n));
+  return integer ? Math.round(clamped) : clamped;
+}
+
+// Keeps only the valid, explicitly set generation fields. Used for
+// per-conversation overrides, where a missing field means "use the default".
+export function normalizeGenerationOverrides(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  if (typeof src.systemPrompt === "string" && src.systemPrompt.trim()) {
+    out.systemPrompt = src.systemPrompt.trim().slice(0, GENERATION_LIMITS.systemPromptChars);
+  }
+  const temperature = clampSetting(src.temperature, GENERATION_LIMITS.temperature, false);
+  if (temperature !== undefined) out.temperature = temperature;
+  const maxOutputTokens = clampSetting(src.maxOutputTokens, GENERATION_LIMITS.maxOutputTokens, true);
+  if (maxOutputTokens !== undefined) out.maxOutputTokens = maxOutputTokens;
+  const maxPageChars = clampSetting(src.maxPageChars, GENERATION_LIMITS.maxPageChars, true);
+  if (maxPageChars !== undefined) out.maxPageChars = maxPageChars;
+  if (typeof src.reasoningEffort === "string" && REASONING_EFFORTS.includes(src.reasoningEffort)) {
+    out.reasoningEffort = src.reasoningEffort;
+  }
+  return out;
+}
+
+function normalizeGenerationSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    // An empty global prompt is allowed and sends no system prompt at all.
+    systemPrompt:
+      typeof src.systemPrompt === "string"
+        ? src.systemPrompt.trim().slice(0, GENERATION_LIMITS.systemPromptChars)
+        : DEFAULT_SYSTEM_PROMPT,
+    temperature: DEFAULT_TEMPERATURE,
+    maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+    maxPageChars: DEFAULT_MAX_PAGE_CHARS,
+    reasoningEffort: "",
+    ...normalizeGenerationOverrides({ ...src, systemPrompt: undefined })
+  };
+}
+
+// Global generation settings with a conversation's overrides applied.
+export function resolveGenerationSettings(config, overrides) {
+  return {
+    ...normalizeGenerationSettings(config),
+    ...normalizeGenerationOverrides(overrides)
+  };
+}
+
+function normalizeQuickAction(raw) {
+  const a = raw && typeof raw === "object" ? raw : {};
+  const label = typeof a.label === "string" ? a.label.trim().slice(0, QUICK_ACTION_LIMITS.labelChars) : "";
+  if (QUICK_ACTION_BUILTINS.includes(a.builtin)) {
+    const fallback = DEFAULT_QUICK_ACTIONS.find((d) => d.builtin === a.builtin);
+    return { id: a.builtin, builtin: a.builtin, label: label || fallback.label, enabled: a.enabled !== false };
+  }
+  const prompt = typeof a.prompt === "string" ? a.prompt.trim().slice(0, QUICK_ACTION_LIMITS.promptChars) : "";
+  if (!label || !prompt) return null;
+  return {
+    id: typeof a.id === "string" && a.id.trim() ? a.id.trim() : makeProfileId(),
+    label,
+    prompt,
+    targetLanguage:
+      typeof a.targetLanguage === "string"
+        ? a.targetLanguage.trim().slice(0, QUICK_ACTION_LIMITS.languageChars)
+        : "",
+    includePage: Boolean(a.includePage),
+    enabled: a.enabled !== false
+  };
+}
+
+// Keeps the saved order, drops invalid or duplicate entries and appends any
+// built-in missing from older configs.
+export function normalizeQuickActions(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_QUICK_ACTIONS.map((a) => ({ ...a }));
+  const seen = new Set();
+  const actions = [];
+  let custom = 0;
+  for (const item of raw) {
+    const action = normalizeQuickAction(item);
+    if (!action || seen.has(action.id)) continue;
+    if (!action.builtin && ++custom > QUICK_ACTION_LIMITS.custom) continue;
+    seen.add(action.id);
+    actions.push(action);
+  }
+  for (const d of DEFAULT_QUICK_ACTIONS) {
+    if (d.builtin && !seen.has(d.id)) actions.push({ ...d });
+  }
+  return actions;
+}
+
+function normalizeConversationScope(value) {
+  return CONVERSATION_SCOPES.includes(value) ? value : DEFAULT_CONFIG.conversationScope;
+}
+
+function normalizeTranslateSettings(raw) {
+  return {
+    translateTargetLanguage: TRANSLATE_LANGUAGES.includes(raw?.translateTargetLanguage)
+      ? raw.translateTargetLanguage
+      : DEFAULT_CONFIG.translateTargetLanguage,
+    translateDisplay: TRANSLATE_DISPLAYS.includes(raw?.translateDisplay)
+      ? raw.translateDisplay
+      : DEFAULT_CONFIG.translateDisplay
+  };
+}
+
+function normalizeProtocol(value) {
+  return PROVIDER_PROTOCOLS.includes(value) ? value : "responses";
+}
+
+function parseIpv4(hostname) {
+  const parts = String(hostname || "").split(".");
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p))) return null;
+  const octets = parts.map(Number);
+  return octets.every((n) => n <= 255) ? octets : null;
+}
+
+// Loopback and private-network hosts: localhost, 127/8, 10/8, 172.16/12,
+// 192.168/16, 169.254/16 and IPv6 loopback, unique-local and link-local.
+// Other hostnames are rejected even if they resolve to a private address.
+export function isPrivateNetworkHost(hostname) {
+  const host = String(hostname || "").toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  const ip = parseIpv4(host);
+  if (ip) {
+    const [a, b] = ip;
+    return (
+      a === 127 ||
+      a === 10 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254)
+    );
+  }
+  if (!host.includes(":")) return false;
+  return host === "::1" || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+}
+
+// Plain http is only accepted for private-network hosts, and only when the
+// profile opts in with `allowHttp`.
+export function isAllowedApiUrl(url, { allowHttp = false } = {}) {
+  let u;
+  try {
+    u = new URL(String(url || ""));
+  } catch {
+    return false;
+  }
+  if (u.protocol === "https:") return true;
+  return u.protocol === "http:" && allowHttp && isPrivateNetworkHost(u.hostname);
+}
+
+// The host permission pattern fetch() needs for `url`; match patterns cover
+// every port, so one grant is enough for a host.
+export function hostPermissionFor(url) {
+  try {
+    const u = new URL(String(url || ""));
+    return `${u.protocol}//${u.hostname}/*`;
+  } catch {
+    return "";
+  }
+}
+
+function normalizeApiUrl(value, fallback = DEFAULT_API_URL, options = {}) {
   const raw = String(value || "").trim();
-  if (!raw) return DEFAULT_API_URL;
+  if (!raw) return fallback;
   try {
     const u = new URL(raw);
-    if (u.protocol !== "https:") return DEFAULT_API_URL;
+    if (!isAllowedApiUrl(u, options)) return fallback;
     return u.toString();
   } catch {
-    return DEFAULT_API_URL;
+    return fallback;
   }
 }
 
+function makeProfileId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+}
+
+export function normalizeProfile(raw) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const protocol = normalizeProtocol(p.protocol);
+  const defaults = PROTOCOL_DEFAULTS[protocol];
+  const id = typeof p.id === "string" && p.id.trim() ? p.id.trim() : makeProfileId();
+  const name = typeof p.name === "string" && p.name.trim() ? p.name.trim() : "Untitled";
+  const modelRaw = typeof p.model === "string" ? p.model.trim() : "";
+  const allowHttp = Boolean(p.allowHttp);
+  return {
+    id,
+    name,
+    protocol,
+    apiUrl: normalizeApiUrl(p.apiUrl, defaults.apiUrl, { allowHttp }),
+    token: typeof p.token === "string" ? p.token : "",
+    model: modelRaw || defaults.model,
+    allowHttp
+  };
+}
+
+// Ollama runs locally without auth; every other protocol needs a token.
+export function isProfileConfigured(profile) {
+  if (!profile || !profile.apiUrl || !profile.model) return false;
+  return profile.protocol === "ollama" || Boolean(String(profile.token || "").trim());
+}
+
+export function resolveProfile(config, profileId) {
+  const profiles = Array.isArray(config?.profiles) ? config.profiles : [];
+  return (
+    profiles.find((p) => p.id === profileId) ||
+    profiles.find((p) => p.id === config?.activeProfileId) ||
+    profiles[0] ||
+    null
+  );
+}
+
+function readProfiles(saved) {
+  const list = Array.isArray(saved.profiles) ? saved.profiles.map(normalizeProfile) : [];
+  const seen = new Set();
+  const profiles = list.filter((p) => (seen.has(p.id) ? false : seen.add(p.id)));
+  if (profiles.length) return profiles;
+  // Configs from before profiles existed kept one endpoint at the top level.
+  return [
+    normalizeProfile({
+      id: DEFAULT_PROFILE_ID,
+      name: "Default",
+      protocol: "responses",
+      apiUrl: saved.apiUrl,
+      token: saved.token,
+      model: saved.model
+    })
+  ];
+}
+
 export async function loadConfig() {
-  const result = await chrome.storage.sync.get(CONFIG_KEY);
+  const result = await chrome.storage.sync.get([CONFIG_KEY, QUICK_ACTIONS_KEY]);
   const saved = result?.[CONFIG_KEY] && typeof result[CONFIG_KEY] === "object"
     ? result[CONFIG_KEY]
     : {};
-  const apiUrl = normalizeApiUrl(saved.apiUrl);
-  const token = typeof saved.token === "string" ? saved.token : "";
-  const modelRaw = typeof saved.model === "string" ? saved.model : "";
-  const model = modelRaw.trim() || DEFAULT_MODEL;
+  const profiles = readProfiles(saved);
+  const activeProfileId = profiles.some((p) => p.id === saved.activeProfileId)
+    ? saved.activeProfileId
+    : profiles[0].id;
+  const active = profiles.find((p) => p.id === activeProfileId);
   const enableSelectionActions = Boolean(saved.enableSelectionActions);
+  const conversationScope = normalizeConversationScope(saved.conversationScope);
+  const generation = normalizeGenerationSettings(saved);
+  const translate = normalizeTranslateSettings(saved);
   return {
-    apiUrl,
-    token,
-    model,
+    profiles,
+    activeProfileId,
+    // The active profile's endpoint, for callers that predate profiles.
+    apiUrl: active.apiUrl,
+    token: active.token,
+    model: active.model,
+    protocol: active.protocol,
     enableSelectionActions,
-    systemPrompt: FIXED_SYSTEM_PROMPT,
-    temperature: FIXED_TEMPERATURE,
-    maxPageChars: FIXED_MAX_PAGE_CHARS
+    conversationScope,
+    quickActions: normalizeQuickActions(result?.[QUICK_ACTIONS_KEY]),
+    ...translate,
+    ...generation
   };
 }
 
 export async function saveConfig(nextConfig) {
   const current = await loadConfig();
-  const nextApiUrl =
-    typeof nextConfig?.apiUrl === "string" ? normalizeApiUrl(nextConfig.apiUrl) : current.apiUrl;
-  const nextToken =
-    typeof nextConfig?.token === "string" ? nextConfig.token : current.token;
-  const nextModel =
-    typeof nextConfig?.model === "string" ? nextConfig.model : current.model;
+  let nextProfiles = Array.isArray(nextConfig?.profiles)
+    ? nextConfig.profiles.map(normalizeProfile)
+    : current.profiles;
+  if (!nextProfiles.length) nextProfiles = current.profiles;
+  const nextActiveProfileId =
+    typeof nextConfig?.activeProfileId === "string" &&
+    nextProfiles.some((p) => p.id === nextConfig.activeProfileId)
+      ? nextConfig.activeProfileId
+      : nextProfiles.some((p) => p.id === current.activeProfileId)
+        ? current.activeProfileId
+        : nextProfiles[0].id;
+
+  // Top-level apiUrl/token/model still edit the active profile.
+  const legacyPatch = {};
+  if (typeof nextConfig?.apiUrl === "string") legacyPatch.apiUrl = nextConfig.apiUrl;
+  if (typeof nextConfig?.token === "string") legacyPatch.token = nextConfig.token;
+  if (typeof nextConfig?.model === "string") legacyPatch.model = nextConfig.model;
+  if (Object.keys(legacyPatch).length) {
+    nextProfiles = nextProfiles.map((p) =>
+      p.id === nextActiveProfileId ? normalizeProfile({ ...p, ...legacyPatch }) : p
+    );
+  }
+
   const nextEnableSelectionActions =
     typeof nextConfig?.enableSelectionActions === "boolean"
       ? nextConfig.enableSelectionActions
       : current.enableSelectionActions;
+  const nextConversationScope =
+    typeof nextConfig?.conversationScope === "string"
+      ? normalizeConversationScope(nextConfig.conversationScope)
+      : current.conversationScope;
+  const nextGeneration = normalizeGenerationSettings({
+    systemPrompt: current.systemPrompt,
+    temperature: current.temperature,
+    maxOutputTokens: current.maxOutputTokens,
+    maxPageChars: current.maxPageChars,
+    reasoningEffort: current.reasoningEffort,
+    ...Object.fromEntries(
+      Object.entries(nextConfig || {}).filter(([key, value]) => GENERATION_KEYS.includes(key) && value !== undefined)
+    )
+  });
+  const nextTranslate = normalizeTranslateSettings({
+    translateTargetLanguage: nextConfig?.translateTargetLanguage ?? current.translateTargetLanguage,
+    translateDisplay: nextConfig?.translateDisplay ?? current.translateDisplay
+  });
+  const nextQuickActions = Array.isArray(nextConfig?.quickActions)
+    ? normalizeQuickActions(nextConfig.quickActions)
+    : current.quickActions;
+  const configItem = {
+    profiles: nextProfiles,
+    activeProfileId: nextActiveProfileId,
+    enableSelectionActions: nextEnableSelectionActions,
+    conversationScope: nextConversationScope,
+    ...nextTranslate,
+    ...nextGeneration
+  };
+  checkSyncItemSize(
+    CONFIG_KEY,
+    configItem,
+    "Settings are too large to sync; shorten the system prompt or remove unused profiles"
+  );
+  checkSyncItemSize(
+    QUICK_ACTIONS_KEY,
+    nextQuickActions,
+    "Selection actions are too large to sync; shorten or remove some custom prompts"
+  );
   await chrome.storage.sync.set({
-    [CONFIG_KEY]: {
-      apiUrl: nextApiUrl,
-      token: nextToken,
-      model: nextModel,
-      enableSelectionActions: nextEnableSelectionActions
-    }
+    [CONFIG_KEY]: configItem,
+    [QUICK_ACTIONS_KEY]: nextQuickActions
   });
+  const active = nextProfiles.find((p) => p.id === nextActiveProfileId);
   return {
     ...current,
-    apiUrl: nextApiUrl,
-    token: nextToken,
-    model: nextModel,
-    enableSelectionActions: nextEnableSelectionActions
+    profiles: nextProfiles,
+    activeProfileId: nextActiveProfileId,
+    apiUrl: active.apiUrl,
+    token: active.token,
+    model: active.model,
+    protocol: active.protocol,
+    enableSelectionActions: nextEnableSelectionActions,
+    conversationScope: nextConversationScope,
+    quickActions: nextQuickActions,
+    ...nextTranslate,
+    ...nextGeneration
   };
 }
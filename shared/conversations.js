@@ -0,0 +1,454 @@
+import { normalizeGenerationOverrides } from "./config.js";
+import {
+  clearLegacyChatHistory,
+  normalizeChatMessages,
+  readLegacyChatHistory,
+  trimChatHistory
+} from "./history.js";
+import { externalizeImages, imageRefsOf, removeImages, resolveImages } from "./images.js";
+import { archiveConversationMessages, removeArchivedConversation } from "./search.js";
+
+const STORE_KEY = "aihelper_conversations_v1";
+const MAX_TITLE_CHARS = 48;
+const DEFAULT_TITLE = "New chat";
+export const GLOBAL_SCOPE_KEY = "global";
+const TAB_SCOPE_PREFIX = "tab:";
+
+let storeQueue = Promise.resolve();
+// Stores built from the legacy history rather than read from storage.
+const migratedStores = new WeakSet();
+
+function getArea() {
+  return chrome.storage.local;
+}
+
+function makeConversationId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+}
+
+// Maps the configured scoping mode and the sending page onto the key its
+// conversations are bound to, e.g. "origin:https://github.com" or "tab:42".
+export function resolveScopeKey(scope, { url, tabId } = {}) {
+  if (scope === "tab") {
+    return typeof tabId === "number" ? `${TAB_SCOPE_PREFIX}${tabId}` : GLOBAL_SCOPE_KEY;
+  }
+  if (scope !== "origin" && scope !== "url") return GLOBAL_SCOPE_KEY;
+  let u;
+  try {
+    u = new URL(String(url || ""));
+  } catch {
+    return GLOBAL_SCOPE_KEY;
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return GLOBAL_SCOPE_KEY;
+  if (scope === "origin") return `origin:${u.origin}`;
+  return `url:${u.origin}${u.pathname}${u.search}`;
+}
+
+function normalizeScopeKey(value) {
+  return typeof value === "string" && value ? value : GLOBAL_SCOPE_KEY;
+}
+
+export function deriveConversationTitle(messages) {
+  const first = (Array.isArray(messages) ? messages : []).find((m) => m?.role === "user");
+  if (!first) return "";
+  let text = String(first.display || "");
+  if (!text) {
+    const content = String(first.content || "");
+    const marker = content.lastIndexOf("User question:");
+    text = marker >= 0 ? content.slice(marker + "User question:".length) : content;
+  }
+  const oneLine = text.replace(/\s+/g, " ").trim();
+  if (oneLine.length <= MAX_TITLE_CHARS) return oneLine;
+  return oneLine.slice(0, MAX_TITLE_CHARS - 1) + "…";
+}
+
+function normalizeConversation(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !raw.id) return null;
+  const now = Date.now();
+  const createdAt = typeof raw.createdAt === "number" ? raw.createdAt : now;
+  return {
+    id: raw.id,
+    title: typeof raw.title === "string" ? raw.title : "",
+    titleIsAuto: raw.titleIsAuto !== false,
+    pinned: Boolean(raw.pinned),
+    createdAt,
+    updatedAt: typeof raw.updatedAt === "number" ? raw.updatedAt : createdAt,
+    pageUrl: typeof raw.pageUrl === "string" ? raw.pageUrl : "",
+    pageTitle: typeof raw.pageTitle === "string" ? raw.pageTitle : "",
+    scopeKey: normalizeScopeKey(raw.scopeKey),
+    profileId: typeof raw.profileId === "string" ? raw.profileId : "",
+    settings: normalizeGenerationOverrides(raw.settings),
+    messages: trimChatHistory(normalizeChatMessages(raw.messages))
+  };
+}
+
+function newConversation({ pageUrl, pageTitle, messages, scopeKey } = {}) {
+  const now = Date.now();
+  const normalized = trimChatHistory(normalizeChatMessages(messages));
+  return {
+    id: makeConversationId(),
+    title: deriveConversationTitle(normalized),
+    titleIsAuto: true,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    pageUrl: typeof pageUrl === "string" ? pageUrl : "",
+    pageTitle: typeof pageTitle === "string" ? pageTitle : "",
+    scopeKey: normalizeScopeKey(scopeKey),
+    profileId: "",
+    settings: {},
+    messages: normalized
+  };
+}
+
+async function readStore() {
+  const area = getArea();
+  const result = await area.get(STORE_KEY);
+  const data = result?.[STORE_KEY];
+  if (data && typeof data === "object") {
+    const conversations = (Array.isArray(data.conversations) ? data.conversations : [])
+      .map(normalizeConversation)
+      .filter(Boolean);
+    const rawActive =
+      data.activeByScope && typeof data.activeByScope === "object" ? data.activeByScope : {};
+    const activeByScope = {};
+    for (const [scopeKey, id] of Object.entries(rawActive)) {
+      if (conversations.some((c) => c.id === id)) activeByScope[scopeKey] = id;
+    }
+    // Stores written before scoping existed only tracked a single active conversation.
+    if (typeof data.activeId === "string" && !activeByScope[GLOBAL_SCOPE_KEY]) {
+      if (conversations.some((c) => c.id === data.activeId)) {
+        activeByScope[GLOBAL_SCOPE_KEY] = data.activeId;
+      }
+    }
+    return { activeByScope, conversations };
+  }
+
+  const legacy = await readLegacyChatHistory();
+  if (!legacy.length) return { activeByScope: {}, conversations: [] };
+  const migrated = newConversation({ messages: legacy });
+  const store = { activeByScope: { [GLOBAL_SCOPE_KEY]: migrated.id }, conversations: [migrated] };
+  migratedStores.add(store);
+  return store;
+}
+
+// New images are written along with the store that refers to them; images no
+// longer referenced afterwards are removed.
+async function writeStore(store, previousRefs) {
+  const imageItems = await externalizeImages(store.conversations);
+  await getArea().set({ ...imageItems, [STORE_KEY]: store });
+  const refs = imageRefsOf(store.conversations);
+  await removeImages([...previousRefs].filter((ref) => !refs.has(ref)));
+}
+
+// All mutations go through one queue so concurrent messages from several tabs
+// cannot interleave their read-modify-write cycles.
+function mutateStore(fn) {
+  const run = storeQueue.then(async () => {
+    const store = await readStore();
+    const previousRefs = imageRefsOf(store.conversations);
+    const result = await fn(store);
+    await writeStore(store, previousRefs);
+    // The legacy history goes only once its migration is saved, so read-only
+    // callers that hit an unmigrated store cannot lose it.
+    if (migratedStores.has(store)) await clearLegacyChatHistory();
+    return result;
+  });
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+function findConversation(store, id) {
+  const conversation = store.conversations.find((c) => c.id === id);
+  if (!conversation) throw new Error("Conversation not found.");
+  return conversation;
+}
+
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title || DEFAULT_TITLE,
+    pinned: conversation.pinned,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    pageUrl: conversation.pageUrl,
+    pageTitle: conversation.pageTitle,
+    scopeKey: conversation.scopeKey,
+    profileId: conversation.profileId,
+    settings: conversation.settings,
+    messageCount: conversation.messages.length
+  };
+}
+
+function sortConversations(list) {
+  return list.slice().sort((a, b) => {
+    if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+    return b.updatedAt - a.updatedAt;
+  });
+}
+
+// Lists the conversations bound to `scopeKey`; the global scope (and `all`)
+// lists every conversation regardless of where it was started.
+export async function listConversations({ scopeKey, all } = {}) {
+  const store = await readStore();
+  const key = normalizeScopeKey(scopeKey);
+  const list =
+    all || key === GLOBAL_SCOPE_KEY
+      ? store.conversations
+      : store.conversations.filter((c) => c.scopeKey === key);
+  return sortConversations(list).map(toSummary);
+}
+
+// Summary plus messages with their images, for the panel to render.
+async function withMessages(conversation) {
+  return { ...toSummary(conversation), messages: await resolveImages(conversation.messages) };
+}
+
+export async function getConversation(id) {
+  const store = await readStore();
+  return withMessages(findConversation(store, id));
+}
+
+// Opening the panel usually finds the scope's active conversation in place;
+// the store is only written when one has to be picked or created.
+export async function getActiveConversation(page = {}) {
+  const scopeKey = normalizeScopeKey(page.scopeKey);
+  const current = await readStore();
+  const active = current.conversations.find((c) => c.id === current.activeByScope[scopeKey]);
+  if (active && !migratedStores.has(current)) return withMessages(active);
+
+  const conversation = await mutateStore((store) => {
+    let conversation = store.conversations.find((c) => c.id === store.activeByScope[scopeKey]);
+    if (!conversation) {
+      const candidates =
+        scopeKey === GLOBAL_SCOPE_KEY
+          ? store.conversations
+          : store.conversations.filter((c) => c.scopeKey === scopeKey);
+      conversation = sortConversations(candidates)[0];
+    }
+    if (!conversation) {
+      conversation = newConversation({ ...page, scopeKey });
+      store.conversations.push(conversation);
+    }
+    store.activeByScope[scopeKey] = conversation.id;
+    return conversation;
+  });
+  return withMessages(conversation);
+}
+
+export async function createConversation(page = {}) {
+  const scopeKey = normalizeScopeKey(page.scopeKey);
+  const conversation = await mutateStore((store) => {
+    const conversation = newConversation({ ...page, scopeKey });
+    store.conversations.push(conversation);
+    store.activeByScope[scopeKey] = conversation.id;
+    return conversation;
+  });
+  return withMessages(conversation);
+}
+
+export async function switchConversation(id, { scopeKey } = {}) {
+  const conversation = await mutateStore((store) => {
+    const conversation = findConversation(store, id);
+    store.activeByScope[normalizeScopeKey(scopeKey)] = conversation.id;
+    return conversation;
+  });
+  return withMessages(conversation);
+}
+
+export async function renameConversation(id, title) {
+  return mutateStore((store) => {
+    const conversation = findConversation(store, id);
+    const next = String(title || "").replace(/\s+/g, " ").trim();
+    // An empty title hands naming back to the first user message.
+    conversation.titleIsAuto = !next;
+    conversation.title = next || deriveConversationTitle(conversation.messages);
+    return toSummary(conversation);
+  });
+}
+
+export async function setConversationPinned(id, pinned) {
+  return mutateStore((store) => {
+    const conversation = findConversation(store, id);
+    conversation.pinned = Boolean(pinned);
+    return toSummary(conversation);
+  });
+}
+
+// An empty profile id follows the default provider profile from Options.
+export async function setConversationProfile(id, profileId) {
+  return mutateStore((store) => {
+    const conversation = findConversation(store, id);
+    conversation.profileId = typeof profileId === "string" ? profileId : "";
+    return toSummary(conversation);
+  });
+}
+
+// Generation overrides for one conversation; fields left out fall back to the
+// settings from Options.
+export async function setConversationSettings(id, settings) {
+  return mutateStore((store) => {
+    const conversation = findConversation(store, id);
+    conversation.settings = normalizeGenerationOverrides(settings);
+    return toSummary(conversation);
+  });
+}
+
+export async function deleteConversation(id) {
+  const result = await mutateStore((store) => {
+    findConversation(store, id);
+    store.conversations = store.conversations.filter((c) => c.id !== id);
+    for (const [scopeKey, activeId] of Object.entries(store.activeByScope)) {
+      if (activeId === id) delete store.activeByScope[scopeKey];
+    }
+    return { deleted: id };
+  });
+  await removeArchivedConversation(id);
+  return result;
+}
+
+// Drops conversations bound to one tab (or to every tab when `tabId` is
+// omitted, e.g. after a browser restart reuses tab ids). Pinned ones survive
+// by moving to the global scope.
+export async function deleteTabConversations(tabId) {
+  const prefix = typeof tabId === "number" ? `${TAB_SCOPE_PREFIX}${tabId}` : TAB_SCOPE_PREFIX;
+  const matches = (key) =>
+    typeof tabId === "number" ? key === prefix : String(key).startsWith(prefix);
+  const removedIds = await mutateStore((store) => {
+    const removed = [];
+    store.conversations = store.conversations.filter((c) => {
+      if (!matches(c.scopeKey)) return true;
+      if (!c.pinned) {
+        removed.push(c.id);
+        return false;
+      }
+      c.scopeKey = GLOBAL_SCOPE_KEY;
+      return true;
+    });
+    for (const scopeKey of Object.keys(store.activeByScope)) {
+      if (matches(scopeKey)) delete store.activeByScope[scopeKey];
+    }
+    return removed;
+  });
+  for (const id of removedIds) await removeArchivedConversation(id);
+  return { removed: removedIds.length };
+}
+
+export async function saveConversationMessages(id, messages, page) {
+  const saved = await mutateStore((store) => {
+    let conversation = store.conversations.find((c) => c.id === id);
+    if (!conversation) {
+      // Deleted from another tab while this one was still open: bring it back.
+      conversation = { ...newConversation(page), id };
+      store.conversations.push(conversation);
+    }
+    // The panel sends images back as data URLs; turns already stored keep
+    // their references instead of being hashed and written again.
+    const stored = new Map(conversation.messages.map((m) => [m.id, m]));
+    conversation.messages = trimChatHistory(normalizeChatMessages(messages)).map((m) => {
+      const previous = stored.get(m.id);
+      return m.images && previous?.images ? { ...m, images: previous.images } : m;
+    });
+    conversation.updatedAt = Date.now();
+    if (conversation.titleIsAuto || !conversation.title) {
+      conversation.title = deriveConversationTitle(conversation.messages);
+    }
+    return conversation;
+  });
+  await archiveConversationMessages(saved);
+  return toSummary(saved);
+}
+
+// Title and current message ids per conversation, so search results can tell
+// whether a turn is still inside its conversation's window.
+export async function describeConversations(ids) {
+  const store = await readStore();
+  const wanted = new Set(Array.isArray(ids) ? ids : []);
+  const described = {};
+  for (const c of store.conversations) {
+    if (!wanted.has(c.id)) continue;
+    described[c.id] = {
+      title: c.title || DEFAULT_TITLE,
+      messageIds: c.messages.map((m) => m.id)
+    };
+  }
+  return described;
+}
+
+export async function getConversationsForExport(ids) {
+  const store = await readStore();
+  const list = Array.isArray(ids)
+    ? store.conversations.filter((c) => ids.includes(c.id))
+    : store.conversations;
+  return Promise.all(
+    sortConversations(list).map(async (c) => ({ ...c, messages: await resolveImages(c.messages) }))
+  );
+}
+
+function messageSignature(m) {
+  return `${m.role}\u0000${m.ts}\u0000${m.content}`;
+}
+
+// Merges conversations from a JSON export. Conversations are matched by id and
+// messages are de-duplicated by id or by identical role, timestamp and content,
+// so importing the same file twice changes nothing.
+export async function importConversations(imported) {
+  const toArchive = [];
+  const summary = await mutateStore((store) => {
+    let added = 0;
+    let merged = 0;
+    let messagesAdded = 0;
+    for (const raw of Array.isArray(imported) ? imported : []) {
+      const incoming = normalizeConversation({ ...raw, messages: [] });
+      if (!incoming) continue;
+      // Tab ids from another browser session mean nothing here.
+      if (incoming.scopeKey.startsWith(TAB_SCOPE_PREFIX)) incoming.scopeKey = GLOBAL_SCOPE_KEY;
+
+      const existing = store.conversations.find((c) => c.id === incoming.id);
+      const target = existing || incoming;
+      const seen = new Set();
+      for (const m of existing ? existing.messages : []) {
+        seen.add(m.id);
+        seen.add(messageSignature(m));
+      }
+      const fresh = [];
+      for (const m of normalizeChatMessages(raw.messages)) {
+        if (seen.has(m.id) || seen.has(messageSignature(m))) continue;
+        seen.add(m.id);
+        seen.add(messageSignature(m));
+        fresh.push(m);
+      }
+      if (existing && !fresh.length) continue;
+
+      target.messages = trimChatHistory(
+        [...target.messages, ...fresh].sort((a, b) => a.ts - b.ts)
+      );
+      if (existing) {
+        existing.updatedAt = Math.max(existing.updatedAt, incoming.updatedAt);
+        merged += 1;
+      } else {
+        if (!incoming.title) incoming.title = deriveConversationTitle(incoming.messages);
+        store.conversations.push(incoming);
+        added += 1;
+      }
+      messagesAdded += fresh.length;
+      // Archive every imported turn, including those beyond the message window.
+      toArchive.push({ ...target, messages: fresh });
+    }
+    return { added, merged, messagesAdded };
+  });
+  for (const c of toArchive) await archiveConversationMessages(c);
+  return summary;
+}
+
+// Backfills the search archive from conversations saved before it existed.
+// Going through mutateStore saves a store migrated from the legacy history
+// before it is archived.
+export async function archiveAllConversations() {
+  const conversations = await mutateStore((store) => store.conversations);
+  for (const c of conversations) await archiveConversationMessages(c);
+}
@@ -1,31 +1,99 @@
-const HISTORY_KEY = "aihelper_chat_history_v1";
-const MAX_MESSAGES = 30;
+export const LEGACY_HISTORY_KEY = "aihelper_chat_history_v1";
+export const MAX_MESSAGE_IMAGES = 4;
+const IMAGE_DATA_URL_RE = /^data:(image\/(?:png|jpeg|gif|webp));base64,[A-Za-z0-9+/]+={0,2}$/;
+// Stored messages refer to their images by key; see shared/images.js.
+const IMAGE_REF_RE = /^[0-9a-f]{32}$/;
 
-function getArea() {
-  return chrome.storage.session || chrome.storage.local;
+// A hard cap on what one conversation keeps in storage, separate from the
+// per-request trim to the model's window in background.js.
+export const MAX_STORED_MESSAGES = 200;
+export const MAX_STORED_BYTES = 256 * 1024;
+
+function storedBytes(message) {
+  return new TextEncoder().encode(`${message?.content || ""}${message?.display || ""}`).length;
 }
 
+// Oldest turns go first once a conversation outgrows the storage cap; the
+// opening message and the newest one are kept.
 export function trimChatHistory(history) {
   const arr = Array.isArray(history) ? history : [];
-  if (arr.length <= MAX_MESSAGES) return arr;
-  return arr.slice(arr.length - MAX_MESSAGES);
+  if (arr.length <= 2) return arr;
+  const sizes = arr.map(storedBytes);
+  let total = sizes.reduce((sum, n) => sum + n, 0);
+  let drop = 0;
+  while (
+    (arr.length - drop > MAX_STORED_MESSAGES || total > MAX_STORED_BYTES) &&
+    1 + drop < arr.length - 1
+  ) {
+    total -= sizes[1 + drop];
+    drop += 1;
+  }
+  return drop ? [arr[0], ...arr.slice(1 + drop)] : arr;
+}
+
+export function makeMessageId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+}
+
+// Images attached to a user message: base64 data URLs, re-sent on later
+// turns, or in storage a reference to where the data URL is kept.
+export function normalizeMessageImages(images) {
+  return (Array.isArray(images) ? images : [])
+    .filter(
+      (img) =>
+        img &&
+        ((typeof img.dataUrl === "string" && IMAGE_DATA_URL_RE.test(img.dataUrl)) ||
+          (typeof img.ref === "string" && IMAGE_REF_RE.test(img.ref)))
+    )
+    .slice(0, MAX_MESSAGE_IMAGES)
+    .map((img) => ({
+      ...(typeof img.dataUrl === "string" && IMAGE_DATA_URL_RE.test(img.dataUrl)
+        ? { dataUrl: img.dataUrl }
+        : { ref: img.ref }),
+      ...(typeof img.name === "string" && img.name ? { name: img.name.slice(0, 120) } : {})
+    }));
+}
+
+export function normalizeChatMessages(messages) {
+  const arr = Array.isArray(messages) ? messages : [];
+  return arr
+    .filter((m) => m && typeof m === "object")
+    .filter(
+      (m) => (m.role === "user" || m.role === "assistant") && typeof m.content === "string"
+    )
+    .map((m) => {
+      const images = m.role === "user" ? normalizeMessageImages(m.images) : [];
+      return {
+        id: typeof m.id === "string" && m.id ? m.id : makeMessageId(),
+        role: m.role,
+        content: m.content,
+        ...(typeof m.display === "string" && m.display ? { display: m.display } : {}),
+        ...(images.length ? { images } : {}),
+        ts: typeof m.ts === "number" && Number.isFinite(m.ts) ? m.ts : Date.now()
+      };
+    });
 }
 
-export async function loadChatHistory() {
-  const area = getArea();
-  const result = await area.get(HISTORY_KEY);
-  const data = result?.[HISTORY_KEY];
-  const arr = Array.isArray(data) ? data : [];
-  return trimChatHistory(
-    arr
-      .filter((m) => m && typeof m === "object")
-      .map((m) => ({ role: m.role, content: m.content }))
-      .filter((m) => (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
-  );
+function legacyAreas() {
+  return [chrome.storage.local, chrome.storage.session].filter(Boolean);
 }
 
-export async function saveChatHistory(history) {
-  const area = getArea();
-  await area.set({ [HISTORY_KEY]: trimChatHistory(history) });
+// Reads the single shared history written by versions before conversations
+// existed, so it can be migrated into the conversation store. It is left in
+// place until clearLegacyChatHistory runs after the migration is saved.
+export async function readLegacyChatHistory() {
+  for (const area of legacyAreas()) {
+    const result = await area.get(LEGACY_HISTORY_KEY);
+    const messages = normalizeChatMessages(result?.[LEGACY_HISTORY_KEY]);
+    if (messages.length) return trimChatHistory(messages);
+  }
+  return [];
 }
 
+export async function clearLegacyChatHistory() {
+  for (const area of legacyAreas()) await area.remove(LEGACY_HISTORY_KEY);
+}
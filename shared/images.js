@@ -0,0 +1,74 @@
+// Images attached to chat messages. Each one is stored once, under a local
+// key derived from its content; stored messages only keep that reference, so
+// saving a turn does not rewrite every image of the conversation.
+const IMAGE_KEY_PREFIX = "aihelper_image_v1:";
+
+function getArea() {
+  return chrome.storage.local;
+}
+
+function imageKey(ref) {
+  return IMAGE_KEY_PREFIX + ref;
+}
+
+async function refOf(dataUrl) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(dataUrl));
+  return Array.from(new Uint8Array(digest).slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function imageRefsOf(conversations) {
+  const refs = new Set();
+  for (const c of conversations) {
+    for (const m of c.messages) {
+      for (const img of m.images || []) if (img.ref) refs.add(img.ref);
+    }
+  }
+  return refs;
+}
+
+// Swaps inline images in `conversations` for references and returns the
+// storage items that hold them, to be written together with the conversations.
+export async function externalizeImages(conversations) {
+  const items = {};
+  for (const c of conversations) {
+    for (const m of c.messages) {
+      if (!m.images?.some((img) => img.dataUrl)) continue;
+      m.images = await Promise.all(
+        m.images.map(async ({ dataUrl, ref, name }) => {
+          if (dataUrl) {
+            ref = await refOf(dataUrl);
+            items[imageKey(ref)] = dataUrl;
+          }
+          return { ref, ...(name ? { name } : {}) };
+        })
+      );
+    }
+  }
+  return items;
+}
+
+export async function removeImages(refs) {
+  const keys = Array.from(refs, imageKey);
+  if (keys.length) await getArea().remove(keys);
+}
+
+// Copies of `messages` with their images' data URLs filled back in; images
+// whose item is gone are left out.
+export async function resolveImages(messages) {
+  const keys = Array.from(imageRefsOf([{ messages }]), imageKey);
+  if (!keys.length) return messages;
+  const items = await getArea().get(keys);
+  return messages.map((m) => {
+    if (!m.images) return m;
+    const images = m.images
+      .map(({ dataUrl, ref, name }) => ({
+        dataUrl: ref ? items?.[imageKey(ref)] : dataUrl,
+        ...(name ? { name } : {})
+      }))
+      .filter((img) => typeof img.dataUrl === "string");
+    if (images.length) return { ...m, images };
+    const copy = { ...m };
+    delete copy.images;
+    return copy;
+  });
+}
@@ -0,0 +1,387 @@
+// Request builders and stream parsers for each wire protocol a provider
+// profile can speak. Every adapter exposes:
+//   buildRequest(profile, options) -> { url, headers, body }
+//   parseStreamEvent(payload)      -> { delta?, doneText?, final?, error?, usage? }
+//   extractText(data)              -> full reply text from a non-streamed body
+//   extractUsage(data)             -> token usage from a non-streamed body, or null
+//   framing                        -> "sse" or "ndjson" for streamed bodies
+//   modelsRequest(profile)         -> { url, headers } listing available models
+//   parseModels(data)              -> model ids from that listing
+import { buildAuthHeaders } from "./config.js";
+import { normalizeMessageImages } from "./history.js";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+// Extended-thinking budgets standing in for OpenAI-style effort levels.
+const ANTHROPIC_THINKING_BUDGETS = { minimal: 1024, low: 2048, medium: 8192, high: 24576 };
+
+function textOf(message) {
+  return String(message?.content || "");
+}
+
+// A user message's attached images as media type plus base64 payload.
+function imagesOf(message) {
+  if (message?.role !== "user") return [];
+  // Stored references never reach a request; the panel sends data URLs.
+  return normalizeMessageImages(message.images)
+    .filter((img) => img.dataUrl)
+    .map(({ dataUrl }) => {
+      const comma = dataUrl.indexOf(",");
+      return { dataUrl, mediaType: dataUrl.slice(5, dataUrl.indexOf(";")), data: dataUrl.slice(comma + 1) };
+    });
+}
+
+function chatRole(message) {
+  return message?.role === "assistant" ? "assistant" : "user";
+}
+
+function withoutEmpty(messages) {
+  return (Array.isArray(messages) ? messages : []).filter((m) => m && typeof m === "object");
+}
+
+function contentBlocks(content) {
+  return typeof content === "string" ? [{ type: "text", text: content }] : content;
+}
+
+// Anthropic wants strictly alternating turns; a failed request can leave two
+// user turns in a row, so consecutive same-role turns are merged.
+function mergeConsecutiveRoles(messages) {
+  const merged = [];
+  for (const m of messages) {
+    const last = merged[merged.length - 1];
+    if (!last || last.role !== m.role) merged.push({ ...m });
+    else if (typeof last.content === "string" && typeof m.content === "string") last.content += `\n\n${m.content}`;
+    else last.content = [...contentBlocks(last.content), ...contentBlocks(m.content)];
+  }
+  return merged;
+}
+
+// OpenAI chat format: plain text, or text plus image parts when attached.
+function chatCompletionsContent(message) {
+  const images = imagesOf(message);
+  if (!images.length) return textOf(message);
+  return [
+    { type: "text", text: textOf(message) },
+    ...images.map((img) => ({ type: "image_url", image_url: { url: img.dataUrl } }))
+  ];
+}
+
+// Swaps the endpoint's last path segment(s) for `replacement`, e.g.
+// .../v1/chat/completions -> .../v1/models.
+function siblingUrl(apiUrl, suffix, replacement) {
+  try {
+    const u = new URL(apiUrl);
+    u.search = "";
+    u.hash = "";
+    const path = u.pathname.replace(/\/+$/, "");
+    u.pathname = suffix.test(path)
+      ? path.replace(suffix, replacement)
+      : `${path.replace(/\/[^/]*$/, "")}${replacement}`;
+    return u.toString();
+  } catch {
+    return "";
+  }
+}
+
+function parseOpenAiModels(data) {
+  const list = Array.isArray(data?.data) ? data.data : [];
+  return list.map((m) => m?.id).filter((id) => typeof id === "string" && id);
+}
+
+// Usage is reported as { inputTokens?, cachedTokens?, outputTokens? }; a
+// stream may report it in pieces, later ones overriding earlier counts.
+// Cached tokens are included in inputTokens.
+function openAiUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const input = usage.input_tokens ?? usage.prompt_tokens;
+  const output = usage.output_tokens ?? usage.completion_tokens;
+  const details = usage.input_tokens_details || usage.prompt_tokens_details;
+  // DeepSeek reports cache hits outside the details object.
+  const cached = details?.cached_tokens ?? usage.prompt_cache_hit_tokens;
+  return {
+    ...(typeof input === "number" ? { inputTokens: input } : {}),
+    ...(typeof cached === "number" ? { cachedTokens: cached } : {}),
+    ...(typeof output === "number" ? { outputTokens: output } : {})
+  };
+}
+
+// Anthropic counts cache reads and writes apart from input_tokens.
+function anthropicUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const out = {};
+  if (typeof usage.input_tokens === "number") {
+    const read = Number(usage.cache_read_input_tokens) || 0;
+    out.inputTokens = usage.input_tokens + read + (Number(usage.cache_creation_input_tokens) || 0);
+    out.cachedTokens = read;
+  }
+  if (typeof usage.output_tokens === "number") out.outputTokens = usage.output_tokens;
+  return out;
+}
+
+function ollamaUsage(data) {
+  if (typeof data?.prompt_eval_count !== "number" && typeof data?.eval_count !== "number") return null;
+  return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+}
+
+function errorMessageOf(payload) {
+  const msg = payload?.error?.message ?? payload?.error;
+  return typeof msg === "string" && msg.trim() ? msg : "";
+}
+
+function extractResponsesText(data) {
+  if (!data || typeof data !== "object") return "";
+
+  if (typeof data.output_text === "string") return data.output_text;
+
+  const output = Array.isArray(data.output) ? data.output : [];
+  const chunks = [];
+  for (const item of output) {
+    const contents = Array.isArray(item?.content) ? item.content : [];
+    for (const c of contents) {
+      if (!c || typeof c !== "object") continue;
+      if (c.type === "output_text" && typeof c.text === "string") chunks.push(c.text);
+      if (c.type === "text" && typeof c.text === "string") chunks.push(c.text);
+    }
+  }
+  if (chunks.length) return chunks.join("");
+
+  return extractChatCompletionsText(data);
+}
+
+function extractChatCompletionsText(data) {
+  return (
+    data?.choices?.[0]?.message?.content ??
+    data?.choices?.[0]?.text ??
+    ""
+  );
+}
+
+function extractGenericDelta(payload) {
+  const maybeText =
+    payload?.delta?.content ??
+    payload?.choices?.[0]?.delta?.content ??
+    payload?.choices?.[0]?.delta?.text ??
+    "";
+  return typeof maybeText === "string" ? maybeText : "";
+}
+
+const responsesAdapter = {
+  framing: "sse",
+  buildRequest(profile, { messages, systemPrompt, temperature, maxOutputTokens, reasoningEffort }) {
+    const input = withoutEmpty(messages).map((m) => ({
+      role: m.role,
+      content: [
+        {
+          type: m.role === "assistant" ? "output_text" : "input_text",
+          text: textOf(m)
+        },
+        ...imagesOf(m).map((img) => ({ type: "input_image", image_url: img.dataUrl }))
+      ]
+    }));
+    return {
+      url: profile.apiUrl,
+      headers: { Accept: "text/event-stream", ...buildAuthHeaders(profile.token) },
+      body: {
+        model: profile.model,
+        input,
+        ...(systemPrompt ? { instructions: systemPrompt } : {}),
+        // Reasoning models reject a temperature.
+        ...(reasoningEffort ? { reasoning: { effort: reasoningEffort } } : { temperature }),
+        max_output_tokens: maxOutputTokens,
+        stream: true
+      }
+    };
+  },
+  parseStreamEvent(payload) {
+    if (payload?.type === "response.completed" && payload?.response) {
+      return { final: payload.response, usage: openAiUsage(payload.response.usage) };
+    }
+    if (payload?.type === "response.output_text.done" && typeof payload.text === "string") {
+      return { doneText: payload.text };
+    }
+    if (payload?.type === "response.error" || payload?.type === "error") {
+      return { error: errorMessageOf(payload) || "Response error." };
+    }
+    const event = { delta: "" };
+    if (payload?.type === "response.output_text.delta" && typeof payload.delta === "string") {
+      event.delta = payload.delta;
+    } else {
+      event.delta = extractGenericDelta(payload);
+    }
+    if (payload?.response && typeof payload.response === "object") event.final = payload.response;
+    return event;
+  },
+  extractText: extractResponsesText,
+  extractUsage: (data) => openAiUsage(data?.usage),
+  modelsRequest(profile) {
+    return { url: siblingUrl(profile.apiUrl, /\/responses$/, "/models"), headers: buildAuthHeaders(profile.token) };
+  },
+  parseModels: parseOpenAiModels
+};
+
+// OpenAI's reasoning models (o-series, gpt-5.x) reject max_tokens and want
+// max_completion_tokens, which also bounds the hidden reasoning tokens. Other
+// compatible servers often only know max_tokens.
+const OPENAI_REASONING_MODEL_RE = /(?:^|\/)(?:o\d|gpt-5)/i;
+
+function usesMaxCompletionTokens(model, reasoningEffort) {
+  return Boolean(reasoningEffort) || OPENAI_REASONING_MODEL_RE.test(String(model || ""));
+}
+
+const chatCompletionsAdapter = {
+  framing: "sse",
+  buildRequest(profile, { messages, systemPrompt, temperature, maxOutputTokens, reasoningEffort }) {
+    const limitField = usesMaxCompletionTokens(profile.model, reasoningEffort)
+      ? "max_completion_tokens"
+      : "max_tokens";
+    return {
+      url: profile.apiUrl,
+      headers: { Accept: "text/event-stream", ...buildAuthHeaders(profile.token) },
+      body: {
+        model: profile.model,
+        messages: [
+          ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+          ...withoutEmpty(messages).map((m) => ({ role: chatRole(m), content: chatCompletionsContent(m) }))
+        ],
+        ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : { temperature }),
+        [limitField]: maxOutputTokens,
+        stream: true,
+        // Asks for a final chunk with token usage.
+        stream_options: { include_usage: true }
+      }
+    };
+  },
+  parseStreamEvent(payload) {
+    const error = errorMessageOf(payload);
+    if (error) return { error };
+    return { delta: extractGenericDelta(payload), usage: openAiUsage(payload?.usage) };
+  },
+  extractText: extractChatCompletionsText,
+  extractUsage: (data) => openAiUsage(data?.usage),
+  modelsRequest(profile) {
+    return {
+      url: siblingUrl(profile.apiUrl, /\/chat\/completions$/, "/models"),
+      headers: buildAuthHeaders(profile.token)
+    };
+  },
+  parseModels: parseOpenAiModels
+};
+
+function anthropicHeaders(profile) {
+  return {
+    "x-api-key": String(profile.token || "").trim().replace(/^Bearer\s+/i, ""),
+    "anthropic-version": ANTHROPIC_VERSION,
+    // Required for requests that carry a browser Origin header.
+    "anthropic-dangerous-direct-browser-access": "true"
+  };
+}
+
+const anthropicAdapter = {
+  framing: "sse",
+  buildRequest(profile, { messages, systemPrompt, temperature, maxOutputTokens, reasoningEffort }) {
+    // Thinking tokens count against max_tokens and require the default temperature.
+    const budget = ANTHROPIC_THINKING_BUDGETS[reasoningEffort] || 0;
+    return {
+      url: profile.apiUrl,
+      headers: { Accept: "text/event-stream", ...anthropicHeaders(profile) },
+      body: {
+        model: profile.model,
+        ...(systemPrompt ? { system: systemPrompt } : {}),
+        messages: mergeConsecutiveRoles(
+          withoutEmpty(messages).map((m) => {
+            const images = imagesOf(m);
+            const content = images.length
+              ? [
+                  ...images.map((img) => ({
+                    type: "image",
+                    source: { type: "base64", media_type: img.mediaType, data: img.data }
+                  })),
+                  { type: "text", text: textOf(m) }
+                ]
+              : textOf(m);
+            return { role: chatRole(m), content };
+          })
+        ),
+        ...(budget ? { thinking: { type: "enabled", budget_tokens: budget } } : { temperature }),
+        max_tokens: maxOutputTokens + budget,
+        stream: true
+      }
+    };
+  },
+  parseStreamEvent(payload) {
+    if (payload?.type === "error") return { error: errorMessageOf(payload) || "Response error." };
+    if (payload?.type === "content_block_delta" && payload?.delta?.type === "text_delta") {
+      return { delta: typeof payload.delta.text === "string" ? payload.delta.text : "" };
+    }
+    // message_start carries the input counts, message_delta the final output count.
+    if (payload?.type === "message_start") return { usage: anthropicUsage(payload.message?.usage) };
+    if (payload?.type === "message_delta") return { usage: anthropicUsage(payload.usage) };
+    return {};
+  },
+  extractText(data) {
+    const content = Array.isArray(data?.content) ? data.content : [];
+    return content
+      .filter((c) => c?.type === "text" && typeof c.text === "string")
+      .map((c) => c.text)
+      .join("");
+  },
+  extractUsage: (data) => anthropicUsage(data?.usage),
+  modelsRequest(profile) {
+    return { url: siblingUrl(profile.apiUrl, /\/messages$/, "/models"), headers: anthropicHeaders(profile) };
+  },
+  parseModels: parseOpenAiModels
+};
+
+const ollamaAdapter = {
+  framing: "ndjson",
+  buildRequest(profile, { messages, systemPrompt, temperature, maxOutputTokens, reasoningEffort }) {
+    return {
+      url: profile.apiUrl,
+      headers: { Accept: "application/x-ndjson", ...buildAuthHeaders(profile.token) },
+      body: {
+        model: profile.model,
+        messages: [
+          ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+          ...withoutEmpty(messages).map((m) => {
+            const images = imagesOf(m);
+            return {
+              role: chatRole(m),
+              content: textOf(m),
+              ...(images.length ? { images: images.map((img) => img.data) } : {})
+            };
+          })
+        ],
+        stream: true,
+        ...(reasoningEffort ? { think: true } : {}),
+        options: { temperature, num_predict: maxOutputTokens }
+      }
+    };
+  },
+  parseStreamEvent(payload) {
+    const error = errorMessageOf(payload);
+    if (error) return { error };
+    const delta = payload?.message?.content;
+    return { delta: typeof delta === "string" ? delta : "", usage: payload?.done ? ollamaUsage(payload) : null };
+  },
+  extractText(data) {
+    return typeof data?.message?.content === "string" ? data.message.content : "";
+  },
+  extractUsage: ollamaUsage,
+  modelsRequest(profile) {
+    return { url: siblingUrl(profile.apiUrl, /\/api\/chat$/, "/api/tags"), headers: buildAuthHeaders(profile.token) };
+  },
+  parseModels(data) {
+    const list = Array.isArray(data?.models) ? data.models : [];
+    return list.map((m) => m?.name || m?.model).filter((id) => typeof id === "string" && id);
+  }
+};
+
+const ADAPTERS = {
+  responses: responsesAdapter,
+  chat_completions: chatCompletionsAdapter,
+  anthropic: anthropicAdapter,
+  ollama: ollamaAdapter
+};
+
+export function getProviderAdapter(protocol) {
+  return ADAPTERS[protocol] || responsesAdapter;
+}
@@ -0,0 +1,239 @@
+// Local archive of every chat turn plus an inverted index over it. Turns stay
+// searchable after they fall out of a conversation's message window. Each
+// conversation's turns and postings live under their own key, so saving a turn
+// only rewrites that conversation's shard.
+const LEGACY_INDEX_KEY = "aihelper_search_index_v1";
+const MANIFEST_KEY = "aihelper_search_index_v2";
+const SHARD_KEY_PREFIX = "aihelper_search_index_v2:";
+const SNIPPET_RADIUS = 80;
+const MAX_RESULTS = 50;
+
+let indexQueue = Promise.resolve();
+
+function getArea() {
+  return chrome.storage.local;
+}
+
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+// Latin-like words are indexed whole; CJK runs have no word boundaries, so
+// they are indexed as single characters and overlapping bigrams.
+export function tokenizeForSearch(text) {
+  const tokens = [];
+  const lower = String(text || "").toLowerCase();
+  const runs = lower.match(/[\p{L}\p{N}_]+/gu) || [];
+  for (const run of runs) {
+    if (!CJK_RE.test(run)) {
+      if (run.length >= 2 || /\d/.test(run)) tokens.push(run);
+      continue;
+    }
+    const chars = Array.from(run);
+    let latin = "";
+    for (let i = 0; i < chars.length; i++) {
+      const ch = chars[i];
+      if (!CJK_RE.test(ch)) {
+        latin += ch;
+        continue;
+      }
+      if (latin.length >= 2) tokens.push(latin);
+      latin = "";
+      tokens.push(ch);
+      const next = chars[i + 1];
+      if (next && CJK_RE.test(next)) tokens.push(ch + next);
+    }
+    if (latin.length >= 2) tokens.push(latin);
+  }
+  return tokens;
+}
+
+// The searchable part of a turn: what the user typed (not the page context
+// that was sent along with it) or the assistant's full answer.
+function searchableText(message) {
+  if (message?.role !== "user") return String(message?.content || "");
+  if (message.display) return String(message.display);
+  const content = String(message.content || "");
+  const marker = content.lastIndexOf("User question:");
+  return marker >= 0 ? content.slice(marker + "User question:".length).trim() : content;
+}
+
+function shardKey(conversationId) {
+  return `${SHARD_KEY_PREFIX}${conversationId}`;
+}
+
+// Keys are message ids and words; without a prototype, words such as
+// "constructor" cannot resolve to inherited members.
+function toShard(data) {
+  return {
+    docs: Object.assign(Object.create(null), data?.docs && typeof data.docs === "object" ? data.docs : {}),
+    postings: Object.assign(
+      Object.create(null),
+      data?.postings && typeof data.postings === "object" ? data.postings : {}
+    )
+  };
+}
+
+function indexDoc(shard, doc) {
+  shard.docs[doc.id] = doc;
+  for (const term of new Set(tokenizeForSearch(doc.text))) addPosting(shard, term, doc.id);
+}
+
+// Splits the single index written by earlier versions into per-conversation
+// shards.
+async function migrateLegacyIndex() {
+  const legacy = toShard((await getArea().get(LEGACY_INDEX_KEY))?.[LEGACY_INDEX_KEY]);
+  const shards = new Map();
+  for (const doc of Object.values(legacy.docs)) {
+    if (!doc?.conversationId || typeof doc.text !== "string") continue;
+    if (!shards.has(doc.conversationId)) shards.set(doc.conversationId, toShard());
+    indexDoc(shards.get(doc.conversationId), doc);
+  }
+  const items = { [MANIFEST_KEY]: { conversations: Array.from(shards.keys()) } };
+  for (const [id, shard] of shards) items[shardKey(id)] = shard;
+  await getArea().set(items);
+  await getArea().remove(LEGACY_INDEX_KEY);
+  return Array.from(shards.keys());
+}
+
+// Ids of the conversations that have a shard.
+async function readManifest() {
+  const manifest = (await getArea().get(MANIFEST_KEY))?.[MANIFEST_KEY];
+  if (Array.isArray(manifest?.conversations)) return manifest.conversations;
+  return migrateLegacyIndex();
+}
+
+async function writeManifest(conversations) {
+  await getArea().set({ [MANIFEST_KEY]: { conversations } });
+}
+
+async function readShard(conversationId) {
+  const key = shardKey(conversationId);
+  return toShard((await getArea().get(key))?.[key]);
+}
+
+// Reads and writes share one queue so a migration or a read never sees a
+// half-written shard.
+function enqueue(fn) {
+  const run = indexQueue.then(fn);
+  indexQueue = run.catch(() => {});
+  return run;
+}
+
+function mutateShard(conversationId, fn) {
+  return enqueue(async () => {
+    const conversations = await readManifest();
+    const shard = await readShard(conversationId);
+    const result = await fn(shard);
+    const listed = conversations.includes(conversationId);
+    if (Object.keys(shard.docs).length) {
+      await getArea().set({ [shardKey(conversationId)]: shard });
+      if (!listed) await writeManifest([...conversations, conversationId]);
+    } else {
+      await getArea().remove(shardKey(conversationId));
+      if (listed) await writeManifest(conversations.filter((id) => id !== conversationId));
+    }
+    return result;
+  });
+}
+
+function addPosting(shard, term, docId) {
+  const list = Object.hasOwn(shard.postings, term) ? shard.postings[term] : null;
+  if (!list) shard.postings[term] = [docId];
+  else if (!list.includes(docId)) list.push(docId);
+}
+
+// Archives turns not seen before. Message ids are stable, so saving the same
+// conversation again only indexes the new turns.
+export async function archiveConversationMessages(conversation) {
+  const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+  if (!conversation?.id || !messages.length) return { added: 0 };
+  return mutateShard(conversation.id, (shard) => {
+    let added = 0;
+    for (const m of messages) {
+      if (!m?.id || Object.hasOwn(shard.docs, m.id)) continue;
+      const text = searchableText(m).trim();
+      if (!text) continue;
+      indexDoc(shard, {
+        id: m.id,
+        conversationId: conversation.id,
+        role: m.role,
+        text,
+        pageTitle: conversation.pageTitle || "",
+        pageUrl: conversation.pageUrl || "",
+        ts: typeof m.ts === "number" ? m.ts : Date.now()
+      });
+      added += 1;
+    }
+    return { added };
+  });
+}
+
+export async function removeArchivedConversation(conversationId) {
+  return mutateShard(conversationId, (shard) => {
+    const removed = Object.keys(shard.docs).length;
+    shard.docs = Object.create(null);
+    shard.postings = Object.create(null);
+    return { removed };
+  });
+}
+
+function buildSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  let at = -1;
+  for (const term of terms) {
+    const i = lower.indexOf(term);
+    if (i >= 0 && (at < 0 || i < at)) at = i;
+  }
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, Math.max(at, 0) + SNIPPET_RADIUS * 2);
+  const body = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${body}${end < text.length ? "…" : ""}`;
+}
+
+// AND-matches every query term; the last term also matches as a prefix so
+// results show up while the user is still typing.
+export async function searchArchive(query, { limit = MAX_RESULTS } = {}) {
+  const terms = Array.from(new Set(tokenizeForSearch(query)));
+  if (!terms.length) return { terms: [], results: [] };
+  const shards = await enqueue(async () => {
+    const conversations = await readManifest();
+    return Promise.all(conversations.map(readShard));
+  });
+
+  const docs = [];
+  for (const shard of shards) {
+    const allTerms = Object.keys(shard.postings);
+    let candidates = null;
+    terms.forEach((term, i) => {
+      const isLast = i === terms.length - 1;
+      const matching = isLast ? allTerms.filter((t) => t.startsWith(term)) : [term];
+      const ids = new Set();
+      for (const t of matching) {
+        for (const id of Object.hasOwn(shard.postings, t) ? shard.postings[t] : []) ids.add(id);
+      }
+      candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : ids;
+    });
+    for (const id of candidates || []) {
+      if (Object.hasOwn(shard.docs, id)) docs.push(shard.docs[id]);
+    }
+  }
+
+  const results = docs
+    .map((doc) => {
+      const lower = doc.text.toLowerCase();
+      const hits = terms.reduce((n, t) => n + lower.split(t).length - 1, 0);
+      return { doc, hits };
+    })
+    .sort((a, b) => b.hits - a.hits || b.doc.ts - a.doc.ts)
+    .slice(0, Math.max(1, limit))
+    .map(({ doc }) => ({
+      id: doc.id,
+      conversationId: doc.conversationId,
+      role: doc.role,
+      pageTitle: doc.pageTitle,
+      pageUrl: doc.pageUrl,
+      ts: doc.ts,
+      text: doc.text,
+      snippet: buildSnippet(doc.text, terms)
+    }));
+  return { terms, results };
+}
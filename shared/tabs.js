@@ -0,0 +1,112 @@
+// Multi-tab context: lists the open web pages a question can draw on and
+// extracts their main content with pageExtractor.js, splitting one character
+// budget across them.
+const MAX_CONTEXT_TABS = 8;
+
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(String(url || ""));
+}
+
+// Open http(s) tabs other than the asking one, current window first. Tabs
+// without host access come back without a URL and are left out.
+export async function listContextTabs(excludeTabId) {
+  const [tabs, current] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.windows.getLastFocused().catch(() => null)
+  ]);
+  return tabs
+    .filter((tab) => tab.id !== excludeTabId && isWebUrl(tab.url))
+    .sort((a, b) => (b.windowId === current?.id) - (a.windowId === current?.id) || a.index - b.index)
+    .map((tab) => ({
+      id: tab.id,
+      title: tab.title || tab.url,
+      url: tab.url,
+      discarded: Boolean(tab.discarded)
+    }));
+}
+
+async function extractTab(tabId, maxChars) {
+  await chrome.scripting.executeScript({ target: { tabId }, files: ["pageExtractor.js"] });
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (limit) => window.__aihelperExtractPage(limit),
+    args: [maxChars]
+  });
+  if (!injection?.result) throw new Error("No content.");
+  return injection.result;
+}
+
+// Small pages keep everything; the rest share what is left evenly.
+export function balanceBudget(sizes, budget) {
+  const allocations = sizes.map(() => 0);
+  let remaining = budget;
+  let open = sizes.map((_, i) => i);
+  while (open.length && remaining > 0) {
+    const share = Math.floor(remaining / open.length);
+    const fits = open.filter((i) => sizes[i] <= share);
+    if (!fits.length) {
+      open.forEach((i) => (allocations[i] = share));
+      break;
+    }
+    for (const i of fits) {
+      allocations[i] = sizes[i];
+      remaining -= sizes[i];
+    }
+    open = open.filter((i) => sizes[i] > share);
+  }
+  return allocations;
+}
+
+// Cuts between Markdown blocks so a table or code fence is never halved.
+function clipAtBlock(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.lastIndexOf("\n\n", maxChars);
+  return (cut > maxChars / 2 ? text.slice(0, cut) : text.slice(0, maxChars)).trimEnd();
+}
+
+// One entry per requested tab, in order; tabs that cannot be read (closed,
+// navigated off the web, no host access) carry an error instead.
+export async function collectTabContexts(tabIds, maxChars) {
+  const ids = (Array.isArray(tabIds) ? tabIds : [])
+    .map(Number)
+    .filter((id) => Number.isInteger(id) && id >= 0)
+    .slice(0, MAX_CONTEXT_TABS);
+  const budget = Math.max(1000, Number(maxChars) || 12000);
+
+  const pages = await Promise.all(
+    ids.map(async (tabId) => {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (!isWebUrl(tab.url)) throw new Error("Not a web page.");
+        const page = await extractTab(tabId, budget);
+        const info = page.extraction || {};
+        const kept = typeof info.contentChars === "number" ? page.content.slice(0, info.contentChars) : page.content;
+        return {
+          tabId,
+          title: page.title || tab.title || "",
+          url: page.url || tab.url,
+          kept,
+          fullChars: kept.length + (info.truncatedChars || 0)
+        };
+      } catch (err) {
+        return { tabId, error: String(err?.message || err) };
+      }
+    })
+  );
+
+  const readable = pages.filter((p) => !p.error);
+  const allocations = balanceBudget(readable.map((p) => p.fullChars), budget);
+  return pages.map((page) => {
+    if (page.error) return { tabId: page.tabId, error: page.error };
+    const content = clipAtBlock(page.kept, allocations[readable.indexOf(page)]);
+    const truncatedChars = Math.max(0, page.fullChars - content.length);
+    return {
+      tabId: page.tabId,
+      title: page.title,
+      url: page.url,
+      content: truncatedChars ? `${content}\n…(truncated ${truncatedChars} chars)` : content,
+      chars: content.length,
+      truncatedChars
+    };
+  });
+}
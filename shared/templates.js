@@ -0,0 +1,147 @@
+// Named prompt templates, invoked as `/name` from the panel composer or from
+// the selection menu. Each template is its own sync item so the library is not
+// squeezed into the config item's 8 KB quota.
+import { SYNC_QUOTA, checkSyncItemSize, formatKb, syncItemBytes } from "./config.js";
+
+const INDEX_KEY = "aihelper_templates_v1";
+const ITEM_KEY_PREFIX = "aihelper_template_v1:";
+const MAX_NAME_CHARS = 32;
+const MAX_DESCRIPTION_CHARS = 120;
+// A body this long still fits one sync item when every character takes three
+// bytes (CJK), with room for the name and description.
+export const MAX_TEMPLATE_CHARS = 2500;
+export const MAX_TEMPLATES = 40;
+// Share of the 100 KB sync area left to the library once settings, quick
+// actions and prices have theirs.
+const LIBRARY_QUOTA_BYTES = SYNC_QUOTA.totalBytes - 36 * 1024;
+
+export const TEMPLATE_VARIABLES = Object.freeze([
+  "selection",
+  "page.title",
+  "page.url",
+  "page.content",
+  "clipboard",
+  "input"
+]);
+
+export const DEFAULT_TEMPLATES = Object.freeze([
+  Object.freeze({
+    id: "default-summarize",
+    name: "summarize",
+    description: "Summarize the current page",
+    body: [
+      "Summarize this page in 5 concise bullet points, then give a one-sentence takeaway.",
+      "{{input}}",
+      "",
+      "Title: {{page.title}}",
+      "URL: {{page.url}}",
+      "",
+      "{{page.content}}"
+    ].join("\n"),
+    inSelectionMenu: false
+  }),
+  Object.freeze({
+    id: "default-reply",
+    name: "reply",
+    description: "Draft a reply to the selected text",
+    body: [
+      "Draft a short, polite reply to the message below. {{input}}",
+      "",
+      "Message:",
+      "{{selection}}"
+    ].join("\n"),
+    inSelectionMenu: true
+  })
+]);
+
+function makeTemplateId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+}
+
+// Command names are typed after "/", so they are kept to one lowercase word.
+export function normalizeTemplateName(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\/+/, "")
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_NAME_CHARS);
+}
+
+export function normalizeTemplate(raw) {
+  const t = raw && typeof raw === "object" ? raw : {};
+  return {
+    id: typeof t.id === "string" && t.id.trim() ? t.id.trim() : makeTemplateId(),
+    name: normalizeTemplateName(t.name),
+    description:
+      typeof t.description === "string" ? t.description.trim().slice(0, MAX_DESCRIPTION_CHARS) : "",
+    // Not cut to MAX_TEMPLATE_CHARS: saveTemplates rejects a long body instead
+    // of silently dropping its end.
+    body: typeof t.body === "string" ? t.body : "",
+    inSelectionMenu: Boolean(t.inSelectionMenu)
+  };
+}
+
+// Variables a template body refers to, in order of first use.
+export function templateVariables(body) {
+  const found = [];
+  for (const m of String(body || "").matchAll(/\{\{\s*([a-z.]+)\s*\}\}/g)) {
+    if (TEMPLATE_VARIABLES.includes(m[1]) && !found.includes(m[1])) found.push(m[1]);
+  }
+  return found;
+}
+
+export async function loadTemplates() {
+  const index = (await chrome.storage.sync.get(INDEX_KEY))?.[INDEX_KEY];
+  // Until the library is first saved, the built-in templates stand in for it.
+  if (!index || !Array.isArray(index.order)) return DEFAULT_TEMPLATES.map((t) => ({ ...t }));
+  const keys = index.order.map((id) => ITEM_KEY_PREFIX + id);
+  const items = keys.length ? await chrome.storage.sync.get(keys) : {};
+  return keys
+    .map((key) => items?.[key])
+    .filter((t) => t && typeof t === "object")
+    .map(normalizeTemplate)
+    .filter((t) => t.name && t.body.trim());
+}
+
+export async function saveTemplates(list) {
+  const templates = (Array.isArray(list) ? list : []).map(normalizeTemplate);
+  if (templates.length > MAX_TEMPLATES) throw new Error(`At most ${MAX_TEMPLATES} templates can be saved.`);
+  const names = new Set();
+  for (const t of templates) {
+    if (!t.name) throw new Error("Every template needs a command name.");
+    if (!t.body.trim()) throw new Error(`/${t.name}: the prompt is empty.`);
+    if (names.has(t.name)) throw new Error(`/${t.name} is used by more than one template.`);
+    if (t.body.length > MAX_TEMPLATE_CHARS) {
+      throw new Error(`/${t.name}: the prompt is ${t.body.length} characters; the limit is ${MAX_TEMPLATE_CHARS}.`);
+    }
+    checkSyncItemSize(ITEM_KEY_PREFIX + t.id, t, `/${t.name} is too large to sync`);
+    names.add(t.name);
+  }
+  const index = { order: templates.map((t) => t.id) };
+  const bytes = templates.reduce(
+    (sum, t) => sum + syncItemBytes(ITEM_KEY_PREFIX + t.id, t),
+    syncItemBytes(INDEX_KEY, index)
+  );
+  if (bytes > LIBRARY_QUOTA_BYTES) {
+    throw new Error(
+      `Templates take ${formatKb(bytes)} but sync leaves them ${formatKb(LIBRARY_QUOTA_BYTES)}; shorten or remove some.`
+    );
+  }
+
+  const all = await chrome.storage.sync.get(null);
+  const stale = Object.keys(all || {}).filter(
+    (key) => key.startsWith(ITEM_KEY_PREFIX) && !templates.some((t) => ITEM_KEY_PREFIX + t.id === key)
+  );
+  await chrome.storage.sync.set({
+    [INDEX_KEY]: index,
+    ...Object.fromEntries(templates.map((t) => [ITEM_KEY_PREFIX + t.id, t]))
+  });
+  if (stale.length) await chrome.storage.sync.remove(stale);
+  return templates;
+}
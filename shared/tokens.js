@@ -0,0 +1,76 @@
+// Token estimates without shipping a tokenizer. The counts follow how BPE
+// vocabularies split text closely enough for budgeting: about one token per
+// CJK character, per short word, per four letters of a long word and per
+// symbol. contentScript.js keeps a verbatim copy of estimateTokens and
+// estimateMessageTokens, since it cannot import modules; test/tokens.test.mjs
+// fails when the two drift apart.
+const TOKEN_PIECE_RE =
+  /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+|\d+|[A-Za-z\u00c0-\u024f]+|[\p{L}\p{M}]+|\s+|[^\s\p{L}\p{M}\d]/gu;
+const CJK_START_RE = /^[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+const LATIN_START_RE = /^[A-Za-z\u00c0-\u024f]/;
+
+// Per-message framing (role markers, separators) most chat formats add.
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Attached images are downsized to at most 1568px, which vision models bill
+// at roughly 1,000–1,600 tokens.
+export const IMAGE_TOKENS = 1200;
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Context windows by model id, most specific first.
+const CONTEXT_WINDOWS = [
+  [/gpt-4\.1|gpt-5/i, 400000],
+  [/gpt-4o|gpt-4-turbo|o1|o3|o4/i, 128000],
+  [/gpt-4-32k/i, 32768],
+  [/gpt-4/i, 8192],
+  [/gpt-3\.5/i, 16385],
+  [/claude/i, 200000],
+  [/gemini/i, 1000000],
+  [/deepseek/i, 64000],
+  [/qwen|glm|kimi|moonshot/i, 128000],
+  [/llama-?3\.[1-9]|llama-?4|mistral-large|mixtral/i, 128000],
+  [/llama|mistral|gemma|phi/i, 8192]
+];
+
+export function estimateTokens(text) {
+  const s = String(text || "");
+  let tokens = 0;
+  for (const [piece] of s.matchAll(TOKEN_PIECE_RE)) {
+    if (CJK_START_RE.test(piece)) tokens += piece.length;
+    else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / 3);
+    else if (LATIN_START_RE.test(piece)) tokens += Math.max(1, Math.ceil((piece.length - 2) / 4));
+    else if (/^\s/.test(piece)) tokens += piece.length > 2 ? Math.ceil(piece.length / 4) : 0;
+    else if (piece.length > 1) tokens += Math.ceil(piece.length / 2.5);
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+export function estimateMessageTokens(message) {
+  const images = Array.isArray(message?.images) ? message.images.length : 0;
+  return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message?.content) + images * IMAGE_TOKENS;
+}
+
+export function estimateMessagesTokens(messages) {
+  return (Array.isArray(messages) ? messages : []).reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+}
+
+// Drops the oldest messages until the rest fit `budget`. The first message
+// (usually what the conversation is about) and the newest one always stay.
+export function trimToTokenBudget(messages, budget) {
+  const arr = Array.isArray(messages) ? messages : [];
+  if (arr.length <= 2) return arr;
+  const costs = arr.map(estimateMessageTokens);
+  let total = costs.reduce((sum, c) => sum + c, 0);
+  let drop = 0;
+  while (total > budget && 1 + drop < arr.length - 1) {
+    total -= costs[1 + drop];
+    drop += 1;
+  }
+  return drop ? [arr[0], ...arr.slice(1 + drop)] : arr;
+}
+
+export function contextWindowFor(model) {
+  const id = String(model || "");
+  const match = CONTEXT_WINDOWS.find(([re]) => re.test(id));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
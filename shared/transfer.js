@@ -0,0 +1,173 @@
+// Conversation export (Markdown, lossless JSON, standalone HTML) and JSON import.
+export const EXPORT_FORMAT_ID = "codex-helper-conversations";
+export const EXPORT_VERSION = 1;
+export const EXPORT_FORMATS = Object.freeze(["markdown", "json", "html"]);
+
+const FENCE_RE = /```([^\n`]*)\n([\s\S]*?)```/g;
+
+function formatTimestamp(ts) {
+  const d = new Date(typeof ts === "number" ? ts : Date.now());
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString().replace("T", " ").slice(0, 16);
+}
+
+function slugify(text) {
+  const slug = String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return slug || "conversation";
+}
+
+// What the user typed; the page context sent along with it is not repeated.
+function visibleText(message) {
+  if (message.role !== "user") return String(message.content || "");
+  if (message.display) return String(message.display);
+  const content = String(message.content || "");
+  const marker = content.lastIndexOf("User question:");
+  return marker >= 0 ? content.slice(marker + "User question:".length).trim() : content;
+}
+
+function sentWithContext(message) {
+  return message.role === "user" && String(message.content || "").startsWith("Page context:");
+}
+
+function toMarkdown(conversations) {
+  const out = [];
+  for (const c of conversations) {
+    out.push(`# ${c.title || "Conversation"}`, "");
+    if (c.pageUrl) out.push(`> Started on: [${c.pageTitle || c.pageUrl}](${c.pageUrl})`);
+    out.push(`> Created: ${formatTimestamp(c.createdAt)} · Updated: ${formatTimestamp(c.updatedAt)}`, "");
+    for (const m of c.messages) {
+      const who = m.role === "user" ? "You" : "Assistant";
+      const note = sentWithContext(m) ? " (with page context)" : "";
+      out.push(`## ${who} — ${formatTimestamp(m.ts)}${note}`, "");
+      // Assistant replies are already Markdown, so fenced code survives verbatim.
+      out.push(visibleText(m).trim(), "");
+    }
+    out.push("---", "");
+  }
+  return out.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function safeHref(url) {
+  try {
+    const u = new URL(String(url || ""));
+    return u.protocol === "http:" || u.protocol === "https:" ? u.toString() : "";
+  } catch {
+    return "";
+  }
+}
+
+function messageToHtml(text) {
+  const src = String(text || "");
+  const html = [];
+  let lastIndex = 0;
+  FENCE_RE.lastIndex = 0;
+  for (;;) {
+    const m = FENCE_RE.exec(src);
+    if (!m) break;
+    if (m.index > lastIndex) html.push(`<div class="text">${escapeHtml(src.slice(lastIndex, m.index))}</div>`);
+    const lang = String(m[1] || "").trim();
+    html.push(
+      `<pre${lang ? ` data-lang="${escapeHtml(lang)}"` : ""}><code>${escapeHtml(m[2])}</code></pre>`
+    );
+    lastIndex = FENCE_RE.lastIndex;
+  }
+  if (lastIndex < src.length) html.push(`<div class="text">${escapeHtml(src.slice(lastIndex))}</div>`);
+  return html.join("\n");
+}
+
+function toHtml(conversations) {
+  const sections = conversations.map((c) => {
+    const href = safeHref(c.pageUrl);
+    const page = href
+      ? `<p class="meta">Started on <a href="${escapeHtml(href)}">${escapeHtml(c.pageTitle || href)}</a></p>`
+      : "";
+    const messages = c.messages
+      .map((m) => {
+        const who = m.role === "user" ? "You" : "Assistant";
+        const note = sentWithContext(m) ? " · with page context" : "";
+        return [
+          `<article class="msg ${m.role}">`,
+          `<div class="who">${who} · ${escapeHtml(formatTimestamp(m.ts))}${note}</div>`,
+          messageToHtml(visibleText(m)),
+          "</article>"
+        ].join("\n");
+      })
+      .join("\n");
+    return `<section>\n<h1>${escapeHtml(c.title || "Conversation")}</h1>\n${page}\n${messages}\n</section>`;
+  });
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Codex Helper transcript</title>
+<style>
+body { margin: 0 auto; max-width: 860px; padding: 24px 16px; background: #0b0f19; color: #e7edf7;
+  font: 14px/1.5 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif; }
+a { color: #6ee7ff; }
+h1 { font-size: 20px; margin: 24px 0 4px; }
+.meta, .who { color: #93a4bf; font-size: 12px; }
+.msg { border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 12px; padding: 10px 12px; margin: 10px 0; }
+.msg.user { background: rgba(110, 231, 255, 0.08); }
+.text { white-space: pre-wrap; word-break: break-word; }
+pre { background: rgba(16, 24, 38, 0.9); border-radius: 10px; padding: 10px 12px; overflow: auto; }
+code { font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; }
+</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+export function exportConversations(conversations, format) {
+  const list = Array.isArray(conversations) ? conversations : [];
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+  const stamp = formatTimestamp(Date.now()).replace(/[: ]/g, "-");
+  const base = list.length === 1 ? slugify(list[0].title) : `codex-helper-${list.length}-conversations`;
+
+  if (format === "json") {
+    const payload = {
+      format: EXPORT_FORMAT_ID,
+      version: EXPORT_VERSION,
+      exportedAt: Date.now(),
+      conversations: list
+    };
+    return {
+      filename: `${base}-${stamp}.json`,
+      mimeType: "application/json",
+      text: JSON.stringify(payload, null, 2)
+    };
+  }
+  if (format === "html") {
+    return { filename: `${base}-${stamp}.html`, mimeType: "text/html", text: toHtml(list) };
+  }
+  return { filename: `${base}-${stamp}.md`, mimeType: "text/markdown", text: toMarkdown(list) };
+}
+
+export function parseConversationExport(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || ""));
+  } catch {
+    throw new Error("Import file is not valid JSON.");
+  }
+  if (data?.format !== EXPORT_FORMAT_ID || !Array.isArray(data.conversations)) {
+    throw new Error("Not a Codex Helper conversation export.");
+  }
+  if (typeof data.version !== "number" || data.version > EXPORT_VERSION) {
+    throw new Error("This export was made by a newer version of Codex Helper.");
+  }
+  return data.conversations.filter((c) => c && typeof c === "object" && typeof c.id === "string");
+}
@@ -0,0 +1,137 @@
+// Page translation storage: a local cache of translated text blocks, keyed by
+// target language and source text, and the synced list of sites that are
+// translated as soon as they load.
+const LEGACY_CACHE_KEY = "aihelper_translation_cache_v1";
+// The cache is split into 16 shards by the last hex digit of the text hash, so
+// a batch only rewrites the shards its blocks fall in.
+const CACHE_KEY_PREFIX = "aihelper_translation_cache_v2:";
+const CACHE_SHARDS = Array.from({ length: 16 }, (_, i) => CACHE_KEY_PREFIX + i.toString(16));
+const MAX_SHARD_ENTRIES = 320;
+const MAX_CACHED_CHARS = 4000;
+// Eviction drops the least recently used entries. A hit refreshes an entry's
+// age at most this often, so rereading a cached page rarely writes.
+const TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SITES_KEY = "aihelper_translate_sites_v1";
+const MAX_SITES = 200;
+
+let cacheQueue = Promise.resolve();
+let legacyCacheCleared = false;
+
+// FNV-1a; together with the length it is specific enough for a cache key and
+// keeps whole paragraphs out of the key space.
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+function cacheKey(target, text) {
+  return `${target}:${text.length}:${hashText(text)}`;
+}
+
+function shardOf(key) {
+  return CACHE_KEY_PREFIX + key.slice(-1);
+}
+
+// Entries of the shards holding `keys`, by shard key.
+async function readShards(keys) {
+  const shardKeys = Array.from(new Set(keys.map(shardOf)));
+  const result = shardKeys.length ? await chrome.storage.local.get(shardKeys) : {};
+  const shards = {};
+  for (const shardKey of shardKeys) {
+    const entries = result?.[shardKey]?.entries;
+    shards[shardKey] = entries && typeof entries === "object" ? entries : {};
+  }
+  return shards;
+}
+
+async function writeShards(shards, shardKeys) {
+  if (!shardKeys.length) return;
+  await chrome.storage.local.set(
+    Object.fromEntries(shardKeys.map((shardKey) => [shardKey, { entries: shards[shardKey] }]))
+  );
+}
+
+function enqueue(fn) {
+  const run = cacheQueue.then(fn);
+  cacheQueue = run.catch(() => {});
+  return run;
+}
+
+// One translation (or null) per source text, in order.
+export function getCachedTranslations(target, texts) {
+  const keys = (Array.isArray(texts) ? texts : []).map((text) => cacheKey(String(target), String(text || "")));
+  return enqueue(async () => {
+    const shards = await readShards(keys);
+    const now = Date.now();
+    const touched = new Set();
+    const translations = keys.map((key) => {
+      const entry = shards[shardOf(key)][key];
+      if (typeof entry?.text !== "string") return null;
+      if (!(now - entry.at < TOUCH_INTERVAL_MS)) {
+        entry.at = now;
+        touched.add(shardOf(key));
+      }
+      return entry.text;
+    });
+    await writeShards(shards, Array.from(touched));
+    return translations;
+  });
+}
+
+export function putCachedTranslations(target, pairs) {
+  return enqueue(async () => {
+    // The single cache key of earlier versions is dropped rather than migrated.
+    if (!legacyCacheCleared) {
+      await chrome.storage.local.remove(LEGACY_CACHE_KEY);
+      legacyCacheCleared = true;
+    }
+    const fresh = [];
+    for (const [source, translation] of Array.isArray(pairs) ? pairs : []) {
+      if (typeof source !== "string" || typeof translation !== "string") continue;
+      if (!translation.trim() || translation.length > MAX_CACHED_CHARS) continue;
+      fresh.push([cacheKey(String(target), source), translation]);
+    }
+    const shards = await readShards(fresh.map(([key]) => key));
+    const now = Date.now();
+    for (const [key, translation] of fresh) shards[shardOf(key)][key] = { text: translation, at: now };
+    for (const entries of Object.values(shards)) {
+      const keys = Object.keys(entries);
+      if (keys.length <= MAX_SHARD_ENTRIES) continue;
+      keys
+        .sort((a, b) => entries[a].at - entries[b].at)
+        .slice(0, keys.length - MAX_SHARD_ENTRIES)
+        .forEach((key) => delete entries[key]);
+    }
+    await writeShards(shards, Object.keys(shards));
+  });
+}
+
+export async function clearTranslationCache() {
+  await enqueue(() => chrome.storage.local.remove([LEGACY_CACHE_KEY, ...CACHE_SHARDS]));
+}
+
+function normalizeHost(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+export async function loadTranslateSites() {
+  const sites = (await chrome.storage.sync.get(SITES_KEY))?.[SITES_KEY];
+  return Array.isArray(sites) ? sites.map(normalizeHost).filter(Boolean) : [];
+}
+
+export async function setTranslateSite(host, always) {
+  const key = normalizeHost(host);
+  if (!key) throw new Error("Missing site.");
+  const sites = (await loadTranslateSites()).filter((h) => h !== key);
+  if (always) sites.push(key);
+  await chrome.storage.sync.set({ [SITES_KEY]: sites.slice(-MAX_SITES) });
+  return sites.includes(key);
+}
+
+export async function clearTranslateSites() {
+  await chrome.storage.sync.remove(SITES_KEY);
+}
@@ -0,0 +1,214 @@
+// Token usage per request, a price table to turn it into spend, and the spend
+// budget the toolbar badge warns about. Records stay in local storage; prices
+// and the budget are synced like the rest of the settings.
+export const USAGE_RECORDS_KEY = "aihelper_usage_v1";
+export const USAGE_SETTINGS_KEY = "aihelper_usage_settings_v1";
+const MAX_RECORDS = 20000;
+const RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+const MAX_PRICES = 100;
+const MAX_MODEL_CHARS = 120;
+
+export const BUDGET_PERIODS = Object.freeze(["day", "week", "month"]);
+
+// USD per million tokens. Starting points only: edit them to match what your
+// account is actually billed.
+export const DEFAULT_PRICES = Object.freeze([
+  // Covers every gpt-5.x id, including the default model.
+  Object.freeze({ model: "gpt-5", input: 1.25, cachedInput: 0.125, output: 10 }),
+  Object.freeze({ model: "gpt-5-mini", input: 0.25, cachedInput: 0.025, output: 2 }),
+  Object.freeze({ model: "gpt-5-nano", input: 0.05, cachedInput: 0.005, output: 0.4 }),
+  Object.freeze({ model: "gpt-4o-mini", input: 0.15, cachedInput: 0.075, output: 0.6 }),
+  Object.freeze({ model: "gpt-4o", input: 2.5, cachedInput: 1.25, output: 10 }),
+  Object.freeze({ model: "gpt-4.1-mini", input: 0.4, cachedInput: 0.1, output: 1.6 }),
+  Object.freeze({ model: "gpt-4.1", input: 2, cachedInput: 0.5, output: 8 }),
+  Object.freeze({ model: "claude-sonnet", input: 3, cachedInput: 0.3, output: 15 }),
+  Object.freeze({ model: "claude-haiku", input: 0.8, cachedInput: 0.08, output: 4 }),
+  Object.freeze({ model: "deepseek-chat", input: 0.27, cachedInput: 0.07, output: 1.1 })
+]);
+
+export const DEFAULT_USAGE_SETTINGS = Object.freeze({
+  prices: DEFAULT_PRICES,
+  // 0 turns the alert off.
+  budget: Object.freeze({ amount: 0, period: "month", alertPercent: 80 })
+});
+
+let recordQueue = Promise.resolve();
+
+function tokenCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+function priceValue(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : 0;
+}
+
+function normalizePrice(raw) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const model = typeof p.model === "string" ? p.model.trim().slice(0, MAX_MODEL_CHARS) : "";
+  if (!model) return null;
+  const input = priceValue(p.input);
+  return {
+    model,
+    input,
+    // Without a cache discount, cached tokens cost what other input costs.
+    cachedInput: p.cachedInput === "" || p.cachedInput == null ? input : priceValue(p.cachedInput),
+    output: priceValue(p.output)
+  };
+}
+
+export function normalizeUsageSettings(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  const b = s.budget && typeof s.budget === "object" ? s.budget : {};
+  const alertPercent = Number(b.alertPercent);
+  return {
+    prices: Array.isArray(s.prices)
+      ? s.prices.map(normalizePrice).filter(Boolean).slice(0, MAX_PRICES)
+      : DEFAULT_PRICES.map((p) => ({ ...p })),
+    budget: {
+      amount: priceValue(b.amount),
+      period: BUDGET_PERIODS.includes(b.period) ? b.period : DEFAULT_USAGE_SETTINGS.budget.period,
+      alertPercent:
+        Number.isFinite(alertPercent) && alertPercent >= 1 && alertPercent <= 100
+          ? Math.round(alertPercent)
+          : DEFAULT_USAGE_SETTINGS.budget.alertPercent
+    }
+  };
+}
+
+export async function loadUsageSettings() {
+  const result = await chrome.storage.sync.get(USAGE_SETTINGS_KEY);
+  return normalizeUsageSettings(result?.[USAGE_SETTINGS_KEY]);
+}
+
+export async function saveUsageSettings(settings) {
+  const normalized = normalizeUsageSettings(settings);
+  await chrome.storage.sync.set({ [USAGE_SETTINGS_KEY]: normalized });
+  return normalized;
+}
+
+function normalizeRecord(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const inputTokens = tokenCount(r.inputTokens);
+  return {
+    at: Number.isFinite(r.at) ? r.at : Date.now(),
+    model: String(r.model || ""),
+    provider: String(r.provider || ""),
+    protocol: String(r.protocol || ""),
+    origin: String(r.origin || ""),
+    inputTokens,
+    // Cached tokens are part of the input count.
+    cachedTokens: Math.min(inputTokens, tokenCount(r.cachedTokens)),
+    outputTokens: tokenCount(r.outputTokens),
+    // Set when the provider reported no usage and the counts are local estimates.
+    estimated: Boolean(r.estimated)
+  };
+}
+
+export async function loadUsageRecords() {
+  const records = (await chrome.storage.local.get(USAGE_RECORDS_KEY))?.[USAGE_RECORDS_KEY]?.records;
+  return Array.isArray(records) ? records : [];
+}
+
+export function recordUsage(entry) {
+  const run = recordQueue.then(async () => {
+    const cutoff = Date.now() - RETENTION_MS;
+    const records = (await loadUsageRecords()).filter((r) => r.at >= cutoff);
+    records.push(normalizeRecord(entry));
+    await chrome.storage.local.set({ [USAGE_RECORDS_KEY]: { records: records.slice(-MAX_RECORDS) } });
+  });
+  recordQueue = run.catch(() => {});
+  return run;
+}
+
+export async function clearUsageRecords() {
+  await chrome.storage.local.remove(USAGE_RECORDS_KEY);
+}
+
+// Entries match anywhere in the model id ("gpt-4o" also covers
+// "openai/gpt-4o-2024-08-06"); the longest match wins, so "gpt-4o-mini" is not
+// billed as "gpt-4o".
+export function priceFor(model, prices) {
+  const id = String(model || "").toLowerCase();
+  let best = null;
+  for (const p of Array.isArray(prices) ? prices : []) {
+    const key = p.model.toLowerCase();
+    if (id.includes(key) && (!best || key.length > best.model.length)) best = p;
+  }
+  return best;
+}
+
+// USD, or null when the model has no price.
+export function costOf(record, prices) {
+  const price = priceFor(record.model, prices);
+  if (!price) return null;
+  const uncached = record.inputTokens - record.cachedTokens;
+  return (
+    (uncached * price.input + record.cachedTokens * price.cachedInput + record.outputTokens * price.output) /
+    1e6
+  );
+}
+
+// Local midnight of the day, Monday of the week or first of the month `now`
+// falls in.
+export function periodStart(period, now = Date.now()) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  if (period === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === "month") d.setDate(1);
+  return d.getTime();
+}
+
+// Totals per group, largest spend first. `keyOf` maps a record to its group;
+// records of unpriced models count toward tokens but not cost.
+export function summarizeUsage(records, prices, keyOf = () => "") {
+  const groups = new Map();
+  for (const r of Array.isArray(records) ? records : []) {
+    const key = keyOf(r);
+    let g = groups.get(key);
+    if (!g) {
+      g = {
+        key,
+        requests: 0,
+        inputTokens: 0,
+        cachedTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        // Requests without a price or with estimated counts.
+        unpriced: 0,
+        estimated: 0
+      };
+      groups.set(key, g);
+    }
+    const cost = costOf(r, prices);
+    g.requests += 1;
+    g.inputTokens += r.inputTokens;
+    g.cachedTokens += r.cachedTokens;
+    g.outputTokens += r.outputTokens;
+    if (cost === null) g.unpriced += 1;
+    else g.cost += cost;
+    if (r.estimated) g.estimated += 1;
+  }
+  return Array.from(groups.values()).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+}
+
+// Spend in the budget's current period and how it compares to the alert
+// threshold; null when no budget is set.
+export function budgetStatus(records, settings, now = Date.now()) {
+  const { amount, period, alertPercent } = settings.budget;
+  if (!amount) return null;
+  const since = periodStart(period, now);
+  const [total] = summarizeUsage(
+    (Array.isArray(records) ? records : []).filter((r) => r.at >= since),
+    settings.prices
+  );
+  const spent = total?.cost || 0;
+  return {
+    period,
+    amount,
+    spent,
+    alert: spent >= (amount * alertPercent) / 100,
+    over: spent >= amount
+  };
+}
@@ -0,0 +1,100 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+const data = {};
+globalThis.chrome = {
+  storage: {
+    sync: {
+      get: async (keys) => Object.fromEntries([keys].flat().map((key) => [key, data[key]])),
+      set: async (items) => Object.assign(data, JSON.parse(JSON.stringify(items)))
+    }
+  }
+};
+
+const {
+  DEFAULT_SYSTEM_PROMPT,
+  GENERATION_LIMITS,
+  QUICK_ACTION_LIMITS,
+  SYNC_QUOTA,
+  loadConfig,
+  normalizeQuickActions,
+  resolveGenerationSettings,
+  saveConfig,
+  syncItemBytes
+} = await import("../shared/config.js");
+
+beforeEach(() => {
+  for (const key of Object.keys(data)) delete data[key];
+});
+
+test("generation settings are clamped and overrides win", () => {
+  const settings = resolveGenerationSettings(
+    { temperature: "5", maxOutputTokens: 3.6, maxPageChars: "abc", reasoningEffort: "extreme" },
+    { temperature: 0.7, systemPrompt: "   " }
+  );
+  assert.deepEqual(settings, {
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    temperature: 0.7,
+    maxOutputTokens: GENERATION_LIMITS.maxOutputTokens[0],
+    maxPageChars: 12000,
+    reasoningEffort: ""
+  });
+  assert.equal(resolveGenerationSettings({ systemPrompt: "" }).systemPrompt, "");
+});
+
+test("a system prompt within the character limit still has to fit the sync item", async () => {
+  const prompt = "中".repeat(GENERATION_LIMITS.systemPromptChars);
+  assert.ok(syncItemBytes("x", prompt) > SYNC_QUOTA.itemBytes);
+  await assert.rejects(saveConfig({ systemPrompt: prompt }), /too large to sync.*KB of 8\.0 KB/);
+  assert.equal(data.aihelper_config_v1, undefined);
+
+  await saveConfig({ systemPrompt: "中".repeat(1000) });
+  assert.equal((await loadConfig()).systemPrompt.length, 1000);
+});
+
+test("quick actions keep their order, drop invalid entries and restore missing built-ins", () => {
+  const actions = normalizeQuickActions([
+    { id: "mine", label: "  Shorten  ", prompt: " Shorten: {{selection}} ", enabled: false },
+    { builtin: "copy", label: "" },
+    { id: "mine", label: "Duplicate", prompt: "x" },
+    { id: "empty", label: "No prompt", prompt: "  " },
+    { builtin: "bogus", label: "Nope" },
+    null
+  ]);
+  assert.deepEqual(actions.map((a) => a.id), ["mine", "copy", "translate", "explain"]);
+  assert.deepEqual(actions[0], {
+    id: "mine",
+    label: "Shorten",
+    prompt: "Shorten: {{selection}}",
+    targetLanguage: "",
+    includePage: false,
+    enabled: false
+  });
+  assert.equal(actions[1].label, "复制");
+  assert.equal(normalizeQuickActions(undefined).length, 7);
+});
+
+test("only the first custom actions up to the limit are kept", () => {
+  const custom = Array.from({ length: QUICK_ACTION_LIMITS.custom + 3 }, (_, i) => ({
+    id: `a${i}`,
+    label: `A${i}`,
+    prompt: "p".repeat(QUICK_ACTION_LIMITS.promptChars + 10)
+  }));
+  const actions = normalizeQuickActions(custom).filter((a) => !a.builtin);
+  assert.equal(actions.length, QUICK_ACTION_LIMITS.custom);
+  assert.equal(actions[0].prompt.length, QUICK_ACTION_LIMITS.promptChars);
+});
+
+test("quick actions that overflow their sync item are rejected before anything is written", async () => {
+  const quickActions = Array.from({ length: QUICK_ACTION_LIMITS.custom }, (_, i) => ({
+    id: `a${i}`,
+    label: `A${i}`,
+    prompt: "中".repeat(QUICK_ACTION_LIMITS.promptChars)
+  }));
+  await assert.rejects(saveConfig({ quickActions }), /Selection actions are too large to sync/);
+  assert.deepEqual(data, {});
+
+  await saveConfig({ quickActions: quickActions.slice(0, 2) });
+  assert.equal((await loadConfig()).quickActions.filter((a) => !a.builtin).length, 2);
+});
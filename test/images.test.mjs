@@ -0,0 +1,76 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+const data = {};
+const writes = [];
+const area = {
+  get: async (keys) => Object.fromEntries([keys].flat().map((key) => [key, data[key]])),
+  set: async (items) => {
+    writes.push(Object.keys(items));
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+  },
+  remove: async (keys) => [keys].flat().forEach((key) => delete data[key])
+};
+globalThis.chrome = { storage: { local: area, session: area } };
+
+const { deleteConversation, getActiveConversation, getConversationsForExport, saveConversationMessages } =
+  await import("../shared/conversations.js");
+
+const PNG = "data:image/png;base64,iVBORw0KGgo=";
+const STORE_KEY = "aihelper_conversations_v1";
+const imageKeys = () => Object.keys(data).filter((key) => key.startsWith("aihelper_image_v1:"));
+
+beforeEach(() => {
+  for (const key of Object.keys(data)) delete data[key];
+  writes.length = 0;
+});
+
+test("images are stored once under their own key and referenced from the message", async () => {
+  const { id } = await getActiveConversation();
+  const turn = { id: "m1", role: "user", content: "What is this?", images: [{ dataUrl: PNG, name: "a.png" }], ts: 1 };
+  await saveConversationMessages(id, [turn]);
+
+  const [key] = imageKeys();
+  assert.equal(data[key], PNG);
+  const [stored] = data[STORE_KEY].conversations[0].messages;
+  assert.deepEqual(stored.images, [{ ref: key.split(":")[1], name: "a.png" }]);
+  assert.equal(JSON.stringify(data[STORE_KEY]).includes("base64"), false);
+
+  // The panel gets data URLs back, and saving them again rewrites only the store.
+  const active = await getActiveConversation();
+  assert.deepEqual(active.messages[0].images, [{ dataUrl: PNG, name: "a.png" }]);
+  writes.length = 0;
+  await saveConversationMessages(id, [...active.messages, { id: "m2", role: "assistant", content: "A pixel.", ts: 2 }]);
+  assert.deepEqual(writes, [[STORE_KEY], ["aihelper_search_index_v2:" + id]]);
+
+  const [exported] = await getConversationsForExport([id]);
+  assert.equal(exported.messages[0].images[0].dataUrl, PNG);
+
+  await deleteConversation(id);
+  assert.deepEqual(imageKeys(), []);
+});
+
+test("inline images of an existing store move out on the next write", async () => {
+  data[STORE_KEY] = {
+    activeByScope: { global: "c1" },
+    conversations: [
+      { id: "c1", messages: [{ id: "m1", role: "user", content: "x", images: [{ dataUrl: PNG }], ts: 1 }] }
+    ]
+  };
+  const active = await getActiveConversation();
+  assert.deepEqual(active.messages[0].images, [{ dataUrl: PNG }]);
+  assert.deepEqual(writes, []);
+
+  await saveConversationMessages("c1", active.messages);
+  assert.equal(imageKeys().length, 1);
+  assert.ok(data[STORE_KEY].conversations[0].messages[0].images[0].ref);
+});
+
+test("opening the panel does not rewrite the store when the active conversation is set", async () => {
+  const first = await getActiveConversation({ scopeKey: "origin:https://a.example" });
+  assert.equal(writes.length, 1);
+  const again = await getActiveConversation({ scopeKey: "origin:https://a.example" });
+  assert.equal(again.id, first.id);
+  assert.equal(writes.length, 1);
+});
@@ -0,0 +1,85 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getProviderAdapter } from "../shared/providers.js";
+
+const IMAGE = "data:image/png;base64,iVBORw0KGgo=";
+const options = {
+  messages: [
+    { role: "user", content: "Hi", images: [{ dataUrl: IMAGE }] },
+    { role: "assistant", content: "Hello" },
+    { role: "user", content: "More" }
+  ],
+  systemPrompt: "Be brief.",
+  temperature: 0.3,
+  maxOutputTokens: 500,
+  reasoningEffort: ""
+};
+
+function build(protocol, model, overrides = {}) {
+  const profile = { apiUrl: "https://api.example.com/v1/x", token: "sk-test", model };
+  return getProviderAdapter(protocol).buildRequest(profile, { ...options, ...overrides });
+}
+
+test("chat completions uses max_completion_tokens for OpenAI reasoning models", () => {
+  for (const model of ["gpt-5.2", "gpt-5-mini", "o3-mini", "o4-mini", "openai/gpt-5"]) {
+    const { body } = build("chat_completions", model);
+    assert.equal(body.max_completion_tokens, 500, model);
+    assert.equal("max_tokens" in body, false, model);
+  }
+});
+
+test("chat completions keeps max_tokens for other models unless reasoning is set", () => {
+  for (const model of ["gpt-4o", "deepseek-chat", "llama3.1", "claude-sonnet-4"]) {
+    const { body } = build("chat_completions", model);
+    assert.equal(body.max_tokens, 500, model);
+    assert.equal(body.temperature, 0.3, model);
+  }
+  const { body } = build("chat_completions", "deepseek-reasoner", { reasoningEffort: "high" });
+  assert.equal(body.max_completion_tokens, 500);
+  assert.equal(body.reasoning_effort, "high");
+  assert.equal("temperature" in body, false);
+});
+
+test("chat completions sends images as image_url parts after the text", () => {
+  const { body, headers } = build("chat_completions", "gpt-4o");
+  assert.equal(headers.Authorization, "Bearer sk-test");
+  assert.deepEqual(body.messages[0], { role: "system", content: "Be brief." });
+  assert.deepEqual(body.messages[1].content, [
+    { type: "text", text: "Hi" },
+    { type: "image_url", image_url: { url: IMAGE } }
+  ]);
+  assert.equal(body.messages[3].content, "More");
+});
+
+test("responses puts the system prompt in instructions and effort in reasoning", () => {
+  const { body } = build("responses", "gpt-5.2", { reasoningEffort: "low" });
+  assert.equal(body.instructions, "Be brief.");
+  assert.deepEqual(body.reasoning, { effort: "low" });
+  assert.equal(body.max_output_tokens, 500);
+  assert.equal("temperature" in body, false);
+  assert.deepEqual(body.input[0].content[1], { type: "input_image", image_url: IMAGE });
+});
+
+test("anthropic adds the thinking budget on top of max_tokens", () => {
+  const plain = build("anthropic", "claude-sonnet-4").body;
+  assert.equal(plain.max_tokens, 500);
+  assert.equal(plain.temperature, 0.3);
+  assert.equal(plain.system, "Be brief.");
+  assert.deepEqual(plain.messages[0].content[0], {
+    type: "image",
+    source: { type: "base64", media_type: "image/png", data: "iVBORw0KGgo=" }
+  });
+
+  const thinking = build("anthropic", "claude-sonnet-4", { reasoningEffort: "medium" }).body;
+  assert.deepEqual(thinking.thinking, { type: "enabled", budget_tokens: 8192 });
+  assert.equal(thinking.max_tokens, 500 + 8192);
+  assert.equal("temperature" in thinking, false);
+});
+
+test("ollama sends bare base64 images and num_predict", () => {
+  const { body } = build("ollama", "llava");
+  assert.deepEqual(body.messages[1].images, ["iVBORw0KGgo="]);
+  assert.deepEqual(body.options, { temperature: 0.3, num_predict: 500 });
+});
@@ -0,0 +1,64 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+const data = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: data[key] }),
+      set: async (items) => Object.assign(data, JSON.parse(JSON.stringify(items))),
+      remove: async (key) => delete data[key]
+    }
+  }
+};
+
+const { archiveConversationMessages, removeArchivedConversation, searchArchive } = await import(
+  "../shared/search.js"
+);
+
+beforeEach(async () => {
+  for (const key of Object.keys(data)) delete data[key];
+  await archiveConversationMessages({
+    id: "c1",
+    messages: [{ id: "m1", role: "assistant", content: "The constructor runs before foo is ready.", ts: 1 }]
+  });
+});
+
+test("query words named like Object.prototype members are plain words", async () => {
+  for (const query of ["constructor foo", "toString foo", "valueOf", "hasOwnProperty foo", "__proto__ foo"]) {
+    const { results } = await searchArchive(query);
+    assert.ok(Array.isArray(results), query);
+  }
+  const { results } = await searchArchive("constructor foo");
+  assert.deepEqual(results.map((r) => r.id), ["m1"]);
+});
+
+test("each conversation is indexed under its own key", async () => {
+  await archiveConversationMessages({
+    id: "c2",
+    messages: [{ id: "m2", role: "user", content: "Is foo ready yet?", ts: 2 }]
+  });
+  assert.deepEqual(data.aihelper_search_index_v2.conversations, ["c1", "c2"]);
+  assert.deepEqual(Object.keys(data["aihelper_search_index_v2:c2"].docs), ["m2"]);
+  assert.deepEqual((await searchArchive("foo")).results.map((r) => r.id), ["m2", "m1"]);
+
+  await removeArchivedConversation("c1");
+  assert.equal(data["aihelper_search_index_v2:c1"], undefined);
+  assert.deepEqual(data.aihelper_search_index_v2.conversations, ["c2"]);
+  assert.deepEqual((await searchArchive("foo")).results.map((r) => r.id), ["m2"]);
+});
+
+test("the single index of earlier versions is split into shards", async () => {
+  for (const key of Object.keys(data)) delete data[key];
+  data.aihelper_search_index_v1 = {
+    docs: {
+      m1: { id: "m1", conversationId: "c1", role: "user", text: "legacy foo", ts: 1 },
+      m2: { id: "m2", conversationId: "c2", role: "assistant", text: "legacy bar", ts: 2 }
+    },
+    postings: {}
+  };
+  assert.deepEqual((await searchArchive("legacy")).results.map((r) => r.id), ["m2", "m1"]);
+  assert.equal(data.aihelper_search_index_v1, undefined);
+  assert.deepEqual(data.aihelper_search_index_v2.conversations, ["c1", "c2"]);
+});
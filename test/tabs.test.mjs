@@ -0,0 +1,45 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+const pages = {
+  1: { url: "https://a.example/", title: "A", content: "short" },
+  2: { url: "https://b.example/", title: "B", content: `${"b".repeat(1500)}\n\n${"c".repeat(1500)}` },
+  3: { url: "chrome://settings/", title: "Settings", content: "" }
+};
+globalThis.chrome = {
+  tabs: { get: async (tabId) => pages[tabId] },
+  scripting: {
+    // The first call injects pageExtractor.js, the second runs it.
+    executeScript: async ({ target, func }) => {
+      if (!func) return [];
+      const page = pages[target.tabId];
+      return [{ result: { ...page, extraction: { contentChars: page.content.length } } }];
+    }
+  }
+};
+
+const { balanceBudget, collectTabContexts } = await import("../shared/tabs.js");
+
+test("small pages keep everything and the rest split what is left", () => {
+  assert.deepEqual(balanceBudget([100, 5000, 5000], 3000), [100, 1450, 1450]);
+  assert.deepEqual(balanceBudget([100, 200], 3000), [100, 200]);
+  assert.deepEqual(balanceBudget([100, 900, 5000], 2000), [100, 900, 1000]);
+  assert.deepEqual(balanceBudget([], 3000), []);
+});
+
+test("each readable tab is clipped to its share at a block boundary", async () => {
+  const [a, b, settings] = await collectTabContexts([1, 2, 3], 2000);
+  assert.deepEqual(a, {
+    tabId: 1,
+    title: "A",
+    url: "https://a.example/",
+    content: "short",
+    chars: 5,
+    truncatedChars: 0
+  });
+  assert.equal(b.chars, 1500);
+  assert.equal(b.truncatedChars, 1502);
+  assert.ok(b.content.endsWith("\n…(truncated 1502 chars)"));
+  assert.deepEqual(settings, { tabId: 3, error: "Not a web page." });
+});
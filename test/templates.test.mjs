@@ -0,0 +1,92 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { beforeEach, test } from "node:test";
+
+const data = {};
+globalThis.chrome = {
+  storage: {
+    sync: {
+      get: async (keys) =>
+        keys === null
+          ? { ...data }
+          : Object.fromEntries([keys].flat().map((key) => [key, data[key]])),
+      set: async (items) => Object.assign(data, JSON.parse(JSON.stringify(items))),
+      remove: async (keys) => [keys].flat().forEach((key) => delete data[key])
+    }
+  }
+};
+
+const {
+  DEFAULT_TEMPLATES,
+  MAX_TEMPLATE_CHARS,
+  loadTemplates,
+  normalizeTemplateName,
+  saveTemplates,
+  templateVariables
+} = await import("../shared/templates.js");
+
+// The panel renders templates in contentScript.js, which is not a module;
+// this pulls the renderer out of its source.
+async function loadRenderer() {
+  const source = await readFile(new URL("../contentScript.js", import.meta.url), "utf8");
+  const regex = source.match(/^ {2}const TEMPLATE_VAR_RE = .*$/m)[0];
+  const start = source.indexOf("  function renderPromptTemplate(");
+  const body = source.slice(start, source.indexOf("\n  }\n", start) + 4);
+  return new Function(`${regex}\n${body}\nreturn renderPromptTemplate;`)();
+}
+
+beforeEach(() => {
+  for (const key of Object.keys(data)) delete data[key];
+});
+
+test("variables are listed once, in order of first use, and unknown ones are skipped", () => {
+  assert.deepEqual(
+    templateVariables("{{ input }} on {{page.title}}: {{selection}} {{input}} {{page.body}} {{Page.url}}"),
+    ["input", "page.title", "selection"]
+  );
+  assert.deepEqual(templateVariables(DEFAULT_TEMPLATES[0].body), ["input", "page.title", "page.url", "page.content"]);
+  assert.deepEqual(templateVariables(""), []);
+});
+
+test("variables are filled in and unknown ones stay visible", async () => {
+  const render = await loadRenderer();
+  assert.equal(
+    render("Reply to {{ selection }} on {{page.title}}.\n\n\n\n{{input}} {{page.body}}", {
+      selection: "hi",
+      "page.title": "Inbox",
+      input: ""
+    }),
+    "Reply to hi on Inbox.\n\n {{page.body}}"
+  );
+  assert.equal(render("{{constructor}} {{input}}", { input: "x" }), "{{constructor}} x");
+  assert.equal(render("  {{clipboard}}  ", { clipboard: null }), "");
+});
+
+test("command names are one lowercase word", () => {
+  assert.equal(normalizeTemplateName("  /Fix Grammar!! "), "fix-grammar");
+  assert.equal(normalizeTemplateName("a".repeat(50)).length, 32);
+});
+
+test("templates are saved one per sync item and stale items are removed", async () => {
+  await saveTemplates([
+    { id: "a", name: "one", body: "First {{input}}" },
+    { id: "b", name: "two", body: "Second" }
+  ]);
+  assert.deepEqual(data.aihelper_templates_v1, { order: ["a", "b"] });
+  await saveTemplates([{ id: "b", name: "two", body: "Second" }]);
+  assert.equal(data["aihelper_template_v1:a"], undefined);
+  assert.deepEqual((await loadTemplates()).map((t) => t.name), ["two"]);
+});
+
+test("bodies over the character or sync limits are rejected, not cut", async () => {
+  await assert.rejects(
+    saveTemplates([{ name: "long", body: "x".repeat(MAX_TEMPLATE_CHARS + 1) }]),
+    /\/long: the prompt is 2501 characters/
+  );
+  // Each template fits its own item, but together they overflow the library's share.
+  const many = Array.from({ length: 30 }, (_, i) => ({ name: `t${i}`, body: "中".repeat(MAX_TEMPLATE_CHARS) }));
+  await saveTemplates(many.slice(0, 2));
+  await assert.rejects(saveTemplates(many), /Templates take .* KB but sync leaves them 64\.0 KB/);
+  assert.equal(data.aihelper_templates_v1.order.length, 2);
+});
@@ -0,0 +1,108 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { test } from "node:test";
+
+import { MAX_STORED_BYTES, MAX_STORED_MESSAGES, trimChatHistory } from "../shared/history.js";
+import {
+  IMAGE_TOKENS,
+  contextWindowFor,
+  estimateMessageTokens,
+  estimateTokens,
+  trimToTokenBudget
+} from "../shared/tokens.js";
+
+const read = (path) => readFile(new URL(path, import.meta.url), "utf8");
+
+// A declaration and everything up to its closing line, without indentation
+// or `export`, so a module's copy compares equal to the content script's.
+function declaration(source, name) {
+  const lines = source.split("\n");
+  const start = lines.findIndex((line) =>
+    new RegExp(`^\\s*(?:export )?(?:function ${name}\\(|const ${name} =)`).test(line)
+  );
+  assert.ok(start >= 0, `${name} not found`);
+  const indent = lines[start].match(/^\s*/)[0];
+  let end = start;
+  if (lines[start].includes("function ")) {
+    while (lines[end] !== `${indent}}`) end += 1;
+  } else {
+    while (!lines[end].endsWith(";")) end += 1;
+  }
+  return lines
+    .slice(start, end + 1)
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/^export /, "");
+}
+
+test("the content script's copies match the shared modules", async () => {
+  const [contentScript, tokens, history] = await Promise.all([
+    read("../contentScript.js"),
+    read("../shared/tokens.js"),
+    read("../shared/history.js")
+  ]);
+  const copies = [
+    [tokens, "TOKEN_PIECE_RE"],
+    [tokens, "CJK_START_RE"],
+    [tokens, "LATIN_START_RE"],
+    [tokens, "MESSAGE_OVERHEAD_TOKENS"],
+    [tokens, "IMAGE_TOKENS"],
+    [tokens, "estimateTokens"],
+    [tokens, "estimateMessageTokens"],
+    [history, "MAX_STORED_MESSAGES"],
+    [history, "MAX_STORED_BYTES"],
+    [history, "storedBytes"],
+    [history, "trimChatHistory"]
+  ];
+  for (const [module, name] of copies) {
+    assert.equal(declaration(contentScript, name), declaration(module, name), name);
+  }
+});
+
+test("token estimates count CJK per character and long words in pieces", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("你好世界"), 4);
+  assert.equal(estimateTokens("hi"), 1);
+  assert.equal(estimateTokens("internationalization"), 5);
+  assert.equal(estimateTokens("a, b"), 3);
+  assert.equal(estimateMessageTokens({ content: "hi", images: [{}, {}] }), 4 + 1 + 2 * IMAGE_TOKENS);
+});
+
+test("trimming to a token budget keeps the first and newest messages", () => {
+  const messages = ["first", "a", "b", "c", "newest"].map((word) => ({ content: word.repeat(40) }));
+  const cost = estimateMessageTokens(messages[1]);
+  const first = estimateMessageTokens(messages[0]);
+  const newest = estimateMessageTokens(messages[4]);
+
+  assert.equal(trimToTokenBudget(messages, Infinity), messages);
+  assert.deepEqual(trimToTokenBudget(messages, first + 2 * cost + newest), [
+    messages[0],
+    messages[2],
+    messages[3],
+    messages[4]
+  ]);
+  assert.deepEqual(trimToTokenBudget(messages, 0), [messages[0], messages[4]]);
+  assert.deepEqual(trimToTokenBudget(messages.slice(0, 2), 0), messages.slice(0, 2));
+});
+
+test("stored history is capped by message count and by bytes", () => {
+  const many = Array.from({ length: MAX_STORED_MESSAGES + 5 }, (_, i) => ({ content: `m${i}` }));
+  const trimmed = trimChatHistory(many);
+  assert.equal(trimmed.length, MAX_STORED_MESSAGES);
+  assert.equal(trimmed[0], many[0]);
+  assert.equal(trimmed[1], many[6]);
+  assert.equal(trimmed.at(-1), many.at(-1));
+
+  // Three bytes per character: four of these outgrow the cap, three fit.
+  const big = { content: "中".repeat(MAX_STORED_BYTES / 12) };
+  const history = [{ content: "q" }, big, big, big, big, { content: "newest" }];
+  assert.equal(trimChatHistory(history).length, 5);
+});
+
+test("context windows are looked up by model id", () => {
+  assert.equal(contextWindowFor("gpt-5.2"), 400000);
+  assert.equal(contextWindowFor("gpt-4o-mini"), 128000);
+  assert.equal(contextWindowFor("claude-sonnet-4-5"), 200000);
+  assert.equal(contextWindowFor("unknown-model"), 128000);
+});
@@ -0,0 +1,83 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+const data = {};
+const area = {
+  get: async (keys) => Object.fromEntries([keys].flat().map((key) => [key, data[key]])),
+  set: async (items) => Object.assign(data, JSON.parse(JSON.stringify(items))),
+  remove: async (keys) => [keys].flat().forEach((key) => delete data[key])
+};
+globalThis.chrome = { storage: { local: area, session: area } };
+
+const { getConversationsForExport, importConversations } = await import("../shared/conversations.js");
+const { exportConversations, parseConversationExport } = await import("../shared/transfer.js");
+
+const conversation = {
+  id: "c1",
+  title: "Trip",
+  scopeKey: "tab:7",
+  createdAt: 1,
+  updatedAt: 3,
+  messages: [
+    { id: "m1", role: "user", content: "Where to?", ts: 1 },
+    { id: "m2", role: "assistant", content: "Kyoto.", ts: 2 }
+  ]
+};
+
+function exported(conversations) {
+  return exportConversations(conversations, "json").text;
+}
+
+beforeEach(() => {
+  for (const key of Object.keys(data)) delete data[key];
+});
+
+test("importing the same export twice changes nothing", async () => {
+  const text = exported([conversation]);
+  assert.deepEqual(await importConversations(parseConversationExport(text)), {
+    added: 1,
+    merged: 0,
+    messagesAdded: 2
+  });
+  assert.deepEqual(await importConversations(parseConversationExport(text)), {
+    added: 0,
+    merged: 0,
+    messagesAdded: 0
+  });
+  const [stored] = await getConversationsForExport();
+  assert.deepEqual(stored.messages.map((m) => m.id), ["m1", "m2"]);
+  // Tab ids from another browser session mean nothing here.
+  assert.equal(stored.scopeKey, "global");
+});
+
+test("new turns merge by id or by identical role, time and content", async () => {
+  await importConversations([conversation]);
+  const next = {
+    ...conversation,
+    updatedAt: 5,
+    messages: [
+      // Same turn saved under another id by an older version.
+      { id: "other", role: "user", content: "Where to?", ts: 1 },
+      { id: "m2", role: "assistant", content: "Kyoto.", ts: 2 },
+      { id: "m3", role: "user", content: "When?", ts: 4 }
+    ]
+  };
+  assert.deepEqual(await importConversations(parseConversationExport(exported([next]))), {
+    added: 0,
+    merged: 1,
+    messagesAdded: 1
+  });
+  const [stored] = await getConversationsForExport(["c1"]);
+  assert.deepEqual(stored.messages.map((m) => m.id), ["m1", "m2", "m3"]);
+  assert.equal(stored.updatedAt, 5);
+});
+
+test("files that are not a Codex Helper export are rejected", () => {
+  assert.throws(() => parseConversationExport("{"), /not valid JSON/);
+  assert.throws(() => parseConversationExport("{}"), /Not a Codex Helper conversation export/);
+  assert.throws(
+    () => parseConversationExport(JSON.stringify({ format: "codex-helper-conversations", version: 99, conversations: [] })),
+    /newer version/
+  );
+});
@@ -0,0 +1,66 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { beforeEach, mock, test } from "node:test";
+
+const data = {};
+const writes = [];
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => Object.fromEntries([keys].flat().map((key) => [key, data[key]])),
+      set: async (items) => {
+        writes.push(Object.keys(items));
+        Object.assign(data, JSON.parse(JSON.stringify(items)));
+      },
+      remove: async (keys) => [keys].flat().forEach((key) => delete data[key])
+    }
+  }
+};
+
+const { clearTranslationCache, getCachedTranslations, putCachedTranslations } = await import(
+  "../shared/translation.js"
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(async () => {
+  mock.timers.reset();
+  await clearTranslationCache();
+  writes.length = 0;
+});
+
+test("a batch only rewrites the shards its texts fall in", async () => {
+  data.aihelper_translation_cache_v1 = { entries: {} };
+  await putCachedTranslations("en", [["你好", "Hello"]]);
+  assert.equal(data.aihelper_translation_cache_v1, undefined);
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].length, 1);
+  assert.match(writes[0][0], /^aihelper_translation_cache_v2:[0-9a-f]$/);
+  assert.deepEqual(await getCachedTranslations("en", ["你好", "再见"]), ["Hello", null]);
+  assert.deepEqual(await getCachedTranslations("ja", ["你好"]), [null]);
+});
+
+test("hits refresh an entry's age at most once a day", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  await putCachedTranslations("en", [["你好", "Hello"]]);
+  writes.length = 0;
+
+  mock.timers.tick(DAY_MS / 2);
+  await getCachedTranslations("en", ["你好"]);
+  assert.equal(writes.length, 0);
+
+  mock.timers.tick(DAY_MS);
+  await getCachedTranslations("en", ["你好"]);
+  assert.equal(writes.length, 1);
+  const [shard] = writes[0];
+  assert.equal(Object.values(data[shard].entries)[0].at, DAY_MS * 1.5);
+});
+
+test("translations that are empty or too long are not cached", async () => {
+  await putCachedTranslations("en", [
+    ["a", "  "],
+    ["b", "x".repeat(4001)],
+    ["c", 3]
+  ]);
+  assert.deepEqual(await getCachedTranslations("en", ["a", "b", "c"]), [null, null, null]);
+});
@@ -0,0 +1,74 @@
+// Run with `node --test test/`.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  DEFAULT_PRICES,
+  budgetStatus,
+  costOf,
+  normalizeUsageSettings,
+  periodStart,
+  priceFor,
+  summarizeUsage
+} from "../shared/usage.js";
+
+const record = (model, inputTokens, cachedTokens, outputTokens, at = 0) => ({
+  model,
+  inputTokens,
+  cachedTokens,
+  outputTokens,
+  at
+});
+
+test("the longest price entry contained in the model id wins", () => {
+  assert.equal(priceFor("gpt-5.2", DEFAULT_PRICES).model, "gpt-5");
+  assert.equal(priceFor("GPT-5-mini-2025-08-07", DEFAULT_PRICES).model, "gpt-5-mini");
+  assert.equal(priceFor("openai/gpt-4o-mini", DEFAULT_PRICES).model, "gpt-4o-mini");
+  assert.equal(priceFor("claude-sonnet-4-5", DEFAULT_PRICES).model, "claude-sonnet");
+  assert.equal(priceFor("llama3.1", DEFAULT_PRICES), null);
+});
+
+test("cached input is billed at its own price and unpriced models cost null", () => {
+  const prices = [{ model: "m", input: 2, cachedInput: 0.5, output: 8 }];
+  assert.equal(costOf(record("m", 1_000_000, 400_000, 500_000), prices), 0.6 * 2 + 0.4 * 0.5 + 0.5 * 8);
+  assert.equal(costOf(record("other", 1, 0, 1), prices), null);
+});
+
+test("a price without a cached rate bills cached tokens as input", () => {
+  const { prices } = normalizeUsageSettings({ prices: [{ model: " m ", input: 3, cachedInput: "", output: -1 }] });
+  assert.deepEqual(prices, [{ model: "m", input: 3, cachedInput: 3, output: 0 }]);
+  assert.deepEqual(normalizeUsageSettings({}).budget, { amount: 0, period: "month", alertPercent: 80 });
+});
+
+test("periods start at local midnight, on Monday and on the first of the month", () => {
+  // Thursday, 2026-10-15 15:30 local time.
+  const now = new Date(2026, 9, 15, 15, 30).getTime();
+  assert.equal(periodStart("day", now), new Date(2026, 9, 15).getTime());
+  assert.equal(periodStart("week", now), new Date(2026, 9, 12).getTime());
+  assert.equal(periodStart("month", now), new Date(2026, 9, 1).getTime());
+  // A Sunday belongs to the week that started six days earlier.
+  assert.equal(periodStart("week", new Date(2026, 9, 18, 9).getTime()), new Date(2026, 9, 12).getTime());
+});
+
+test("the budget counts only spend inside the current period", () => {
+  const now = new Date(2026, 9, 15, 12).getTime();
+  const prices = [{ model: "m", input: 1, cachedInput: 1, output: 1 }];
+  const records = [
+    record("m", 4_000_000, 0, 0, new Date(2026, 8, 30).getTime()),
+    record("m", 1_000_000, 0, 0, new Date(2026, 9, 2).getTime()),
+    record("free", 9_000_000, 0, 0, new Date(2026, 9, 3).getTime())
+  ];
+  const settings = { prices, budget: { amount: 1.2, period: "month", alertPercent: 80 } };
+  assert.deepEqual(budgetStatus(records, settings, now), {
+    period: "month",
+    amount: 1.2,
+    spent: 1,
+    alert: true,
+    over: false
+  });
+  assert.equal(budgetStatus(records, { ...settings, budget: { ...settings.budget, amount: 0 } }, now), null);
+
+  const [total] = summarizeUsage(records.slice(1), prices);
+  assert.equal(total.requests, 2);
+  assert.equal(total.unpriced, 1);
+});
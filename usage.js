@@ -0,0 +1,348 @@
+import {
+  USAGE_RECORDS_KEY,
+  budgetStatus,
+  clearUsageRecords,
+  costOf,
+  loadUsageRecords,
+  loadUsageSettings,
+  periodStart,
+  saveUsageSettings,
+  summarizeUsage
+} from "./shared/usage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_BUCKETS = 14;
+const WEEKLY_BUCKETS = 12;
+
+const els = {
+  budgetAlert: document.getElementById("budgetAlert"),
+  stats: document.getElementById("stats"),
+  bucket: document.getElementById("bucket"),
+  periodTable: document.getElementById("periodTable"),
+  groupBy: document.getElementById("groupBy"),
+  range: document.getElementById("range"),
+  breakdownTable: document.getElementById("breakdownTable"),
+  exportBtn: document.getElementById("exportBtn"),
+  clearBtn: document.getElementById("clearBtn"),
+  budgetAmount: document.getElementById("budgetAmount"),
+  budgetPeriod: document.getElementById("budgetPeriod"),
+  budgetAlertPercent: document.getElementById("budgetAlertPercent"),
+  priceTable: document.getElementById("priceTable"),
+  addPriceBtn: document.getElementById("addPriceBtn"),
+  saveBtn: document.getElementById("saveBtn"),
+  status: document.getElementById("status")
+};
+
+let records = [];
+let settings = null;
+
+function setStatus(text) {
+  els.status.textContent = text || "";
+}
+
+// Fractions of a cent matter for single requests and cheap models.
+function formatUsd(amount) {
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
+
+function formatCount(n) {
+  return n.toLocaleString();
+}
+
+function formatDay(at) {
+  return new Date(at).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+function cell(tag, text, className) {
+  const node = document.createElement(tag);
+  node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+// Values are text, ready-made cells or controls to put in a cell.
+function tableRow(tag, values) {
+  const tr = document.createElement("tr");
+  for (const value of values) {
+    if (value instanceof HTMLTableCellElement) tr.appendChild(value);
+    else if (value instanceof Node) tr.appendChild(document.createElement(tag)).appendChild(value);
+    else tr.appendChild(cell(tag, String(value)));
+  }
+  return tr;
+}
+
+function costText(group) {
+  if (!group) return formatUsd(0);
+  return group.unpriced ? `${formatUsd(group.cost)} (${group.unpriced} unpriced)` : formatUsd(group.cost);
+}
+
+function requestsText(group) {
+  if (!group) return "0";
+  return `${formatCount(group.requests)}${group.estimated ? " *" : ""}`;
+}
+
+function totalOf(list) {
+  return summarizeUsage(list, settings.prices)[0] || null;
+}
+
+function renderBudgetAlert() {
+  const status = budgetStatus(records, settings);
+  els.budgetAlert.classList.toggle("hidden", !status?.alert);
+  els.budgetAlert.classList.toggle("over", Boolean(status?.over));
+  if (!status?.alert) return;
+  const percent = Math.round((status.spent / status.amount) * 100);
+  els.budgetAlert.textContent = status.over
+    ? `Budget exceeded: ${formatUsd(status.spent)} spent this ${status.period} (budget ${formatUsd(status.amount)}).`
+    : `${percent}% of this ${status.period}'s ${formatUsd(status.amount)} budget spent (${formatUsd(status.spent)}).`;
+}
+
+function renderStats() {
+  const now = Date.now();
+  const periods = [
+    ["Today", periodStart("day", now)],
+    ["This week", periodStart("week", now)],
+    ["This month", periodStart("month", now)],
+    ["All time", 0]
+  ];
+  els.stats.textContent = "";
+  for (const [label, since] of periods) {
+    const total = totalOf(records.filter((r) => r.at >= since));
+    const tokens = total ? total.inputTokens + total.outputTokens : 0;
+    const stat = document.createElement("div");
+    stat.className = "stat";
+    stat.append(
+      cell("div", label, "help"),
+      cell("div", formatUsd(total?.cost || 0), "value"),
+      cell("div", `${requestsText(total)} requests · ${formatCount(tokens)} tokens`, "help")
+    );
+    els.stats.appendChild(stat);
+  }
+}
+
+// Oldest first, ending with the bucket that holds today.
+function periodBuckets(bucket) {
+  const starts = [];
+  let start = periodStart(bucket);
+  const count = bucket === "week" ? WEEKLY_BUCKETS : DAILY_BUCKETS;
+  for (let i = 0; i < count; i++) {
+    starts.unshift(start);
+    // Noon of the previous day keeps daylight-saving shifts out of the arithmetic.
+    start = periodStart(bucket, start - DAY_MS / 2);
+  }
+  return starts.map((from, i) => ({ from, to: starts[i + 1] ?? Infinity }));
+}
+
+function renderPeriodTable() {
+  const bucket = els.bucket.value;
+  const rows = periodBuckets(bucket).map(({ from, to }) => ({
+    label: bucket === "week" ? `Week of ${formatDay(from)}` : formatDay(from),
+    total: totalOf(records.filter((r) => r.at >= from && r.at < to))
+  }));
+  const maxCost = Math.max(0, ...rows.map((r) => r.total?.cost || 0));
+  els.periodTable.textContent = "";
+  els.periodTable.appendChild(tableRow("th", ["Period", "Requests", "Input", "Cached", "Output", "Cost", ""]));
+  for (const { label, total } of rows.reverse()) {
+    const bar = document.createElement("td");
+    bar.className = "bar";
+    const fill = document.createElement("div");
+    fill.style.width = maxCost ? `${Math.round(((total?.cost || 0) / maxCost) * 100)}%` : "0";
+    bar.appendChild(fill);
+    els.periodTable.appendChild(
+      tableRow("td", [
+        label,
+        requestsText(total),
+        formatCount(total?.inputTokens || 0),
+        formatCount(total?.cachedTokens || 0),
+        formatCount(total?.outputTokens || 0),
+        costText(total),
+        bar
+      ])
+    );
+  }
+}
+
+function renderBreakdownTable() {
+  const days = els.range.value === "all" ? Infinity : Number(els.range.value);
+  const since = Number.isFinite(days) ? periodStart("day") - (days - 1) * DAY_MS : 0;
+  const byModel = els.groupBy.value === "model";
+  const groups = summarizeUsage(
+    records.filter((r) => r.at >= since),
+    settings.prices,
+    byModel
+      ? (r) => `${r.model || "(unknown model)"}${r.provider ? ` · ${r.provider}` : ""}`
+      : (r) => r.origin || "(no page)"
+  );
+  els.breakdownTable.textContent = "";
+  els.breakdownTable.appendChild(
+    tableRow("th", [byModel ? "Model · provider" : "Site", "Requests", "Input", "Cached", "Output", "Cost"])
+  );
+  if (!groups.length) {
+    const empty = cell("td", "No requests in this range.", "help");
+    empty.colSpan = 6;
+    els.breakdownTable.appendChild(tableRow("td", [empty]));
+    return;
+  }
+  for (const g of groups) {
+    els.breakdownTable.appendChild(
+      tableRow("td", [
+        g.key,
+        requestsText(g),
+        formatCount(g.inputTokens),
+        formatCount(g.cachedTokens),
+        formatCount(g.outputTokens),
+        costText(g)
+      ])
+    );
+  }
+}
+
+function renderUsage() {
+  renderBudgetAlert();
+  renderStats();
+  renderPeriodTable();
+  renderBreakdownTable();
+}
+
+function priceInput(value, placeholder) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "0";
+  input.step = "any";
+  input.placeholder = placeholder;
+  input.value = value ?? "";
+  return input;
+}
+
+function addPriceRow(price = {}) {
+  const remove = document.createElement("button");
+  remove.className = "btn";
+  remove.type = "button";
+  remove.textContent = "Remove";
+  const model = document.createElement("input");
+  model.type = "text";
+  model.spellcheck = false;
+  model.placeholder = "gpt-4o";
+  model.value = price.model || "";
+  const tr = tableRow("td", [
+    model,
+    priceInput(price.input, "0"),
+    priceInput(price.cachedInput === price.input ? "" : price.cachedInput, "= input"),
+    priceInput(price.output, "0"),
+    remove
+  ]);
+  remove.addEventListener("click", () => tr.remove());
+  els.priceTable.appendChild(tr);
+  return tr;
+}
+
+function renderSettings() {
+  els.budgetAmount.value = settings.budget.amount ? String(settings.budget.amount) : "";
+  els.budgetPeriod.value = settings.budget.period;
+  els.budgetAlertPercent.value = String(settings.budget.alertPercent);
+  els.priceTable.textContent = "";
+  els.priceTable.appendChild(tableRow("th", ["Model", "Input", "Cached", "Output", ""]));
+  for (const price of settings.prices) addPriceRow(price);
+}
+
+function readPriceRows() {
+  const prices = [];
+  for (const tr of els.priceTable.querySelectorAll("tr")) {
+    const inputs = tr.querySelectorAll("input");
+    if (!inputs.length) continue;
+    const [model, input, cachedInput, output] = Array.from(inputs, (i) => i.value.trim());
+    if (!model) continue;
+    for (const [label, value] of [["Input", input], ["Output", output], ["Cached", cachedInput]]) {
+      if (value && !(Number(value) >= 0)) throw new Error(`${label} price for ${model} must be a number ≥ 0.`);
+    }
+    prices.push({ model, input: Number(input) || 0, cachedInput, output: Number(output) || 0 });
+  }
+  return prices;
+}
+
+async function onSave() {
+  try {
+    const amount = els.budgetAmount.value.trim();
+    if (amount && !(Number(amount) >= 0)) throw new Error("Budget must be a number ≥ 0.");
+    settings = await saveUsageSettings({
+      prices: readPriceRows(),
+      budget: {
+        amount: Number(amount) || 0,
+        period: els.budgetPeriod.value,
+        alertPercent: Number(els.budgetAlertPercent.value)
+      }
+    });
+    renderSettings();
+    renderUsage();
+    setStatus("Saved.");
+    setTimeout(() => setStatus(""), 1200);
+  } catch (err) {
+    setStatus(err?.message || String(err));
+  }
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function onExport() {
+  const lines = [
+    "time,provider,protocol,model,origin,input_tokens,cached_tokens,output_tokens,estimated,cost_usd"
+  ];
+  for (const r of records) {
+    const cost = costOf(r, settings.prices);
+    lines.push(
+      [
+        new Date(r.at).toISOString(),
+        r.provider,
+        r.protocol,
+        r.model,
+        r.origin,
+        r.inputTokens,
+        r.cachedTokens,
+        r.outputTokens,
+        r.estimated ? "yes" : "",
+        cost === null ? "" : cost.toFixed(6)
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  // Excel only reads UTF-8 CSV correctly with a byte order mark.
+  const url = URL.createObjectURL(new Blob([`\ufeff${lines.join("\r\n")}`], { type: "text/csv" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `codex-helper-usage-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function onClear() {
+  if (!records.length || !window.confirm(`Delete the usage history of ${records.length} requests?`)) return;
+  await clearUsageRecords();
+  records = [];
+  renderUsage();
+}
+
+async function init() {
+  [records, settings] = await Promise.all([loadUsageRecords(), loadUsageSettings()]);
+  renderSettings();
+  renderUsage();
+}
+
+els.bucket.addEventListener("change", renderPeriodTable);
+els.groupBy.addEventListener("change", renderBreakdownTable);
+els.range.addEventListener("change", renderBreakdownTable);
+els.exportBtn.addEventListener("click", onExport);
+els.clearBtn.addEventListener("click", onClear);
+els.addPriceBtn.addEventListener("click", () => addPriceRow().querySelector("input").focus());
+els.saveBtn.addEventListener("click", onSave);
+
+// Requests made while the page is open show up as they are recorded.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[USAGE_RECORDS_KEY] || !settings) return;
+  records = changes[USAGE_RECORDS_KEY].newValue?.records || [];
+  renderUsage();
+});
+
+init();